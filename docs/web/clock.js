@@ -0,0 +1,104 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         clock.js                                                      │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Deterministic simulation clock for the Adaptive Cruise        │
+ * │                Control (ACC) web application. Converts real elapsed time     │
+ * │                into a whole number of fixed-size simulation steps using an   │
+ * │                accumulator, so the engine always advances in identical       │
+ * │                increments. Supports pause, resume, single-step, and a        │
+ * │                time-scale multiplier between 0.25x and 10x.                  │
+ * │                                                                              │
+ * │  Exports:      window.SimClock (browser) · module.exports (Node)             │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+), requestAnimationFrame              │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SimClock = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Selectable time-scale multipliers, slowest to fastest.
+    const SCALES = [0.25, 0.5, 1, 2, 5, 10];
+
+    // Upper bound on steps run per frame. Prevents a "spiral of death" when the
+    // tab was in the background and a large real-time gap has accumulated.
+    const MAX_STEPS_PER_FRAME = 500;
+
+
+    // ─── CLOCK FACTORY ───────────────────────────────────────────────────────────
+    // Creates a clock that calls onStep() once per fixed step of `dt` ms and
+    // onFrame() once after each batch of steps (for rendering). The scheduler
+    // and time source default to the browser APIs but can be injected.
+    function create({
+        dt,
+        onStep,
+        onFrame = () => { },
+        raf = cb => requestAnimationFrame(cb),
+        now = () => performance.now(),
+    }) {
+        let paused = true;
+        let started = false;
+        let scale = 1;
+        let acc = 0;
+        let last = 0;
+
+        function frame(ts) {
+            if (!paused) {
+                acc += (ts - last) * scale;
+                let n = 0;
+                while (acc >= dt && n < MAX_STEPS_PER_FRAME) {
+                    onStep();
+                    acc -= dt;
+                    n++;
+                }
+                if (n === MAX_STEPS_PER_FRAME) acc = 0;
+                if (n > 0) onFrame();
+            }
+            last = ts;
+            raf(frame);
+        }
+
+        return {
+            start() {
+                if (started) return;
+                started = true;
+                paused = false;
+                last = now();
+                raf(frame);
+            },
+            pause() { paused = true; acc = 0; },
+            resume() { paused = false; last = now(); },
+            toggle() { if (paused) this.resume(); else this.pause(); },
+
+            // Runs exactly one step. Only meaningful while paused.
+            step() {
+                if (!paused) return;
+                onStep();
+                onFrame();
+            },
+
+            setScale(v) {
+                scale = Math.max(SCALES[0], Math.min(SCALES[SCALES.length - 1], v));
+            },
+            // Moves to the next (+1) or previous (−1) entry of SCALES.
+            shiftScale(dir) {
+                const i = SCALES.indexOf(scale);
+                const j = Math.max(0, Math.min(SCALES.length - 1, (i < 0 ? SCALES.indexOf(1) : i) + dir));
+                scale = SCALES[j];
+            },
+            get scale() { return scale; },
+            get paused() { return paused; },
+            get started() { return started; },
+        };
+    }
+
+
+    return { SCALES, create };
+}));
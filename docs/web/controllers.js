@@ -0,0 +1,277 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         controllers.js                                                │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Spacing controllers for Adaptive Mode in the Adaptive         │
+ * │                Cruise Control (ACC) simulation. Every controller shares      │
+ * │                one plugin interface: it receives the gap to the lead         │
+ * │                vehicle, the relative speed, the ego speed and the set        │
+ * │                speed, and returns an acceleration command along with its     │
+ * │                internal terms for the telemetry panel. Built in: the         │
+ * │                MATLAB threshold rule, the Constant Time-Gap Policy, a        │
+ * │                PID spacing loop, and a small linear MPC.                     │
+ * │                                                                              │
+ * │  Units:        SI throughout (m, s). Gaps are road meters.                   │
+ * │  Exports:      window.ACCControllers (browser) · module.exports (Node)       │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCControllers = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ─── PLUGIN INTERFACE ────────────────────────────────────────────────────────
+    // A controller is a plain object:
+    //   name       Label for the UI and the serial log
+    //   timeGap    true if the controller spaces by the selected headway
+    //   init()     → fresh internal memory (integrators, warm starts, ...)
+    //   update(memory, input, ctx) → { accel, regime, terms, memory }
+    // with
+    //   input  = { gap, relSpeed, egoSpeed, setSpeed }   (m, m/s, m/s, m/s)
+    //   ctx    = { dt, headway, safeGap }                (s, s, m)
+    // `regime` tells the engine which status to show: 'free' (the set speed
+    // is binding), 'follow' (the spacing law is binding), 'danger' (gap below
+    // half the time gap) or 'threshold' (the MATLAB 0.30m rule is braking).
+    // `terms` is an ordered map of label → number; an array value is drawn
+    // as a predicted trajectory. update() must not mutate its arguments.
+
+    // Time gaps offered by the steering-wheel selector (s).
+    const HEADWAYS = [1.0, 1.5, 2.0, 2.5];
+
+    // Shared limits for the time-gap controllers.
+    const LIMITS = {
+        standstill: 5,      // Gap kept at standstill (road m)
+        maxAccel: 1.0,      // Acceleration authority (m/s²)
+        maxDecel: 5.0,      // Braking authority (m/s²)
+        speedGain: 0.6,     // Set-speed loop gain (1/s)
+    };
+
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+    function desiredGap(headway, v) {
+        return LIMITS.standstill + headway * v;
+    }
+
+    // The spacing command and the set-speed command are combined by taking
+    // the smaller one, then bounded by the actuator limits. The regime names
+    // whichever of the two is in charge.
+    function combine(aGap, input, ctx) {
+        const aSpeed = LIMITS.speedGain * (input.setSpeed - input.egoSpeed);
+        const accel = clamp(Math.min(aGap, aSpeed), -LIMITS.maxDecel, LIMITS.maxAccel);
+        let regime = aGap < aSpeed ? 'follow' : 'free';
+        if (input.gap < LIMITS.standstill + 0.5 * ctx.headway * input.egoSpeed) regime = 'danger';
+        return { accel, regime, aSpeed };
+    }
+
+
+    // ─── MATLAB PARITY ───────────────────────────────────────────────────────────
+    // The original rule: brake at a fixed rate while the gap is below the
+    // 0.30m bench threshold, otherwise return to the set speed.
+    const parity = {
+        name: 'MATLAB parity',
+        timeGap: false,
+        params: { hazardDecel: 3.0 },
+        init: () => ({}),
+        update(memory, input, ctx) {
+            const aSpeed = LIMITS.speedGain * (input.setSpeed - input.egoSpeed);
+            const hazard = input.gap < ctx.safeGap;
+            return {
+                accel: hazard ? -this.params.hazardDecel : clamp(aSpeed, -LIMITS.maxAccel, LIMITS.maxAccel),
+                regime: hazard ? 'threshold' : 'free',
+                terms: { limit: ctx.safeGap, speed: aSpeed },
+                memory,
+            };
+        },
+    };
+
+
+    // ─── CONSTANT TIME-GAP POLICY ────────────────────────────────────────────────
+    // desired gap = standstill + headway × speed, tracked with gap-error and
+    // relative-speed feedback.
+    const ctgp = {
+        name: 'Constant Time-Gap',
+        timeGap: true,
+        params: { kGap: 0.23, kRate: 0.74 },
+        init: () => ({}),
+        update(memory, input, ctx) {
+            const { kGap, kRate } = this.params;
+            const desired = desiredGap(ctx.headway, input.egoSpeed);
+            const gapTerm = kGap * (input.gap - desired);
+            const rateTerm = kRate * input.relSpeed;
+            const out = combine(gapTerm + rateTerm, input, ctx);
+            return {
+                accel: out.accel,
+                regime: out.regime,
+                terms: { desired, gap: gapTerm, rate: rateTerm, speed: out.aSpeed },
+                memory,
+            };
+        },
+    };
+
+
+    // ─── PID ─────────────────────────────────────────────────────────────────────
+    // PID on the spacing error e = gap − desired gap. The derivative uses the
+    // measured relative speed rather than differencing e, so a change of time
+    // gap does not kick the output. The integrator only runs while the
+    // spacing loop is in charge, unsaturated and moving, and bleeds off
+    // otherwise, so it cannot creep the car toward a stopped lead vehicle.
+    const pid = {
+        name: 'PID',
+        timeGap: true,
+        params: { kp: 0.2, ki: 0.02, kd: 0.8, iMax: 1.0, bleed: 0.5 },
+        init: () => ({ integral: 0 }),
+        update(memory, input, ctx) {
+            const { kp, ki, kd, iMax, bleed } = this.params;
+            const desired = desiredGap(ctx.headway, input.egoSpeed);
+            const e = input.gap - desired;
+            const p = kp * e;
+            const d = kd * input.relSpeed;
+            let i = ki * memory.integral;
+
+            const out = combine(p + i + d, input, ctx);
+            let integral = memory.integral;
+            const saturated = out.accel <= -LIMITS.maxDecel || out.accel >= LIMITS.maxAccel;
+            if (out.regime === 'follow' && !saturated && input.egoSpeed > 1) {
+                integral = clamp(integral + e * ctx.dt, -iMax / ki, iMax / ki);
+            } else {
+                integral -= integral * Math.min(1, bleed * ctx.dt);
+            }
+            i = ki * integral;
+
+            return {
+                accel: out.accel,
+                regime: out.regime,
+                terms: { desired, P: p, I: i, D: d },
+                memory: { integral },
+            };
+        },
+    };
+
+
+    // ─── LINEAR MPC ──────────────────────────────────────────────────────────────
+    // Predicts the spacing error e and relative speed ev over a short horizon
+    // with a constant-speed lead vehicle:
+    //   e[k+1]  = e[k] + Ts·ev[k] − (h·Ts + Ts²/2)·u[k]
+    //   ev[k+1] = ev[k] − Ts·u[k]
+    // and minimizes Σ qE·e² + qV·ev² + r·u² subject to the acceleration
+    // limits. The box-constrained QP is solved by projected gradient descent,
+    // warm-started from the previous solution shifted by one step. Only the
+    // first move is applied; the predicted gap trajectory is reported.
+    const mpc = {
+        name: 'Linear MPC',
+        timeGap: true,
+        params: { Ts: 0.2, N: 10, qE: 1.0, qV: 3.0, r: 4.0, iterations: 30 },
+        init: () => ({ plan: null }),
+        update(memory, input, ctx) {
+            const { Ts, N, iterations } = this.params;
+            const qp = mpcMatrices(this.params, ctx.headway);
+            const desired = desiredGap(ctx.headway, input.egoSpeed);
+            const x0 = [input.gap - desired, input.relSpeed];
+
+            // Gradient offset f = Φᵀ Q Ψ x0
+            const f = qp.F.map(row => row[0] * x0[0] + row[1] * x0[1]);
+
+            let u = memory.plan && memory.plan.length === N
+                ? memory.plan.slice(1).concat(memory.plan[N - 1])
+                : new Array(N).fill(0);
+            for (let it = 0; it < iterations; it++) {
+                u = u.map((uk, k) => {
+                    let g = f[k];
+                    for (let j = 0; j < N; j++) g += qp.H[k][j] * u[j];
+                    return clamp(uk - qp.step * g, -LIMITS.maxDecel, LIMITS.maxAccel);
+                });
+            }
+
+            // Predicted gap over the horizon, for the telemetry panel.
+            const horizon = [input.gap];
+            let e = x0[0], ev = x0[1], v = input.egoSpeed;
+            u.forEach(uk => {
+                e = e + Ts * ev - (ctx.headway * Ts + Ts * Ts / 2) * uk;
+                ev = ev - Ts * uk;
+                v = Math.max(0, v + Ts * uk);
+                horizon.push(e + desiredGap(ctx.headway, v));
+            });
+
+            const out = combine(u[0], input, ctx);
+            return {
+                accel: out.accel,
+                regime: out.regime,
+                terms: { desired, u0: u[0], speed: out.aSpeed, horizon },
+                memory: { plan: u },
+            };
+        },
+    };
+
+    // Condensed QP matrices for a headway, cached because they only depend on
+    // the tuning and h:  H = ΦᵀQΦ + rI,  F = ΦᵀQΨ. `step` is 1 / ‖H‖∞, a
+    // safe gradient step since ‖H‖∞ bounds its largest eigenvalue. Exported
+    // so the Arduino sketch generator can bake them into the firmware.
+    const qpCache = {};
+
+    function mpcMatrices(params, h) {
+        const { Ts, N, qE, qV, r } = params;
+        const key = [h, Ts, N, qE, qV, r].join('|');
+        if (qpCache[key]) return qpCache[key];
+
+        const b = [-(h * Ts + Ts * Ts / 2), -Ts];
+        // Rows of Ψ (2N × 2) and Φ (2N × N): x[k+1] = A^(k+1)·x0 + Σ A^(k−j)·B·u[j]
+        const psi = [], phi = [];
+        for (let k = 0; k < N; k++) {
+            const n = k + 1;
+            psi.push([1, n * Ts], [0, 1]);
+            const rowE = [], rowV = [];
+            for (let j = 0; j < N; j++) {
+                const m = k - j;   // A^m·B = [b0 + m·Ts·b1, b1]
+                rowE.push(m >= 0 ? b[0] + m * Ts * b[1] : 0);
+                rowV.push(m >= 0 ? b[1] : 0);
+            }
+            phi.push(rowE, rowV);
+        }
+        const q = i => (i % 2 === 0 ? qE : qV);
+
+        const H = [], F = [];
+        for (let i = 0; i < N; i++) {
+            H.push([]);
+            for (let j = 0; j < N; j++) {
+                let sum = i === j ? r : 0;
+                for (let k = 0; k < 2 * N; k++) sum += phi[k][i] * q(k) * phi[k][j];
+                H[i].push(sum);
+            }
+            F.push([0, 1].map(c => {
+                let sum = 0;
+                for (let k = 0; k < 2 * N; k++) sum += phi[k][i] * q(k) * psi[k][c];
+                return sum;
+            }));
+        }
+        const norm = Math.max(...H.map(row => row.reduce((a, v) => a + Math.abs(v), 0)));
+        return (qpCache[key] = { H, F, step: 1 / norm });
+    }
+
+
+    // ─── REGISTRY ────────────────────────────────────────────────────────────────
+    // Controllers in UI order. register() adds or replaces one, so experiments
+    // can plug in their own law without touching the engine.
+    const REGISTRY = { ctgp, pid, mpc, parity };
+
+    function register(id, controller) {
+        REGISTRY[id] = controller;
+    }
+
+    function get(id) {
+        return REGISTRY[id] || REGISTRY.ctgp;
+    }
+
+    function list() {
+        return Object.keys(REGISTRY).map(id => ({ id, name: REGISTRY[id].name }));
+    }
+
+
+    return { HEADWAYS, LIMITS, REGISTRY, desiredGap, mpcMatrices, register, get, list };
+}));
@@ -0,0 +1,913 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         engine.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Headless control engine for the Adaptive Cruise Control (ACC) │
+ * │                simulation. Holds the MATLAB control law as pure functions:   │
+ * │                each call takes the current engine state and the sampled      │
+ * │                inputs (analog pins A0–A4, HC-SR04 distance) and returns the  │
+ * │                next state together with the events it emitted (serial log    │
+ * │                lines, status keys, LCD rows, audible alerts, mode            │
+ * │                transitions). It never touches the DOM, so the same logic     │
+ * │                runs in the browser dashboard, in Node, and in batch          │
+ * │                experiments. Two vehicle models are available: 'physics'      │
+ * │                (longitudinal dynamics, vehicle.js) and 'discrete' (MATLAB    │
+ * │                parity, ±1 km/h per iteration). Mode changes and the cruise   │
+ * │                stalk go through the mode state machine (modes.js). The HC-   │
+ * │                SR04 reading comes either from the manual slider input or     │
+ * │                from a scripted lead vehicle (traffic.js), measured through   │
+ * │                an ideal or HC-SR04 sensor model (sensor.js). Adaptive        │
+ * │                spacing is delegated to a pluggable controller                │
+ * │                (controllers.js) under a safety supervisor (supervisor.js);   │
+ * │                injected pin, sensor and brake faults (faults.js) are applied │
+ * │                to the inputs and actuators. Log lines and the LCD show       │
+ * │                speeds and distances in the selected units (units.js).        │
+ * │                                                                              │
+ * │  Modes:        0 → Normal | 1 → Cruise Control | 2 → Adaptive Cruise         │
+ * │  Exports:      window.ACCEngine (browser) · module.exports (Node)            │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vehicle.js'), require('./traffic.js'), require('./controllers.js'),
+            require('./sensor.js'), require('./faults.js'), require('./supervisor.js'), require('./modes.js'),
+            require('./units.js'));
+    } else {
+        root.ACCEngine = factory(root.VehicleModel, root.TrafficModel, root.ACCControllers, root.SensorModel,
+            root.ACCFaults, root.ACCSupervisor, root.ACCModes, root.ACCUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (VehicleModel, TrafficModel, ACCControllers, SensorModel, ACCFaults,
+    ACCSupervisor, ACCModes, ACCUnits) {
+    'use strict';
+
+    // ─── CONSTANTS ───────────────────────────────────────────────────────────────
+    // Values taken directly from Adaptive Cruise Control.m. A pin counts as
+    // pressed once its voltage reaches PIN_HIGH; the adaptive branch brakes
+    // whenever the measured distance falls below SAFE_DISTANCE.
+    const MODES = { NORMAL: 0, CRUISE: 1, ADAPTIVE: 2 };
+    const PIN_HIGH = 4;          // Volts
+    const SAFE_DISTANCE = 0.3;   // Meters
+
+    // Fixed simulation timestep (ms). All timing below is expressed in whole
+    // steps so that a run is reproducible regardless of wall-clock jitter.
+    const DT = 10;
+
+    // Rule periods (ms): hold-to-repeat, kinetic drag, adaptive auto-cycle.
+    const PERIODS = { repeat: 130, drag: 1500, cycle: 500 };
+
+    // Mode buttons in MATLAB priority order: Cancel beats Cruise beats ACC.
+    const MODE_PINS = [['A2', MODES.NORMAL], ['A3', MODES.CRUISE], ['A4', MODES.ADAPTIVE]];
+
+    // Vehicle models: continuous longitudinal dynamics, or the MATLAB counter.
+    const MODELS = ['physics', 'discrete'];
+    const KMH = 3.6;            // m/s → km/h
+
+    // Speed-loop tuning for the physics model. Cruise Mode tracks its target
+    // with a proportional law; the gain is in (m/s²) per (m/s). Adaptive Mode
+    // asks the selected spacing controller (ACCControllers) for its command.
+    const PHYSICS = {
+        holdGain: 0.6,          // Cruise speed-hold gain
+        capBand: 0.3,           // Adaptive: within this many m/s counts as "at target"
+        rateFilter: 0.05,       // Low-pass factor for the gap-rate estimate (per step)
+        leadStopped: 0.3,       // Stop-and-go: a lead slower than this counts as stopped (m/s)
+        approachSpeed: 3.0,     // Stop-and-go: below this the car stops at the standstill gap (m/s)
+        minRoom: 0.5,           // Stop-and-go: shortest stopping distance assumed (m)
+        stopSpeed: 0.5,         // Stop-and-go: below this behind a stopped lead the car holds (m/s)
+        holdBrake: 2.0,         // Stop-and-go: deceleration commanded to hold the car stopped (m/s²)
+        departGap: 0.5,         // Stop-and-go: gap growth since stopping that means the lead has left (m)
+        goSpeed: 2.0,           // Stop-and-go: speed that ends the drive-off (m/s)
+    };
+
+    // Stop-and-go: how long after stopping (s) the car still drives off by
+    // itself when the lead vehicle departs; 0 always waits for the driver.
+    const STANDSTILL_WINDOWS = [0, 3, 5, 10, 30];
+
+    const HEADWAYS = ACCControllers.HEADWAYS;  // Selectable time gaps (s)
+
+    const LCD_LABELS = ['Vehicle Speed:', 'Cruise Mode:', 'Adaptive Cruise:'];
+
+
+    // ─── STATE ───────────────────────────────────────────────────────────────────
+    // Engine state is a plain object so it can be cloned, serialized and
+    // compared. Inputs (pins and distance) are passed separately on each call.
+    // createState() copies only the engine keys, so a larger host object (such
+    // as the dashboard's `S`) can be passed in directly.
+    const DEFAULT_STATE = {
+        speed: 0,       // Vehicle speed in km/h
+        mode: 0,        // Active operating mode (0: Normal, 1: Cruise, 2: Adaptive)
+        machine: ACCModes.createState(),    // Mode state machine: state and the state to resume
+        constant: 0,    // Set speed in km/h: the Adaptive target, and the Cruise target (physics model)
+        D13: false,     // Green LED — acceleration
+        D12: false,     // Red LED — braking or vehicle stopped
+        model: 'physics',   // Vehicle model: 'physics' or 'discrete' (MATLAB parity)
+        grade: 0,       // Road grade in percent (physics model)
+        phase: '',      // Last status key, used to log only on phase changes
+        vehicle: VehicleModel.createState(),    // Position, speed and acceleration (SI)
+        scenario: 'manual', // Lead-vehicle profile (TrafficModel.PROFILES), 'manual' = slider
+        lead: TrafficModel.createState(),       // Lead vehicle position and speed (SI)
+        distance: 0.50, // HC-SR04 reading used by the last step (sensor meters)
+        sensorModel: 'ideal',   // Sensor model (SensorModel.MODELS)
+        sensorFilter: 'none',   // Reading filter (SensorModel.FILTERS)
+        sensorParams: {},       // Overrides of SensorModel.DEFAULTS
+        sensor: SensorModel.createState(),  // Sample timing, last echo, filter memory
+        gap: 50,        // Road gap to the lead vehicle (m)
+        collided: false,    // Latched while the gap is closed
+        controller: 'ctgp', // Adaptive spacing controller (ACCControllers.REGISTRY)
+        ctrl: {},       // The controller's internal memory (integrators, warm starts)
+        terms: {},      // The controller's internal terms from the last step
+        headway: 1.5,   // Time gap for the time-gap controllers (s)
+        units: 'metric',    // Unit system of the log and LCD (ACCUnits.SYSTEMS)
+        scale: TrafficModel.SENSOR_SCALE,   // Road meters per sensor meter (ACCUnits.SCALES)
+        standstillWindow: 3,    // Stop-and-go auto-resume window (s), one of STANDSTILL_WINDOWS
+        standstill: { phase: '', t: 0, gap: 0 },  // Stop-and-go phase, ms in it, gap when stopped
+        sensedGap: 50,  // Road gap implied by the last HC-SR04 reading (m)
+        gapRate: 0,     // Filtered rate of change of the sensed gap (m/s)
+        faults: [],     // Injected faults (ACCFaults), scheduled, active or ended
+        supervisor: ACCSupervisor.createState(),    // Warning stage, TTC and sensor plausibility
+        t: 0,           // Simulation time in ms, advanced by DT per step
+        timers: { repeat: 0, drag: 0, cycle: 0 },   // Elapsed ms per rule
+        held: { A0: false, A1: false, A2: false, A3: false, A4: false }, // Pin levels at the previous step
+    };
+
+    function createState(from = {}) {
+        const s = {};
+        Object.keys(DEFAULT_STATE).forEach(k => {
+            const v = from[k] !== undefined ? from[k] : DEFAULT_STATE[k];
+            s[k] = Array.isArray(v) ? v.slice() : v && typeof v === 'object' ? Object.assign({}, v) : v;
+        });
+        // A state given only as a mode code starts the machine in that mode.
+        if (from.machine === undefined) s.machine = ACCModes.createState(s.mode);
+        return s;
+    }
+
+    function createInputs(overrides = {}) {
+        return {
+            pins: Object.assign({ A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 }, overrides.pins),
+            distance: overrides.distance !== undefined ? overrides.distance : 0.50,
+        };
+    }
+
+    // Every public step clones the incoming state and collects emitted events
+    // into a list. Callers decide how to render them (DOM, console, trace file).
+    function begin(state) {
+        const next = createState(state);
+        const events = [];
+        return {
+            next,
+            events,
+            log: (msg, cls = 'info') => events.push({ type: 'log', msg, cls }),
+            status: (key, extra = '') => events.push({ type: 'status', key, extra }),
+            lcd: (r1, r2) => events.push({ type: 'lcd', r1, r2 }),
+            alert: stage => events.push({ type: 'alert', stage }),
+            transition: (from, to, cause) => events.push({ type: 'transition', from, to, cause }),
+            pin: (name, val) => { next[name] = !!val; },
+        };
+    }
+
+    const high = v => v >= PIN_HIGH;
+
+    // Speeds (km/h) and distances (m) in the selected units. The discrete
+    // model's serial lines are the MATLAB script's own and stay in km/h.
+    const speedText = (s, kmh) => ACCUnits.formatSpeed(kmh, s.units);
+    const distText = (s, m, digits) => ACCUnits.formatDistance(m, s.units, digits);
+
+
+    // ─── CONTROL LAW ─────────────────────────────────────────────────────────────
+    // One iteration of the MATLAB super-loop for the active mode. Speed changes
+    // by exactly 1 km/h per call, as in the original script. D13/D12 latch as
+    // they do on the Arduino: D13 is written on acceleration, and the pair
+    // only flips to D12 when the speed would drop below 0 and is clamped.
+    function step(state, inputs) {
+        const c = begin(state);
+        const s = c.next;
+        const { pins, distance } = inputs;
+
+        // Mode 0 — Normal: Manual acceleration and braking via analog pins A0/A1.
+        if (s.mode === MODES.NORMAL) {
+            if (high(pins.A0)) {
+                c.pin('D13', 1); c.pin('D12', 0);
+                s.speed += 1;
+                c.log(`NORMAL MODE: Acceleration active.Speed: ${s.speed} km / h`, 'success');
+                c.status('normal_accel');
+            } else if (high(pins.A1)) {
+                if (s.speed > 0) {
+                    s.speed -= 1;
+                    c.log(`NORMAL MODE: Braking active.Speed decreased: ${s.speed} km / h`, 'warn');
+                } else {
+                    c.pin('D13', 0); c.pin('D12', 1);
+                }
+                c.status('normal_brake');
+            }
+            if (s.speed === 0 && !high(pins.A0) && !high(pins.A1)) {
+                c.log('NORMAL MODE: Vehicle stopped (0 km/h)', 'danger');
+                c.status('normal_idle');
+            }
+            c.lcd('Vehicle Speed:', String(s.speed));
+        }
+
+        // Mode 1 — Cruise Control: Speed is held constant. Manual override is allowed.
+        else if (s.mode === MODES.CRUISE) {
+            if (high(pins.A0)) {
+                c.pin('D13', 1); c.pin('D12', 0);
+                s.speed += 1;
+                c.log(`CRUISE MODE: Manual acceleration.Speed: ${s.speed} km / h`, 'success');
+                c.status('cruise_accel');
+            } else if (s.speed === 0 && high(pins.A1)) {
+                c.pin('D13', 0); c.pin('D12', 1);
+                c.log('CRUISE MODE: Manual brake applied. Vehicle stopped.', 'danger');
+                c.status('cruise_brake');
+            } else if (high(pins.A1)) {
+                s.speed -= 1;
+                c.log(`CRUISE MODE: Manual braking.Speed decreased: ${s.speed} km / h`, 'warn');
+                c.status('cruise_brake');
+            } else {
+                c.status('cruise_hold');
+            }
+            c.lcd('Cruise Mode:', String(s.speed));
+        }
+
+        // Mode 2 — Adaptive Cruise: Speed auto-adjusts based on HC-SR04 distance.
+        // If distance < 0.30m (danger zone), the vehicle decelerates.
+        // Otherwise, speed ramps back toward the stored cruise target.
+        else if (s.mode === MODES.ADAPTIVE) {
+            c.pin('D13', 1); c.pin('D12', 0);
+
+            if (distance < SAFE_DISTANCE) {
+                if (s.speed > 0) {
+                    s.speed -= 1;
+                    c.log(`ADAPTIVE WARNING: Dist ${distance.toFixed(2)} m | Speed decreased: ${s.speed} km / h`, 'danger');
+                } else {
+                    c.pin('D13', 0); c.pin('D12', 1);
+                }
+                c.status('adaptive_danger');
+            } else {
+                if (s.speed < s.constant) {
+                    s.speed += 1;
+                    c.log(`ADAPTIVE MODE: Path clear | Speed returning to ${s.speed} km / h`, 'success');
+                }
+                c.status('adaptive_safe', speedText(s, s.constant));
+            }
+
+            if (s.speed > s.constant) s.speed = s.constant;
+            if (s.speed === 0) c.log('ADAPTIVE MODE: Collision avoidance - Vehicle stopped.', 'danger');
+            c.lcd('Adaptive Cruise:', String(s.speed));
+        }
+
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── KINETIC DRAG (Normal Mode Only) ─────────────────────────────────────────
+    // With no accelerator or brake input, Normal Mode loses 1 km/h per drag
+    // period, mirroring the MATLAB `else` branch with its pause(1.5). At rest
+    // the decrement is clamped straight back to 0, which lights D12.
+    function drag(state, inputs) {
+        const c = begin(state);
+        const s = c.next;
+        const { pins } = inputs;
+
+        if (s.mode !== MODES.NORMAL || high(pins.A0) || high(pins.A1)) {
+            return { state: s, events: c.events };
+        }
+        if (s.speed <= 0) {
+            c.pin('D13', 0); c.pin('D12', 1);
+            return { state: s, events: c.events };
+        }
+
+        s.speed -= 1;
+        if (s.speed > 0) {
+            c.log(`KINETIC DRAG: Speed decreased: ${s.speed} km / h`, 'warn');
+        } else {
+            c.log('KINETIC DRAG: Momentum lost. Vehicle stopped.', 'danger');
+        }
+        c.status(s.speed > 0 ? 'normal_drag' : 'normal_idle');
+        c.lcd('Vehicle Speed:', String(s.speed));
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── ADAPTIVE AUTO-CYCLE ─────────────────────────────────────────────────────
+    // Adaptive Mode re-runs the control law on its own, independent of input.
+    // Outside Adaptive Mode the cycle is a no-op.
+    function cycle(state, inputs) {
+        if (state.mode !== MODES.ADAPTIVE) return { state: createState(state), events: [] };
+        return step(state, inputs);
+    }
+
+
+    // ─── MODE SELECTION ──────────────────────────────────────────────────────────
+    // Applies a mode button press (A2 Cancel, A3 Cruise, A4 ACC) through the
+    // mode state machine. Engaging Adaptive Mode caches the current speed as
+    // the cruise target, exactly as `constant = speed` does in the MATLAB
+    // script (rounded to whole km/h), unless Standby resumes the last one.
+    // In the physics model Cruise Mode sets and holds the same target.
+    const BUTTON_EVENTS = ['cancel', 'cruise', 'acc'];
+
+    function selectMode(state, mode) {
+        const c = begin(state);
+        const s = c.next;
+        fire(c, s, BUTTON_EVENTS[mode]);
+        return { state: s, events: c.events };
+    }
+
+    // Feeds one event to the state machine (ACCModes) and applies the
+    // transition: mode code, set speeds, controller and supervisor resets.
+    // The discrete model runs the MATLAB table. A rejected attempt to engage
+    // is logged with its reason; a pedal event or CANCEL that changes
+    // nothing is not.
+    const ENGAGE_EVENTS = ['cruise', 'acc', 'set', 'resume'];
+
+    function fire(c, s, event) {
+        const table = s.model === 'discrete' ? 'matlab' : 'guarded';
+        const r = ACCModes.transition(s.machine, event, { speed: s.speed, table, units: s.units });
+        if (!r.ok) {
+            if (ENGAGE_EVENTS.includes(event)) c.log(`MODE: ${ACCModes.EVENTS[event]} rejected — ${r.reason}`, 'warn');
+            return false;
+        }
+        s.machine = r.machine;
+        const mode = ACCModes.STATES[r.to].mode;
+        if (mode !== null) s.mode = mode;
+        if (r.from === 'acc' || r.to === 'acc') {
+            s.supervisor = Object.assign({}, s.supervisor, { stage: 0, ttc: null, pending: 0 });
+        }
+        if (r.to !== 'acc') s.standstill = DEFAULT_STATE.standstill;
+        else if (event === 'resume' && s.standstill.phase) s.standstill = Object.assign({}, s.standstill, { phase: 'go', t: 0 });
+
+        let detail = `Mode ${s.mode}`;
+        if (r.to === 'cruise') {
+            if (!r.resumed && table === 'guarded') s.constant = Math.round(s.speed);
+            if (table === 'guarded') detail += ` | Holding ${speedText(s, s.constant)}`;
+            c.status('cruise_hold');
+        } else if (r.to === 'acc') {
+            if (!r.resumed) s.constant = Math.round(s.speed);
+            s.ctrl = ACCControllers.get(s.controller).init();
+            detail += ` | Target ${speedText(s, s.constant)}`;
+            c.status('adaptive_safe', speedText(s, s.constant));
+        } else if (mode === MODES.NORMAL) {
+            c.status('normal_idle');
+        }
+        c.log(`MODE: ${ACCModes.label(r.from)} → ${ACCModes.label(r.to)} (${ACCModes.EVENTS[event]}` +
+            `${r.resumed ? ', resumed' : ''}) | ${detail}`, r.to === 'fault' ? 'danger' : 'sys');
+        c.transition(r.from, r.to, event);
+        return true;
+    }
+
+
+    // ─── CRUISE STALK ────────────────────────────────────────────────────────────
+    // Applies a stalk command (ACCModes.STALK). SET, RES and CANCEL go through
+    // the state machine; the ±1/±5 steps change the set speed while Cruise
+    // or Adaptive Mode is engaged, overridden or not. The discrete model
+    // keeps the MATLAB buttons only, so it rejects everything but CANCEL.
+    function stalk(state, command) {
+        const cmd = ACCModes.STALK[command];
+        if (!cmd) return { state: createState(state), events: [] };
+        return press(state, cmd);
+    }
+
+    // A set speed typed in whole display units (the serial monitor's `set`
+    // command), applied as a stalk step of the difference.
+    function setTarget(state, value) {
+        const shown = Math.round(ACCUnits.speed(state.constant, state.units));
+        const typed = Math.round(value);
+        return press(state, { label: `SET ${typed}`, step: typed - shown });
+    }
+
+    function press(state, cmd) {
+        const c = begin(state);
+        const s = c.next;
+        if (cmd.event) {
+            fire(c, s, cmd.event);
+        } else if (s.model === 'discrete' || !ACCModes.isEngaged(s.machine)) {
+            const reason = s.model === 'discrete' ? 'the MATLAB model has no cruise stalk'
+                : `no set speed in ${ACCModes.label(s.machine.state)}`;
+            c.log(`STALK: ${cmd.label} rejected — ${reason}`, 'warn');
+        } else {
+            const from = s.constant;
+            s.constant = ACCModes.adjust(s.constant, cmd.step, s.units);
+            c.log(`STALK: ${cmd.label} | Set speed ${speedText(s, from)} → ${speedText(s, s.constant)}`, 'sys');
+        }
+        if (s.model === 'physics') c.lcd(LCD_LABELS[s.mode], lcdRow(s));
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── PHYSICS MODEL ───────────────────────────────────────────────────────────
+    // Continuous counterpart of the control law. Pin voltages on A0/A1 map to
+    // proportional throttle/brake demand; Cruise and Adaptive Mode compute a
+    // desired acceleration and convert it to pedal demand with the resistive
+    // forces fed forward. The vehicle is then integrated over one DT. Log
+    // lines are emitted only when the status phase changes.
+    function vehicleParams(s) {
+        return Object.assign({}, VehicleModel.DEFAULTS, { grade: s.grade });
+    }
+
+    function physics(state, inputs) {
+        const c = begin(state);
+        const s = c.next;
+        const { pins, distance, faults = [] } = inputs;
+        const p = vehicleParams(s);
+        const v = s.vehicle.v;
+        const pedal = VehicleModel.pedals(pins.A0, pins.A1);
+        const now = speedText(s, s.speed);
+        const set = speedText(s, s.constant);
+        const toward = (target, limit) =>
+            Math.max(-limit, Math.min(limit, PHYSICS.holdGain * (target - v)));
+
+        let demand = pedal;
+        let key, extra = '', msg, cls;
+
+        // Sensor data that cannot be physical hands control back to the
+        // driver: ACC Active drops to Fault for this very step. Braking
+        // cancels an active mode to Standby; the accelerator overrides it
+        // until released. Pedal resting noise below LIMITS.pedal is ignored.
+        const reason = s.machine.state === 'acc' && ACCSupervisor.implausible(s.supervisor);
+        if (reason) {
+            c.log(`SUPERVISOR: Implausible sensor data (${reason})`, 'danger');
+            fire(c, s, 'fault');
+        }
+        const pressed = demand => demand > ACCModes.LIMITS.pedal;
+        fire(c, s, pressed(pedal.brake) ? 'brake' : pressed(pedal.throttle) ? 'throttle' : 'release');
+        const overridden = s.machine.state === 'override';
+
+        if (s.mode === MODES.NORMAL) {
+            if (pedal.throttle > 0) {
+                key = 'normal_accel'; cls = 'success';
+                msg = `NORMAL MODE: Throttle ${Math.round(pedal.throttle * 100)}% | Accelerating from ${now}`;
+            } else if (pedal.brake > 0) {
+                key = 'normal_brake'; cls = 'warn';
+                msg = `NORMAL MODE: Brake ${Math.round(pedal.brake * 100)}% | Decelerating from ${now}`;
+            } else if (v > 0) {
+                key = 'normal_drag'; cls = 'warn';
+                msg = `KINETIC DRAG: Coasting from ${now}`;
+            } else {
+                key = 'normal_idle'; cls = 'danger';
+                msg = `NORMAL MODE: Vehicle stopped (${speedText(s, 0)})`;
+            }
+        }
+
+        else if (s.mode === MODES.CRUISE) {
+            if (overridden) {
+                // Driver override: the accelerator drives the car; releasing
+                // it returns to the set speed.
+                key = 'cruise_accel'; cls = 'success';
+                msg = `CRUISE MODE: Driver override from ${now} | Resumes ${set} on release`;
+            } else {
+                demand = VehicleModel.demandFor(v, toward(s.constant / KMH, p.maxAccel), p);
+                key = 'cruise_hold'; cls = 'info';
+                msg = `CRUISE MODE: Holding ${set}`;
+            }
+        }
+
+        else if (s.mode === MODES.ADAPTIVE && overridden) {
+            key = 'adaptive_override'; cls = 'warn';
+            msg = `ADAPTIVE MODE: Driver override from ${now} | Resumes ${set} on release`;
+        }
+
+        else if (s.mode === MODES.ADAPTIVE) {
+            const ctrl = ACCControllers.get(s.controller);
+            const target = s.constant / KMH;
+            const out = ctrl.update(s.ctrl,
+                { gap: s.sensedGap, relSpeed: s.gapRate, egoSpeed: v, setSpeed: target },
+                { dt: DT / 1000, headway: s.headway, safeGap: TrafficModel.toGap(SAFE_DISTANCE, s.scale) });
+            s.ctrl = out.memory;
+            s.terms = out.terms;
+
+            if (out.regime === 'threshold') {
+                key = 'adaptive_danger'; cls = 'danger';
+                msg = `ADAPTIVE WARNING: Dist ${distText(s, distance, 2)} | Braking from ${now}`;
+            } else if (out.regime === 'danger') {
+                key = 'adaptive_gap_danger'; cls = 'danger';
+                msg = `ADAPTIVE WARNING: Gap ${distText(s, s.sensedGap)} < half of ${s.headway.toFixed(1)} s time gap | Braking from ${now}`;
+            } else if (out.regime === 'follow') {
+                key = 'adaptive_follow'; cls = 'info'; extra = `${s.headway.toFixed(1)} s (${ctrl.name})`;
+                msg = `ADAPTIVE MODE: Following lead vehicle | ${ctrl.name}, time gap ${s.headway.toFixed(1)} s, ` +
+                    `desired gap ${distText(s, ACCControllers.desiredGap(s.headway, v))}`;
+            } else if (target - v <= PHYSICS.capBand) {
+                key = 'adaptive_cap'; cls = 'info';
+                msg = `ADAPTIVE MODE: Holding target ${set}`;
+            } else {
+                key = 'adaptive_safe'; cls = 'success'; extra = set;
+                msg = `ADAPTIVE MODE: Path clear | Speed returning to ${set}`;
+            }
+            const accel = stopAndGo(s, out.accel, v);
+            const standstill = s.standstill.phase;
+            if (standstill) extra = '';
+            if (standstill === 'hold') {
+                key = 'stopgo_hold'; cls = 'info';
+                msg = s.standstillWindow
+                    ? `ADAPTIVE MODE: Standstill hold | Drives off if the lead vehicle departs within ${s.standstillWindow} s`
+                    : 'ADAPTIVE MODE: Standstill hold';
+            } else if (standstill === 'wait') {
+                key = 'stopgo_wait'; cls = 'warn';
+                msg = 'ADAPTIVE MODE: Standstill hold | Press RES or tap the accelerator to drive off';
+            } else if (standstill === 'go') {
+                key = 'stopgo_go'; cls = 'success';
+                msg = `ADAPTIVE MODE: Driving off behind the lead vehicle | Target ${set}`;
+            }
+            demand = VehicleModel.demandFor(v, supervise(c, s, accel), p);
+        }
+
+        if (s.machine.state !== 'acc') s.terms = {};
+
+        // A brake fault lets only part of the commanded force reach the
+        // wheels; D12 still shows what was commanded.
+        const gain = ACCFaults.brakeGain(faults);
+        const applied = gain < 1 ? Object.assign({}, demand, { brake: demand.brake * gain }) : demand;
+        s.vehicle = VehicleModel.step(s.vehicle, applied, DT / 1000, p);
+        s.speed = s.vehicle.v * KMH;
+
+        const stopped = s.vehicle.v === 0;
+        c.pin('D13', demand.throttle > 0);
+        c.pin('D12', demand.brake > 0 || (stopped && demand.throttle === 0));
+
+        let phase = key;
+        if ((key === 'adaptive_danger' || key === 'adaptive_gap_danger') && stopped) {
+            phase = 'adaptive_stop';
+            msg = 'ADAPTIVE MODE: Collision avoidance - Vehicle stopped.';
+        }
+        if (phase !== s.phase) c.log(msg, cls);
+        s.phase = phase;
+        const stage = s.machine.state === 'acc' ? s.supervisor.stage : 0;
+        if (stage) c.status(SUPERVISOR_STATUS[stage], `${s.supervisor.ttc.toFixed(1)} s`);
+        else c.status(key, extra);
+        c.lcd(LCD_LABELS[s.mode], lcdRow(s));
+        return { state: s, events: c.events };
+    }
+
+    // LCD row 2 in the physics model: the speed, with the set speed at the
+    // right while Cruise or Adaptive Mode drives the car, or the stop-and-go
+    // phase while there is one. Both are whole numbers in the selected units.
+    const STANDSTILL_LCD = { hold: 'HOLD', wait: 'PRESS RES', go: 'GO' };
+
+    function lcdRow(s) {
+        const speed = String(Math.round(ACCUnits.speed(s.speed, s.units)));
+        if (s.mode === MODES.NORMAL) return speed;
+        const set = STANDSTILL_LCD[s.standstill.phase] || `SET ${Math.round(ACCUnits.speed(s.constant, s.units))}`;
+        return speed.padEnd(16 - set.length) + set;
+    }
+
+
+    // ─── STOP-AND-GO ─────────────────────────────────────────────────────────────
+    // ACC Active in the physics model. Closing slowly on a stopped lead
+    // vehicle, the car brakes at the constant deceleration that stops it at
+    // the standstill gap, since the spacing controllers only creep up to it.
+    // Once stopped it is held on the brake ('hold'). If the lead departs
+    // within the standstill window the car drives off by itself ('go');
+    // after the window it waits for the driver ('wait'), who resumes with
+    // RES (see fire()) or a tap of the accelerator, which overrides ACC and
+    // so ends the hold. A drive-off that finds the lead still stopped falls
+    // back to 'hold'. Returns the acceleration command.
+    function stopAndGo(s, accel, v) {
+        const m = s.standstill;
+        const leadStopped = v + s.gapRate < PHYSICS.leadStopped;
+        const departed = accel > 0 && s.sensedGap - m.gap >= PHYSICS.departGap;
+        let next = Object.assign({}, m, { t: m.t + DT });
+        if (!m.phase && leadStopped && v < PHYSICS.stopSpeed) next = { phase: 'hold', t: 0, gap: s.sensedGap };
+        else if (m.phase === 'hold' && departed) next = Object.assign(next, { phase: 'go', t: 0 });
+        else if (m.phase === 'hold' && next.t >= s.standstillWindow * 1000) next = Object.assign(next, { phase: 'wait', t: 0 });
+        else if (m.phase === 'go' && v >= PHYSICS.goSpeed) next = DEFAULT_STATE.standstill;
+        else if (m.phase === 'go' && v < PHYSICS.stopSpeed && accel <= 0) next = { phase: 'hold', t: 0, gap: s.sensedGap };
+        s.standstill = next;
+
+        if (next.phase === 'hold' || next.phase === 'wait') return Math.min(accel, -PHYSICS.holdBrake);
+        if (!next.phase && leadStopped && v < PHYSICS.approachSpeed) {
+            const room = Math.max(s.sensedGap - ACCControllers.LIMITS.standstill, PHYSICS.minRoom);
+            return Math.min(accel, -v * v / (2 * room));
+        }
+        return accel;
+    }
+
+
+    // ─── SAFETY SUPERVISOR ───────────────────────────────────────────────────────
+    // Runs above the spacing controller in Adaptive Mode (physics model only;
+    // the discrete model stays the MATLAB script). Each stage change is
+    // logged; stages from Warning up raise an audible alert, repeated while
+    // the driver is asked to take over. Returns the acceleration command,
+    // which the emergency brake bounds from above.
+    const SUPERVISOR_STATUS = [null, 'fcw_caution', 'fcw_danger', 'takeover_danger', 'aeb_danger'];
+
+    function supervise(c, s, accel) {
+        const prev = s.supervisor.stage;
+        s.supervisor = ACCSupervisor.assess(s.supervisor, DT);
+        const { stage, ttc } = s.supervisor;
+
+        if (stage !== prev) {
+            const at = ttc === null ? '' : ` | TTC ${ttc.toFixed(1)} s`;
+            if (stage === 0) c.log('FCW: Threat cleared', 'success');
+            else if (stage < prev) c.log(`FCW: Easing to ${ACCSupervisor.STAGES[stage]}${at}`, 'warn');
+            else if (stage === 1) c.log(`FCW CAUTION: Closing on the lead vehicle${at}`, 'warn');
+            else if (stage === 2) c.log(`FCW WARNING: Collision risk${at}`, 'danger');
+            else if (stage === 3) c.log(`TAKEOVER REQUEST: Press CANCEL (A2) and brake${at}`, 'danger');
+            else c.log(`EMERGENCY BRAKE: ${ACCSupervisor.LIMITS.aebDecel.toFixed(1)} m/s² until the threat clears${at}`, 'danger');
+        }
+        const repeat = stage >= 3 && s.t - s.supervisor.alertAt >= ACCSupervisor.LIMITS.repeat;
+        if (stage >= 2 && (stage > prev || repeat)) {
+            c.alert(stage);
+            s.supervisor = Object.assign({}, s.supervisor, { alertAt: s.t });
+        }
+        return stage === 4 ? ACCSupervisor.brake(accel) : accel;
+    }
+
+
+    // ─── ADAPTIVE STRATEGY SELECTION ─────────────────────────────────────────────
+    // Selects the spacing controller and the time gap. Both only affect the
+    // physics model; the discrete model always runs the MATLAB threshold rule.
+    // Switching controllers starts the new one from fresh memory.
+    function setController(state, id) {
+        const c = begin(state);
+        const s = c.next;
+        const ctrl = ACCControllers.REGISTRY[id];
+        if (!ctrl || id === s.controller) return { state: s, events: c.events };
+        s.controller = id;
+        s.ctrl = ctrl.init();
+        s.terms = {};
+        s.phase = '';
+        c.log(`ADAPTIVE CONTROLLER: ${ctrl.name}` +
+            (ctrl.timeGap ? ` (time gap ${s.headway.toFixed(1)} s)` : ` (${distText(s, SAFE_DISTANCE, 2)} threshold)`), 'sys');
+        return { state: s, events: c.events };
+    }
+
+    // Stop-and-go auto-resume window in s (STANDSTILL_WINDOWS).
+    function setStandstill(state, seconds) {
+        const c = begin(state);
+        const s = c.next;
+        if (!STANDSTILL_WINDOWS.includes(seconds) || seconds === s.standstillWindow) return { state: s, events: c.events };
+        s.standstillWindow = seconds;
+        c.log(seconds ? `STOP-AND-GO: Drives off by itself for ${seconds} s after stopping, then waits for RES`
+            : 'STOP-AND-GO: Always waits for RES after stopping', 'sys');
+        return { state: s, events: c.events };
+    }
+
+    function setHeadway(state, h) {
+        const c = begin(state);
+        const s = c.next;
+        if (!HEADWAYS.includes(h) || h === s.headway) return { state: s, events: c.events };
+        s.headway = h;
+        s.phase = '';
+        c.log(`TIME GAP: Set to ${h.toFixed(1)} s | Desired gap at ${speedText(s, s.speed)}: ` +
+            `${distText(s, ACCControllers.desiredGap(h, s.vehicle.v))}`, 'sys');
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── VEHICLE MODEL SELECTION ─────────────────────────────────────────────────
+    // Switches between the physics and discrete models. The discrete model
+    // counts whole km/h, so speed is rounded on the way in.
+    function setModel(state, model) {
+        const c = begin(state);
+        const s = c.next;
+        if (!MODELS.includes(model) || model === s.model) return { state: s, events: c.events };
+
+        s.model = model;
+        s.phase = '';
+        if (model === 'discrete') {
+            s.speed = Math.round(s.speed);
+            s.vehicle = VehicleModel.createState({ x: s.vehicle.x, v: s.speed / KMH });
+            c.log(`VEHICLE MODEL: Discrete (MATLAB parity, ±1 km/h per iteration) at ${speedText(s, s.speed)}`, 'sys');
+        } else {
+            if (s.mode === MODES.CRUISE) s.constant = Math.round(s.speed);
+            c.log(`VEHICLE MODEL: Physics (longitudinal dynamics) at ${speedText(s, s.speed)}`, 'sys');
+        }
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── UNITS AND BENCH SCALE ───────────────────────────────────────────────────
+    // The unit system (ACCUnits) only changes what the log and the LCD show.
+    // The bench scale changes the road gap a sensor reading stands for, so
+    // the sensed gap restarts from the current reading without a rate.
+    function setUnits(state, units) {
+        const c = begin(state);
+        const s = c.next;
+        const sys = ACCUnits.SYSTEMS[units];
+        if (!sys || units === s.units) return { state: s, events: c.events };
+        s.units = units;
+        s.phase = '';
+        c.log(`UNITS: ${sys.name} — speeds in ${sys.speed}, distances in ${sys.distance}`, 'sys');
+        if (s.model === 'physics') c.lcd(LCD_LABELS[s.mode], lcdRow(s));
+        return { state: s, events: c.events };
+    }
+
+    function setScale(state, scale) {
+        const c = begin(state);
+        const s = c.next;
+        if (!ACCUnits.SCALES.includes(scale) || scale === s.scale) return { state: s, events: c.events };
+        s.scale = scale;
+        s.sensedGap = TrafficModel.toGap(s.distance, scale);
+        s.gapRate = 0;
+        s.supervisor = Object.assign({}, s.supervisor, { gap: null, closing: 0, jumps: 0 });
+        s.phase = '';
+        c.log(`BENCH SCALE: 1 cm = ${distText(s, scale / 100, 2)} on the road | ` +
+            `${distText(s, SAFE_DISTANCE, 2)} on the bench = ${distText(s, TrafficModel.toGap(SAFE_DISTANCE, scale), 0)}`, 'sys');
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── TRAFFIC ─────────────────────────────────────────────────────────────────
+    // Moves the lead vehicle and measures the gap between both cars through
+    // the sensor model. In 'manual' the slider sets the true distance and the
+    // lead car simply keeps that gap. Mutates `s`; returns the inputs the
+    // control law should see this step.
+    function traffic(s, inputs, events) {
+        let truth;
+        if (s.scenario === 'manual') {
+            truth = inputs.distance;
+            s.lead = TrafficModel.createState({
+                x: s.vehicle.x + TrafficModel.toGap(inputs.distance, s.scale), v: s.vehicle.v, t: s.lead.t,
+            });
+        } else {
+            s.lead = TrafficModel.step(s.lead, s.scenario, DT / 1000, s.vehicle.x);
+            truth = TrafficModel.toSensor(s.lead.x - s.vehicle.x, s.scale);
+        }
+        s.gap = s.lead.x - s.vehicle.x;
+
+        // The beam sees the lead car once its nearest edge enters the cone.
+        const before = s.distance;
+        const lateral = Math.max(0, Math.abs(s.lead.lat || 0) - TrafficModel.HALF_WIDTH);
+        s.sensor = SensorModel.step(s.sensor, { distance: truth, lateral: TrafficModel.toSensor(lateral, s.scale) },
+            DT, s.sensorModel, s.sensorFilter, s.sensorParams);
+        s.distance = s.sensor.value;
+
+        // A frozen sensor keeps repeating its last reading; a dead one never
+        // hears an echo and reports its maximum range; an erratic one reads
+        // anything up to it.
+        const maxRange = Object.assign({}, SensorModel.DEFAULTS, s.sensorParams).maxRange;
+        const stuck = ACCFaults.sensor(inputs.faults || []);
+        if (stuck === 'frozen') s.distance = before;
+        else if (stuck === 'dead') s.distance = maxRange;
+        else if (stuck === 'erratic' && s.sensor.fresh) s.distance = ACCFaults.erratic(s.t, maxRange);
+        else if (stuck === 'erratic') s.distance = before;
+
+        // Relative speed as seen by the sensor: the filtered derivative of the
+        // reading, updated whenever a new sample arrives. The filter factor is
+        // scaled so its time constant does not depend on the sample period.
+        if (s.sensor.fresh) {
+            const elapsed = s.sensorModel === 'hcsr04'
+                ? Object.assign({}, SensorModel.DEFAULTS, s.sensorParams).period : DT;
+            const sensed = TrafficModel.toGap(s.distance, s.scale);
+            s.supervisor = ACCSupervisor.observe(s.supervisor, s.sensedGap, sensed, elapsed, TrafficModel.toGap(maxRange, s.scale));
+            const raw = (sensed - s.sensedGap) / (elapsed / 1000);
+            const alpha = 1 - Math.pow(1 - PHYSICS.rateFilter, elapsed / DT);
+            s.gapRate += alpha * (raw - s.gapRate);
+            s.sensedGap = sensed;
+        }
+
+        if (s.gap <= 0 && !s.collided) {
+            s.collided = true;
+            events.push({ type: 'log', msg: `COLLISION: Gap to lead vehicle closed at ${speedText(s, s.speed)}`, cls: 'danger' });
+        } else if (s.gap > 0) {
+            s.collided = false;
+        }
+        return { pins: inputs.pins, distance: s.distance, faults: inputs.faults };
+    }
+
+    // Selects the sensor model, the reading filter and parameter overrides.
+    // Any change restarts the sensor so the filter memory matches the setup.
+    function setSensor(state, { model, filter, params } = {}) {
+        const c = begin(state);
+        const s = c.next;
+        if (model && Object.hasOwn(SensorModel.MODELS, model)) s.sensorModel = model;
+        if (filter && Object.hasOwn(SensorModel.FILTERS, filter)) s.sensorFilter = filter;
+        if (params) s.sensorParams = Object.assign({}, s.sensorParams, params);
+        s.sensor = SensorModel.createState(s.sensor.seed);
+
+        const p = Object.assign({}, SensorModel.DEFAULTS, s.sensorParams);
+        c.log(s.sensorModel === 'ideal'
+            ? 'SENSOR: Ideal — reading equals the true distance'
+            : `SENSOR: HC-SR04 · ${SensorModel.FILTERS[s.sensorFilter]} filter | ${p.period} ms, ` +
+            `σ ${(p.sigma * 1000).toFixed(1)} mm, ${p.tickUs} µs ticks, dropout ${(p.dropout * 100).toFixed(1)}%, ` +
+            `spurious ${(p.spurious * 100).toFixed(1)}%, cone ±${p.cone}°`, 'sys');
+        return { state: s, events: c.events };
+    }
+
+    // Starts a lead-vehicle scenario from the ego vehicle's current position.
+    function setScenario(state, id) {
+        const c = begin(state);
+        const s = c.next;
+        if (!Object.hasOwn(TrafficModel.PROFILES, id)) return { state: s, events: c.events };
+        const p = TrafficModel.PROFILES[id];
+
+        s.scenario = id;
+        s.lead = TrafficModel.start(id, s.vehicle.x);
+        s.collided = false;
+        c.log(id === 'manual'
+            ? 'TRAFFIC: Manual override — HC-SR04 distance follows the slider'
+            : `TRAFFIC: ${p.name} — lead vehicle at ${speedText(s, p.v0)}, ${distText(s, p.gap0, 0)} ahead`, 'sys');
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── FAULT INJECTION ─────────────────────────────────────────────────────────
+    // Adds a fault (ACCFaults format) to the schedule; `from` defaults to now
+    // and `to` to "until cleared". advance() logs it when it takes effect.
+    // Throws an Error if the fault is malformed.
+    function injectFault(state, fault) {
+        const c = begin(state);
+        const s = c.next;
+        const f = Object.assign({ from: s.t, to: null }, fault);
+        f.id = s.faults.reduce((m, x) => Math.max(m, x.id), 0) + 1;
+        ACCFaults.validate(f);
+        s.faults.push(f);
+        if (f.from > s.t) c.log(`FAULT SCHEDULED: ${ACCFaults.describe(f)} at ${(f.from / 1000).toFixed(2)} s`, 'warn');
+        return { state: s, events: c.events };
+    }
+
+    // Removes the fault with the given id, or every fault. One that acted on
+    // the last step is repaired at once.
+    function clearFault(state, id) {
+        const c = begin(state);
+        const s = c.next;
+        const removed = s.faults.filter(f => id === undefined || f.id === id);
+        ACCFaults.active(removed, s.t - DT).forEach(f => c.log(`FAULT CLEARED: ${ACCFaults.describe(f)}`, 'success'));
+        s.faults = s.faults.filter(f => !removed.includes(f));
+        return { state: s, events: c.events };
+    }
+
+
+    // ─── FIXED-STEP ADVANCE ──────────────────────────────────────────────────────
+    // Advances the simulation by one DT. Mode buttons are handled first for
+    // both vehicle models: a rising edge on A2/A3/A4 selects the mode (and, in
+    // the discrete model, runs one control iteration as a button click did).
+    // The physics model then integrates continuously. The discrete model keeps
+    // the dashboard's former timers as per-step rules, in a fixed order:
+    //   1. Hold-to-repeat — a rising edge on A0/A1 runs the control law
+    //      immediately, then once every PERIODS.repeat while the pedal is held.
+    //   2. Kinetic drag — free-running, once every PERIODS.drag.
+    //   3. Adaptive auto-cycle — free-running, once every PERIODS.cycle.
+    // Either way, the lead vehicle is moved first to produce this step's
+    // HC-SR04 reading, and vehicle position is integrated afterwards.
+    function advance(state, inputs) {
+        let s = createState(state);
+        const events = [];
+        const run = result => { s = result.state; events.push(...result.events); };
+        const prev = s.held;
+
+        // Faults act from the step that starts at their `from` time; pin
+        // faults replace what the ADC reads before anything else sees it.
+        const faults = ACCFaults.active(s.faults, s.t);
+        const change = ACCFaults.changes(s.faults, s.t - DT, s.t);
+        change.started.forEach(f => events.push({ type: 'log', msg: `FAULT: ${ACCFaults.describe(f)}`, cls: 'danger' }));
+        change.ended.forEach(f => events.push({ type: 'log', msg: `FAULT CLEARED: ${ACCFaults.describe(f)}`, cls: 'success' }));
+        inputs = traffic(s, { pins: ACCFaults.pins(faults, inputs.pins), distance: inputs.distance, faults }, events);
+        const { pins } = inputs;
+
+        s.t += DT;
+        s.held = {};
+        Object.keys(DEFAULT_STATE.held).forEach(p => { s.held[p] = high(pins[p]); });
+
+        const pressed = MODE_PINS.find(([p]) => s.held[p] && !prev[p]);
+        if (pressed) {
+            run(selectMode(s, pressed[1]));
+            if (s.model === 'discrete') run(step(s, inputs));
+        }
+
+        if (s.model === 'physics') {
+            run(physics(s, inputs));
+            return { state: s, events };
+        }
+
+        const pedal = s.held.A0 || s.held.A1;
+        if (pedal && !(prev.A0 || prev.A1)) {
+            s.timers.repeat = 0;
+            run(step(s, inputs));
+        } else if (pedal) {
+            s.timers.repeat += DT;
+            if (s.timers.repeat >= PERIODS.repeat) {
+                s.timers.repeat -= PERIODS.repeat;
+                run(step(s, inputs));
+            }
+        } else {
+            s.timers.repeat = 0;
+        }
+
+        s.timers.drag += DT;
+        if (s.timers.drag >= PERIODS.drag) {
+            s.timers.drag -= PERIODS.drag;
+            run(drag(s, inputs));
+        }
+
+        s.timers.cycle += DT;
+        if (s.timers.cycle >= PERIODS.cycle) {
+            s.timers.cycle -= PERIODS.cycle;
+            run(cycle(s, inputs));
+        }
+
+        const v = s.speed / KMH;
+        s.vehicle = VehicleModel.createState({ x: s.vehicle.x + v * DT / 1000, v });
+        return { state: s, events };
+    }
+
+
+    return {
+        MODES, MODELS, HEADWAYS, STANDSTILL_WINDOWS, PIN_HIGH, SAFE_DISTANCE, DT, PERIODS, PHYSICS, KMH,
+        createState, createInputs,
+        step, drag, cycle, selectMode, stalk, physics,
+        setTarget, setModel, setController, setHeadway, setStandstill, setUnits, setScale, setScenario, setSensor, injectFault, clearFault, advance,
+    };
+}));
@@ -0,0 +1,211 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         faults.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Fault injection for the Adaptive Cruise Control (ACC)         │
+ * │                simulation. Describes hardware faults — analog pins stuck at  │
+ * │                a voltage, a frozen, dead or erratic HC-SR04, a weak or       │
+ * │                failed brake actuator, LEDs stuck dark or lit, a corrupted    │
+ * │                LCD — each active over a window of simulation time, and       │
+ * │                applies them to pin readings, sensor readings, brake force    │
+ * │                and the displayed outputs. Pure functions only: the engine    │
+ * │                applies the input and actuator faults, the dashboard the      │
+ * │                outputs.                                                      │
+ * │                                                                              │
+ * │  Format:       { id, kind, target, value, from, to }   from/to in ms of      │
+ * │                simulation time; to = null lasts until the fault is cleared   │
+ * │  Exports:      window.ACCFaults (browser) · module.exports (Node)            │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCFaults = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ─── FAULT KINDS ─────────────────────────────────────────────────────────────
+    // `targets` lists what a fault of the kind can hit (null: nothing to pick);
+    // `value` describes its number, if it takes one.
+    //   pin     the pin reads `value` volts whatever drives it
+    //   sensor  'frozen' repeats the last reading; 'dead' never hears an echo;
+    //           'erratic' reports a random distance on every reading
+    //   brake   only `value` % of the commanded braking force arrives (physics model)
+    //   led     the LED stays dark (0) or lit (1) whatever the sketch writes
+    //   lcd     'garbled' scrambles characters; 'blank' shows nothing
+    const KINDS = {
+        pin: {
+            name: 'Pin stuck',
+            targets: { A0: 'A0 accelerate', A1: 'A1 brake', A2: 'A2 cancel', A3: 'A3 cruise', A4: 'A4 adaptive' },
+            value: { label: 'Volts', min: 0, max: 5, step: 0.1, initial: 5 },
+        },
+        sensor: {
+            name: 'Ultrasonic sensor',
+            targets: { frozen: 'Frozen', dead: 'Dead (no echo)', erratic: 'Erratic' },
+            value: null,
+        },
+        brake: {
+            name: 'Brake actuator',
+            targets: null,
+            value: { label: 'Force %', min: 0, max: 100, step: 5, initial: 0 },
+        },
+        led: {
+            name: 'LED stuck',
+            targets: { D13: 'D13 green', D12: 'D12 red' },
+            value: { label: '0 dark · 1 lit', min: 0, max: 1, step: 1, initial: 0 },
+        },
+        lcd: {
+            name: 'LCD corruption',
+            targets: { garbled: 'Garbled', blank: 'Blank' },
+            value: null,
+        },
+    };
+
+    // Characters a garbled LCD shows in place of the real ones.
+    const GLYPHS = '#%&@?*$!▒░█';
+    const GARBLE_MS = 250;      // A garbled LCD changes its pattern this often
+
+
+    // ─── VALIDATION ──────────────────────────────────────────────────────────────
+    // Throws an Error naming the first problem; returns the fault otherwise.
+    // Kinds and targets are own keys, so "constructor" is unknown rather
+    // than inherited.
+    function validate(f) {
+        if (!f || typeof f !== 'object') throw new Error('Fault is not an object');
+        if (!Object.hasOwn(KINDS, f.kind)) throw new Error(`Unknown fault kind "${f.kind}"`);
+        const kind = KINDS[f.kind];
+        if (kind.targets && !Object.hasOwn(kind.targets, f.target)) throw new Error(`${kind.name}: unknown target "${f.target}"`);
+        if (kind.value) {
+            const { min, max } = kind.value;
+            if (!(f.value >= min && f.value <= max)) throw new Error(`${kind.name}: value ${f.value} is outside ${min}–${max}`);
+            if (f.kind === 'led' && f.value !== 0 && f.value !== 1) throw new Error('LED stuck: value must be 0 or 1');
+        }
+        if (!(f.from >= 0)) throw new Error(`${kind.name}: start time must be 0 or later`);
+        if (f.to !== null && f.to !== undefined && !(f.to > f.from)) throw new Error(`${kind.name}: must end after it starts`);
+        return f;
+    }
+
+    // A readable description for logs and the fault list.
+    function describe(f) {
+        switch (f.kind) {
+            case 'pin': return `${KINDS.pin.targets[f.target]} stuck at ${f.value.toFixed(2)} V`;
+            case 'sensor': return {
+                frozen: 'HC-SR04 frozen on its last reading',
+                dead: 'HC-SR04 dead — no echo',
+                erratic: 'HC-SR04 erratic — random readings',
+            }[f.target];
+            case 'brake': return f.value === 0 ? 'Brake actuator failed — no braking force' : `Brake actuator weak — ${f.value}% force`;
+            case 'led': return `${KINDS.led.targets[f.target]} LED stuck ${f.value ? 'lit' : 'dark'}`;
+            case 'lcd': return f.target === 'garbled' ? 'LCD garbled' : 'LCD blank';
+            default: return f.kind;
+        }
+    }
+
+    // A short code with no commas or spaces, for the session `faults` column.
+    function code(f) {
+        switch (f.kind) {
+            case 'pin': return `${f.target}@${f.value}V`;
+            case 'brake': return `brake@${f.value}%`;
+            case 'led': return `${f.target}@${f.value}`;
+            default: return `${f.kind}:${f.target}`;
+        }
+    }
+
+
+    // What each active fault costs Adaptive Cruise, in a few words, for the
+    // status bar: e.g. ['gap reading frozen', 'brakes at 30%'].
+    function effects(list) {
+        return list.map(f => {
+            switch (f.kind) {
+                case 'pin': return `${f.target} reads ${f.value.toFixed(1)} V`;
+                case 'sensor': return { frozen: 'gap reading frozen', dead: 'lead vehicle invisible', erratic: 'gap reading erratic' }[f.target];
+                case 'brake': return f.value === 0 ? 'no brakes' : `brakes at ${f.value}%`;
+                case 'led': return `${f.target} stuck ${f.value ? 'lit' : 'dark'}`;
+                case 'lcd': return `LCD ${f.target}`;
+                default: return f.kind;
+            }
+        });
+    }
+
+
+    // ─── SCHEDULE ────────────────────────────────────────────────────────────────
+    // A fault is active over [from, to). Times are in ms of simulation time.
+    const isActive = (f, t) => f.from <= t && (f.to === null || f.to === undefined || t < f.to);
+
+    function active(faults, t) {
+        return (faults || []).filter(f => isActive(f, t));
+    }
+
+    // Faults that start and end between the step starting at `prev` and the
+    // one starting at `t`: { started: [...], ended: [...] }.
+    function changes(faults, prev, t) {
+        const list = faults || [];
+        return {
+            started: list.filter(f => isActive(f, t) && !isActive(f, prev)),
+            ended: list.filter(f => !isActive(f, t) && isActive(f, prev)),
+        };
+    }
+
+    function label(faults, t) {
+        return active(faults, t).map(code).join(' ');
+    }
+
+
+    // ─── APPLYING ────────────────────────────────────────────────────────────────
+    // Each takes the list of active faults. The last fault of a kind wins.
+    const last = (list, kind, target) =>
+        list.filter(f => f.kind === kind && (target === undefined || f.target === target)).pop();
+
+    // Pin voltages as the ADC reads them.
+    function pins(list, read) {
+        const out = Object.assign({}, read);
+        list.filter(f => f.kind === 'pin').forEach(f => { out[f.target] = f.value; });
+        return out;
+    }
+
+    // 'frozen', 'dead', 'erratic' or null.
+    function sensor(list) {
+        const f = last(list, 'sensor');
+        return f ? f.target : null;
+    }
+
+    // What an erratic sensor reads at time t: anywhere from 0 to `range`,
+    // a deterministic function of the time so a replay reads the same.
+    function erratic(t, range) {
+        return Math.abs(Math.sin(t * 12.9898 + 78.233) * 43758.5453) % 1 * range;
+    }
+
+    // Fraction of the commanded braking force that reaches the wheels.
+    function brakeGain(list) {
+        const f = last(list, 'brake');
+        return f ? f.value / 100 : 1;
+    }
+
+    // LED states as seen on the board.
+    function leds(list, { D13, D12 }) {
+        const out = { D13, D12 };
+        list.filter(f => f.kind === 'led').forEach(f => { out[f.target] = !!f.value; });
+        return out;
+    }
+
+    // LCD rows as displayed. Garbling is a deterministic function of the
+    // text and the time, so a replay shows the same pattern.
+    function lcd(list, rows, t) {
+        const f = last(list, 'lcd');
+        if (!f) return rows;
+        if (f.target === 'blank') return rows.map(() => '');
+        const frame = Math.floor(t / GARBLE_MS);
+        return rows.map((text, r) => text.split('').map((ch, i) => {
+            const h = Math.abs(Math.sin((i + 1) * 12.9898 + (r + 1) * 78.233 + frame * 37.719) * 43758.5453) % 1;
+            return h < 0.35 ? GLYPHS[Math.floor(h * 1000) % GLYPHS.length] : ch;
+        }).join(''));
+    }
+
+
+    return { KINDS, validate, describe, code, effects, active, changes, label, pins, sensor, erratic, brakeGain, leds, lcd };
+}));
@@ -0,0 +1,174 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         gamepad.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Gamepad and steering-wheel input for the Adaptive Cruise      │
+ * │                Control (ACC) simulation. Maps a Gamepad API snapshot onto    │
+ * │                the Uno's inputs: analog triggers or pedal axes become        │
+ * │                proportional A0/A1 voltages (0–5 V), buttons press the three  │
+ * │                mode pins (A2–A4) and the cruise stalk. The mapping is        │
+ * │                validated, described for the remapping dialog, and a new      │
+ * │                binding is captured from whichever control moves. Pure        │
+ * │                functions only; the dashboard polls the pad and applies them. │
+ * │                                                                              │
+ * │  Inputs:       button (digital or analog trigger) · axis (one half of a      │
+ * │                stick) · pedal (a full axis resting at one end)               │
+ * │  Exports:      window.ACCGamepad (browser) · module.exports (Node)           │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./modes.js'));
+    else root.ACCGamepad = factory(root.ACCModes);
+}(typeof self !== 'undefined' ? self : this, function (ACCModes) {
+    'use strict';
+
+    // ─── ACTIONS ─────────────────────────────────────────────────────────────────
+    // What a control can be bound to: an analog pin driven proportionally,
+    // a mode pin pulsed like its button, or a cruise stalk command.
+    const ACTIONS = {
+        throttle: { name: 'Throttle', pin: 'A0', analog: true },
+        brake: { name: 'Brake', pin: 'A1', analog: true },
+        cancel: { name: 'Cancel', pin: 'A2' },
+        cruise: { name: 'Cruise', pin: 'A3' },
+        acc: { name: 'ACC', pin: 'A4' },
+        set: { name: 'SET', stalk: 'set' },
+        resume: { name: 'RES', stalk: 'resume' },
+        up1: { name: '+1', stalk: 'up1' },
+        down1: { name: '−1', stalk: 'down1' },
+        up5: { name: '+5', stalk: 'up5' },
+        down5: { name: '−5', stalk: 'down5' },
+        off: { name: 'Stalk CANCEL', stalk: 'cancel' },
+    };
+
+    const TYPES = ['button', 'axis', 'pedal'];
+
+    // The W3C "standard" layout: right/left triggers as the pedals, B/X/Y
+    // as Cancel/Cruise/ACC, A and the bumpers on the stalk, the D-pad
+    // stepping the set speed (up/down by 1, right/left by 5).
+    const DEFAULT_MAPPING = {
+        throttle: { type: 'button', index: 7 },
+        brake: { type: 'button', index: 6 },
+        cancel: { type: 'button', index: 1 },
+        cruise: { type: 'button', index: 2 },
+        acc: { type: 'button', index: 3 },
+        set: { type: 'button', index: 0 },
+        resume: { type: 'button', index: 5 },
+        up1: { type: 'button', index: 12 },
+        down1: { type: 'button', index: 13 },
+        up5: { type: 'button', index: 15 },
+        down5: { type: 'button', index: 14 },
+        off: { type: 'button', index: 4 },
+    };
+
+    const LIMITS = {
+        deadzone: ACCModes.LIMITS.pedal,    // Travel ignored at rest (0–1)
+        pressed: 0.5,                       // A digital action is held above this
+        capture: 0.5,                       // Movement that binds a control
+        rest: 0.9,                          // |axis| at rest that marks a pedal
+        volts: 5,
+    };
+
+
+    // ─── MAPPING ─────────────────────────────────────────────────────────────────
+    // Bindings are { type, index } with dir ±1 for axes and pedals: an axis
+    // counts from centre toward dir, a pedal from -dir (rest) to dir.
+    function validate(from = {}) {
+        const m = {};
+        Object.keys(ACTIONS).forEach(id => {
+            const b = from[id] === undefined ? DEFAULT_MAPPING[id] : from[id];
+            if (b === null) {
+                m[id] = null;
+                return;
+            }
+            if (!b || !TYPES.includes(b.type)) throw new Error(`${ACTIONS[id].name}: unknown input type`);
+            if (!Number.isInteger(b.index) || b.index < 0) throw new Error(`${ACTIONS[id].name}: bad input index`);
+            if (b.type !== 'button' && b.dir !== 1 && b.dir !== -1) throw new Error(`${ACTIONS[id].name}: axis direction must be ±1`);
+            m[id] = b.type === 'button' ? { type: b.type, index: b.index } : { type: b.type, index: b.index, dir: b.dir };
+        });
+        Object.keys(from).forEach(id => {
+            if (!ACTIONS[id]) throw new Error(`Unknown action "${id}"`);
+        });
+        return m;
+    }
+
+    // e.g. 'Button 7', 'Axis 1 −', 'Pedal 2 +', 'Unbound'.
+    function describe(binding) {
+        if (!binding) return 'Unbound';
+        const name = binding.type[0].toUpperCase() + binding.type.slice(1);
+        return binding.type === 'button' ? `${name} ${binding.index}` : `${name} ${binding.index} ${binding.dir > 0 ? '+' : '−'}`;
+    }
+
+
+    // ─── READING ─────────────────────────────────────────────────────────────────
+    // A snapshot is { axes: [-1…1], buttons: [{ pressed, value }] }, as
+    // navigator.getGamepads() returns it.
+    function raw(pad, b) {
+        if (!b) return 0;
+        if (b.type === 'button') {
+            const button = pad.buttons[b.index];
+            return button ? Math.max(button.value, button.pressed ? 1 : 0) : 0;
+        }
+        const a = pad.axes[b.index] || 0;
+        return b.type === 'axis' ? Math.max(0, a * b.dir) : (1 + a * b.dir) / 2;
+    }
+
+    // Travel of a binding, 0–1, with the dead zone cut out and the rest
+    // stretched so full travel still reads 1.
+    function level(pad, b) {
+        const v = Math.min(1, raw(pad, b));
+        return v <= LIMITS.deadzone ? 0 : (v - LIMITS.deadzone) / (1 - LIMITS.deadzone);
+    }
+
+    // The pad's inputs: { volts: { A0, A1 }, held: { action: bool },
+    // pressed: [actions] }. `pressed` lists the digital actions whose
+    // control went down since `previous` (the last read's held).
+    function read(pad, mapping, previous = {}) {
+        const volts = {}, held = {}, pressed = [];
+        Object.keys(ACTIONS).forEach(id => {
+            const action = ACTIONS[id];
+            if (action.analog) {
+                volts[action.pin] = Math.round(level(pad, mapping[id]) * LIMITS.volts * 100) / 100;
+                return;
+            }
+            held[id] = level(pad, mapping[id]) > LIMITS.pressed;
+            if (held[id] && !previous[id]) pressed.push(id);
+        });
+        return { volts, held, pressed };
+    }
+
+    // The control that moved since `baseline` (a snapshot taken when the
+    // dialog asked for it), or null. A button binds as a button; an axis
+    // resting near one end binds as a pedal, otherwise as the half of the
+    // stick it was pushed toward.
+    function capture(pad, baseline) {
+        for (let i = 0; i < pad.buttons.length; i++) {
+            const was = raw(baseline, { type: 'button', index: i });
+            if (raw(pad, { type: 'button', index: i }) - was > LIMITS.capture) return { type: 'button', index: i };
+        }
+        for (let i = 0; i < pad.axes.length; i++) {
+            const from = baseline.axes[i] || 0;
+            const moved = pad.axes[i] - from;
+            if (Math.abs(moved) <= LIMITS.capture) continue;
+            const dir = moved > 0 ? 1 : -1;
+            return Math.abs(from) > LIMITS.rest ? { type: 'pedal', index: i, dir } : { type: 'axis', index: i, dir };
+        }
+        return null;
+    }
+
+    // A plain copy of a live Gamepad, so it can serve as a baseline.
+    function snapshot(pad) {
+        return {
+            axes: Array.from(pad.axes),
+            buttons: Array.from(pad.buttons, b => ({ pressed: b.pressed, value: b.value })),
+        };
+    }
+
+
+    return { ACTIONS, DEFAULT_MAPPING, LIMITS, validate, describe, read, capture, snapshot };
+}));
@@ -0,0 +1,224 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         history.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Time-series history for the Adaptive Cruise Control (ACC)     │
+ * │                simulation. Records one sample of the dashboard state per     │
+ * │                fixed step (mode, speed, cruise target, measured distance,    │
+ * │                safety threshold, pins A0–A4, D12/D13, status key, active     │
+ * │                faults) into column arrays, looks samples up by time for      │
+ * │                the chart panel and its cursor, and converts sessions to      │
+ * │                and from CSV and JSON for offline analysis. Pure functions    │
+ * │                only.                                                         │
+ * │                                                                              │
+ * │  Units:        Time in s, speeds in km/h, distances in sensor meters;        │
+ * │                exports use the selected units (units.js).                    │
+ * │  Exports:      window.ACCHistory (browser) · module.exports (Node)           │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./traffic.js'), require('./controllers.js'), require('./engine.js'),
+            require('./faults.js'), require('./units.js'));
+    } else {
+        root.ACCHistory = factory(root.TrafficModel, root.ACCControllers, root.ACCEngine, root.ACCFaults, root.ACCUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (TrafficModel, ACCControllers, ACCEngine, ACCFaults, ACCUnits) {
+    'use strict';
+
+    // Recorded columns, in order. `status` is the dashboard status key and
+    // `faults` the codes of the faults active during the step, separated by
+    // spaces; every other column is numeric.
+    const FIELDS = ['t', 'mode', 'speed', 'target', 'distance', 'threshold',
+        'A0', 'A1', 'A2', 'A3', 'A4', 'D12', 'D13', 'status', 'faults'];
+    const TEXT = ['status', 'faults'];
+
+    // Decimals written per column on export; unlisted columns are written as is.
+    const DECIMALS = { t: 2, speed: 3, distance: 4, threshold: 4, A0: 2, A1: 2, A2: 2, A3: 2, A4: 2 };
+
+    // Columns holding a speed or a distance. They are exported in the selected
+    // units (ACCUnits); a CSV header names any unit other than km/h and
+    // meters, e.g. speed_mph, so the file can be read back.
+    const QUANTITY = { speed: 'speed', target: 'speed', distance: 'distance', threshold: 'distance' };
+    const SUFFIX = { 'km/h': 'kmh', 'mph': 'mph', 'm/s': 'ms', 'm': 'm', 'ft': 'ft' };
+
+    // Identifies exported JSON sessions.
+    const FORMAT = 'acc-session';
+    const VERSION = 1;
+
+    // Samples kept: 30 minutes of 10 ms steps. Older samples are dropped in
+    // chunks of TRIM so trimming does not shift the arrays on every step.
+    const CAPACITY = 180000;
+    const TRIM = 6000;
+
+
+    // ─── STATE ───────────────────────────────────────────────────────────────────
+    function createTrace() {
+        const trace = { length: 0 };
+        FIELDS.forEach(f => { trace[f] = []; });
+        return trace;
+    }
+
+    // The distance the active controller brakes at: the MATLAB 0.30m rule, or
+    // the desired gap of a time-gap controller while Adaptive mode is engaged.
+    function threshold(state) {
+        const ctrl = ACCControllers.get(state.controller);
+        if (state.mode !== ACCEngine.MODES.ADAPTIVE || !ctrl.timeGap || state.model !== 'physics') {
+            return ACCEngine.SAFE_DISTANCE;
+        }
+        return TrafficModel.toSensor(ACCControllers.desiredGap(state.headway, state.vehicle.v), state.scale);
+    }
+
+    // Turns the dashboard state (the engine state plus the sampled pins and
+    // the current status key) into one row of the trace.
+    function sample(state) {
+        const pins = state.pins || {};
+        return {
+            t: state.t / 1000,
+            mode: state.mode,
+            speed: state.speed,
+            target: state.constant,
+            distance: state.distance,
+            threshold: threshold(state),
+            A0: pins.A0 || 0, A1: pins.A1 || 0, A2: pins.A2 || 0, A3: pins.A3 || 0, A4: pins.A4 || 0,
+            D12: state.D12 ? 1 : 0,
+            D13: state.D13 ? 1 : 0,
+            status: state.status || '',
+            faults: ACCFaults.label(state.faults, state.t - ACCEngine.DT),
+        };
+    }
+
+
+    // ─── RECORDING ───────────────────────────────────────────────────────────────
+    // Appends a sample of `state` to `trace` in place and returns the trace;
+    // the arrays grow every step, so copying them would be too costly.
+    function record(trace, state) {
+        const row = sample(state);
+        FIELDS.forEach(f => trace[f].push(row[f]));
+        trace.length++;
+        if (trace.length > CAPACITY + TRIM) {
+            FIELDS.forEach(f => trace[f].splice(0, TRIM));
+            trace.length -= TRIM;
+        }
+        return trace;
+    }
+
+
+    // ─── LOOKUP ──────────────────────────────────────────────────────────────────
+    // Index of the last sample at or before time t (s); 0 when t precedes
+    // the trace and −1 when it is empty. Binary search: times only increase.
+    function indexAt(trace, t) {
+        let lo = 0, hi = trace.length - 1;
+        if (hi < 0) return -1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (trace.t[mid] <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    function at(trace, i) {
+        const row = {};
+        FIELDS.forEach(f => { row[f] = trace[f][i]; });
+        return row;
+    }
+
+
+    // ─── EXPORT ──────────────────────────────────────────────────────────────────
+    // The unit a column is exported in, or null for a column without one.
+    function unitOf(field, units) {
+        return QUANTITY[field] ? ACCUnits.SYSTEMS[units][QUANTITY[field]] : null;
+    }
+
+    function format(field, value, units = 'metric') {
+        const unit = unitOf(field, units);
+        const v = unit ? value * ACCUnits.FACTORS[unit] : value;
+        return DECIMALS[field] !== undefined ? Number(v.toFixed(DECIMALS[field])) : v;
+    }
+
+    function header(field, units) {
+        const unit = unitOf(field, units);
+        return unit && ACCUnits.FACTORS[unit] !== 1 ? `${field}_${SUFFIX[unit]}` : field;
+    }
+
+    // One header row, then one row per step. Status keys and fault codes
+    // never contain commas.
+    function toCSV(trace, units = 'metric') {
+        const lines = [FIELDS.map(f => header(f, units)).join(',')];
+        for (let i = 0; i < trace.length; i++) {
+            lines.push(FIELDS.map(f => format(f, trace[f][i], units)).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // Column-oriented, so a notebook can load it straight into a data frame:
+    // { format, version, meta, units, fields, columns: { t: [...], speed: [...], ... } }
+    // where `units` gives the speed and distance units of the columns.
+    function toJSON(trace, meta = {}, units = 'metric') {
+        const columns = {};
+        FIELDS.forEach(f => { columns[f] = trace[f].slice(0, trace.length).map(v => format(f, v, units)); });
+        const { speed, distance } = ACCUnits.SYSTEMS[units];
+        return JSON.stringify({ format: FORMAT, version: VERSION, meta, units: { speed, distance }, fields: FIELDS, columns });
+    }
+
+
+    // ─── IMPORT ──────────────────────────────────────────────────────────────────
+    // Reads a session written by toCSV() or toJSON() back into a trace,
+    // converting speeds and distances back to km/h and meters. Missing
+    // columns are filled with 0 (or '' for text) so sessions from older
+    // exports still chart; rows must be in time order. Throws an Error with
+    // a readable message when the text is neither format.
+    function parse(text) {
+        const body = String(text).trim();
+        const trace = createTrace();
+        const factors = {};
+        let columns;
+
+        if (body.startsWith('{')) {
+            const data = JSON.parse(body);
+            if (data.format !== FORMAT || !data.columns || !Array.isArray(data.columns.t)) {
+                throw new Error('Not an ACC session file');
+            }
+            columns = data.columns;
+            trace.length = data.columns.t.length;
+            const units = data.units || {};
+            Object.keys(QUANTITY).forEach(f => { factors[f] = ACCUnits.FACTORS[units[QUANTITY[f]]] || 1; });
+        } else {
+            const rows = body.split(/\r?\n/).map(line => line.split(','));
+            const header = rows.shift().map(h => h.trim());
+            if (!header.includes('t')) throw new Error('CSV header has no "t" column');
+            columns = {};
+            header.forEach((h, k) => {
+                const [, field, suffix] = h.match(/^(\w+?)_(\w+)$/) || [];
+                const unit = Object.keys(SUFFIX).find(u => SUFFIX[u] === suffix);
+                const name = QUANTITY[field] && unit ? field : h;
+                if (name !== h) factors[name] = ACCUnits.FACTORS[unit];
+                columns[name] = rows.map(r => (TEXT.includes(name) ? (r[k] || '').trim() : parseFloat(r[k])));
+            });
+            trace.length = rows.length;
+        }
+
+        FIELDS.forEach(f => {
+            const col = columns[f];
+            trace[f] = [];
+            for (let i = 0; i < trace.length; i++) {
+                const v = col ? col[i] : undefined;
+                trace[f].push(TEXT.includes(f) ? String(v || '') : (Number.isFinite(v) ? v / (factors[f] || 1) : 0));
+            }
+        });
+        for (let i = 1; i < trace.length; i++) {
+            if (trace.t[i] < trace.t[i - 1]) throw new Error(`Time goes backwards at row ${i + 1}`);
+        }
+        return trace;
+    }
+
+
+    return { FIELDS, CAPACITY, FORMAT, VERSION, createTrace, threshold, sample, record, indexAt, at, toCSV, toJSON, parse };
+}));
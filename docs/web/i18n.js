@@ -0,0 +1,472 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         i18n.js                                                       │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Message catalogue for the Adaptive Cruise Control (ACC)       │
+ * │                simulation. The engine and the dashboard write English; this  │
+ * │                module translates their status messages, mode names, serial   │
+ * │                log lines and LCD rows into the selected locale, formats      │
+ * │                numbers with the locale's decimal separator, and renders the  │
+ * │                LCD so every language fits the 16×2 character display. Text   │
+ * │                the catalogue does not know stays in English. Pure functions  │
+ * │                only.                                                         │
+ * │                                                                              │
+ * │  Locales:      en (English, the source language) · de (Deutsch)              │
+ * │  Exports:      window.ACCI18n (browser) · module.exports (Node)              │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCI18n = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ─── LOCALES ─────────────────────────────────────────────────────────────────
+    // `tag` is the BCP 47 tag number formatting uses.
+    const LOCALES = {
+        en: { name: 'English', tag: 'en-US' },
+        de: { name: 'Deutsch', tag: 'de-DE' },
+    };
+    const DEFAULT_LOCALE = 'en';
+
+    // The HD44780 character display the sketch drives.
+    const LCD = { cols: 16, rows: 2 };
+
+
+    // ─── CATALOGUES ──────────────────────────────────────────────────────────────
+    // Per locale other than English:
+    //   status     status bar messages by STATUS_MSGS key
+    //   phrases    exact English strings: names, labels and fixed log lines
+    //   templates  [English, translation] with {name} placeholders, tried in
+    //              order, so a specific template goes before a general one.
+    //              Each placeholder's text is translated in turn, except
+    //              those in VERBATIM.
+    //   lcd        [English, translation] templates for the LCD rows; the
+    //              renderer transliterates them to the display's ASCII.
+    const CATALOGUES = {
+        de: {
+            status: {
+                normal_idle: 'Normalmodus — Fahrzeug steht. ▲ oder W zum Beschleunigen.',
+                normal_accel: 'Normalmodus — Beschleunigen. Der Gasbefehl folgt dem Gaspedal an A0.',
+                normal_brake: 'Normalmodus — Bremsen. Der Bremsbefehl folgt dem Bremspedal an A1.',
+                normal_drag: 'Normalmodus — Keine Eingabe. Luft- und Rollwiderstand verringern die Geschwindigkeit.',
+                cruise_hold: 'Tempomat — Die Geschwindigkeit wird automatisch gehalten. Kein Ausrollen.',
+                cruise_accel: 'Tempomat — Fahrereingriff: Beschleunigen über die Sollgeschwindigkeit.',
+                cruise_brake: 'Tempomat — Fahrereingriff: Die Geschwindigkeit sinkt.',
+                adaptive_safe: 'Abstandstempomat — Fahrbahn frei. Zurück zur Sollgeschwindigkeit: ',
+                adaptive_follow: 'Abstandstempomat — Folgt dem Vorderfahrzeug mit der gewählten Zeitlücke: ',
+                adaptive_danger: 'Abstandstempomat — ⚠ Abstand < 0,3 m! Automatische Verzögerung zur Sicherheit.',
+                adaptive_gap_danger: 'Abstandstempomat — ⚠ Schnelle Annäherung an das Vorderfahrzeug! Bremsen an der Verzögerungsgrenze.',
+                adaptive_cap: 'Abstandstempomat — Sollgeschwindigkeit erreicht. Die Geschwindigkeit wird gehalten.',
+                adaptive_override: 'Abstandstempomat — Fahrereingriff: Gaspedal betätigt. ACC setzt beim Loslassen fort.',
+                fcw_caution: 'Abstandstempomat — Vorsicht: Annäherung an das Vorderfahrzeug. TTC ',
+                fcw_danger: 'Abstandstempomat — ⚠ KOLLISIONSWARNUNG! Bremsbereit sein. TTC ',
+                takeover_danger: 'Abstandstempomat — ⚠ JETZT ÜBERNEHMEN! CANCEL (A2) drücken und bremsen. TTC ',
+                aeb_danger: 'Abstandstempomat — ⚠ NOTBREMSUNG! Kollision steht bevor. TTC ',
+                stopgo_hold: 'Abstandstempomat — Hinter dem Vorderfahrzeug angehalten, Bremse gehalten.',
+                stopgo_wait: 'Abstandstempomat — Stillstand. RES drücken oder Gaspedal antippen zum Anfahren.',
+                stopgo_go: 'Abstandstempomat — Fährt hinter dem Vorderfahrzeug an.',
+            },
+
+            phrases: {
+                // Modes and the mode state machine
+                'Normal': 'Normal',
+                'Cruise': 'Tempomat',
+                'Adaptive': 'Adaptiv',
+                'Normal Mode': 'Normalmodus',
+                'Cruise Mode': 'Tempomat',
+                'Adaptive Mode': 'Abstandstempomat',
+                'Off': 'Aus',
+                'Standby': 'Bereitschaft',
+                'Cruise Active': 'Tempomat aktiv',
+                'ACC Active': 'ACC aktiv',
+                'Override': 'Übersteuert',
+                'Fault': 'Störung',
+                'brake pedal': 'Bremspedal',
+                'accelerator': 'Gaspedal',
+                'accelerator released': 'Gaspedal losgelassen',
+                'implausible sensor data': 'unplausible Sensordaten',
+                'the MATLAB model has no cruise stalk': 'das MATLAB-Modell hat keinen Tempomathebel',
+                'Stalk CANCEL': 'Hebel CANCEL',
+                'Throttle': 'Gas',
+                'Brake': 'Bremse',
+                'Cancel': 'Abbrechen',
+                'Unbound': 'Nicht belegt',
+
+                // Forward collision warning stages
+                'clear': 'frei',
+                'caution': 'Vorsicht',
+                'warning': 'Warnung',
+                'takeover': 'Übernahme',
+                'brake': 'Bremsung',
+
+                // Vehicle models, controllers, traffic, sensor filters, units
+                'Physics': 'Physik',
+                'Discrete': 'Diskret',
+                'MATLAB parity': 'MATLAB-Parität',
+                'Constant Time-Gap': 'Konstante Zeitlücke',
+                'Linear MPC': 'Lineare MPC',
+                'Manual (slider)': 'Manuell (Schieberegler)',
+                'Constant speed': 'Konstante Geschwindigkeit',
+                'Cut-in': 'Einscherer',
+                'Hard brake': 'Vollbremsung',
+                'Traffic jam': 'Stau',
+                'Sinusoidal': 'Sinusförmig',
+                'Speed dip': 'Geschwindigkeitseinbruch',
+                'None': 'kein',
+                'Metric': 'Metrisch',
+                'Imperial': 'Imperial',
+
+                // Faults
+                'A0 accelerate': 'A0 Gas',
+                'A1 brake': 'A1 Bremse',
+                'A2 cancel': 'A2 Abbrechen',
+                'A3 cruise': 'A3 Tempomat',
+                'A4 adaptive': 'A4 Abstandstempomat',
+                'D13 green': 'D13 grün',
+                'D12 red': 'D12 rot',
+                'HC-SR04 frozen on its last reading': 'HC-SR04 auf dem letzten Messwert eingefroren',
+                'HC-SR04 dead — no echo': 'HC-SR04 ausgefallen — kein Echo',
+                'HC-SR04 erratic — random readings': 'HC-SR04 sprunghaft — zufällige Messwerte',
+                'Brake actuator failed — no braking force': 'Bremsaktor ausgefallen — keine Bremskraft',
+                'LCD garbled': 'LCD verstümmelt',
+                'LCD blank': 'LCD leer',
+                'gap reading frozen': 'Abstandsmessung eingefroren',
+                'lead vehicle invisible': 'Vorderfahrzeug unsichtbar',
+                'gap reading erratic': 'Abstandsmessung sprunghaft',
+                'no brakes': 'keine Bremsen',
+                'Degraded': 'Eingeschränkt',
+
+                // Scenario results
+                'ok': 'ok',
+                'never observed (window outside the run)': 'nie beobachtet (Zeitfenster außerhalb des Laufs)',
+
+                // Presets
+                'Setup from the link': 'Einstellung aus dem Link',
+
+                // Command line help
+                'list the commands': 'Befehle auflisten',
+                'press Cancel, Cruise or ACC, as keys 1/2/3': 'Cancel, Cruise oder ACC drücken, wie die Tasten 1/2/3',
+                'set the HC-SR04 distance in m (manual traffic)': 'HC-SR04-Abstand in m setzen (manueller Verkehr)',
+                'set speed in the display units': 'Sollgeschwindigkeit in den Anzeigeeinheiten',
+                'press a cruise stalk command': 'einen Befehl am Tempomathebel drücken',
+                'hold a pin at a voltage': 'einen Pin auf einer Spannung halten',
+                'pause or resume the clock': 'die Uhr anhalten oder fortsetzen',
+                'advance one 10 ms step while paused': 'im Pausenzustand einen 10-ms-Schritt weiter',
+                'empty the monitor': 'den Monitor leeren',
+                'Not ready — the system is still booting': 'Nicht bereit — das System startet noch',
+
+                // Boot sequence
+                'Initializing system — Arduino Uno connecting on COM5...': 'System wird initialisiert — Arduino Uno verbindet sich an COM5...',
+                'Startup sequence — Displaying project welcome message...': 'Startsequenz — Begrüßung des Projekts wird angezeigt...',
+                'Startup sequence — Displaying team information...': 'Startsequenz — Teaminformationen werden angezeigt...',
+                'Arduino Uno R3 · COM5 · 9600 baud': 'Arduino Uno R3 · COM5 · 9600 Baud',
+                'Author: Amey Thakur': 'Autor: Amey Thakur',
+                'Initializing: Ultrasonic, ExampleLCD/LCDAddOn': 'Initialisierung: Ultrasonic, ExampleLCD/LCDAddOn',
+                'LCD initialized. Welcome screen...': 'LCD initialisiert. Begrüßungsbildschirm...',
+                'Group info displayed.': 'Gruppeninfo angezeigt.',
+                'System ready. Entering control loop.': 'System bereit. Regelschleife startet.',
+                'Keys: ↑/W Accel · ↓/S Brake · ←/A Closer · →/D Farther · 1/2/3 Mode · G Time Gap · P Pause · N Step':
+                    'Tasten: ↑/W Gas · ↓/S Bremse · ←/A Näher · →/D Weiter · 1/2/3 Modus · G Zeitlücke · P Pause · N Schritt',
+                'ACC Vehicle Horn: HOOOOONK! 🔊': 'ACC-Fahrzeug hupt: TUUUUUT! 🔊',
+            },
+
+            templates: [
+                // Discrete (MATLAB) model
+                ['NORMAL MODE: Acceleration active.Speed: {v} km / h', 'NORMALMODUS: Beschleunigung aktiv. Geschwindigkeit: {v} km/h'],
+                ['NORMAL MODE: Braking active.Speed decreased: {v} km / h', 'NORMALMODUS: Bremsen aktiv. Geschwindigkeit gesenkt: {v} km/h'],
+                ['CRUISE MODE: Manual acceleration.Speed: {v} km / h', 'TEMPOMAT: Manuelle Beschleunigung. Geschwindigkeit: {v} km/h'],
+                ['CRUISE MODE: Manual brake applied. Vehicle stopped.', 'TEMPOMAT: Manuell gebremst. Fahrzeug steht.'],
+                ['CRUISE MODE: Manual braking.Speed decreased: {v} km / h', 'TEMPOMAT: Manuelles Bremsen. Geschwindigkeit gesenkt: {v} km/h'],
+                ['ADAPTIVE WARNING: Dist {d} m | Speed decreased: {v} km / h', 'ABSTANDSWARNUNG: Abstand {d} m | Geschwindigkeit gesenkt: {v} km/h'],
+                ['ADAPTIVE MODE: Collision avoidance - Vehicle stopped.', 'ABSTANDSTEMPOMAT: Kollision vermieden - Fahrzeug steht.'],
+                ['KINETIC DRAG: Speed decreased: {v} km / h', 'AUSROLLEN: Geschwindigkeit gesenkt: {v} km/h'],
+                ['KINETIC DRAG: Momentum lost. Vehicle stopped.', 'AUSROLLEN: Schwung verloren. Fahrzeug steht.'],
+
+                // Physics model
+                ['NORMAL MODE: Throttle {pct}% | Accelerating from {speed}', 'NORMALMODUS: Gas {pct} % | Beschleunigt von {speed}'],
+                ['NORMAL MODE: Brake {pct}% | Decelerating from {speed}', 'NORMALMODUS: Bremse {pct} % | Verzögert von {speed}'],
+                ['NORMAL MODE: Vehicle stopped ({speed})', 'NORMALMODUS: Fahrzeug steht ({speed})'],
+                ['KINETIC DRAG: Coasting from {speed}', 'AUSROLLEN: Rollt aus von {speed}'],
+                ['CRUISE MODE: Driver override from {speed} | Resumes {set} on release',
+                    'TEMPOMAT: Fahrereingriff ab {speed} | Setzt beim Loslassen mit {set} fort'],
+                ['CRUISE MODE: Holding {set}', 'TEMPOMAT: Hält {set}'],
+                ['ADAPTIVE MODE: Driver override from {speed} | Resumes {set} on release',
+                    'ABSTANDSTEMPOMAT: Fahrereingriff ab {speed} | Setzt beim Loslassen mit {set} fort'],
+                ['ADAPTIVE WARNING: Dist {d} | Braking from {speed}', 'ABSTANDSWARNUNG: Abstand {d} | Bremst von {speed}'],
+                ['ADAPTIVE WARNING: Gap {gap} < half of {h} s time gap | Braking from {speed}',
+                    'ABSTANDSWARNUNG: Lücke {gap} < Hälfte der Zeitlücke von {h} s | Bremst von {speed}'],
+                ['ADAPTIVE MODE: Following lead vehicle | {controller}, time gap {h} s, desired gap {gap}',
+                    'ABSTANDSTEMPOMAT: Folgt dem Vorderfahrzeug | {controller}, Zeitlücke {h} s, Sollabstand {gap}'],
+                ['ADAPTIVE MODE: Holding target {set}', 'ABSTANDSTEMPOMAT: Hält Ziel {set}'],
+                ['ADAPTIVE MODE: Path clear | Speed returning to {set}', 'ABSTANDSTEMPOMAT: Fahrbahn frei | Geschwindigkeit steigt auf {set}'],
+                ['ADAPTIVE MODE: Standstill hold | Drives off if the lead vehicle departs within {n} s',
+                    'ABSTANDSTEMPOMAT: Stillstand | Fährt an, wenn das Vorderfahrzeug binnen {n} s losfährt'],
+                ['ADAPTIVE MODE: Standstill hold | Press RES or tap the accelerator to drive off',
+                    'ABSTANDSTEMPOMAT: Stillstand | RES drücken oder Gaspedal antippen zum Anfahren'],
+                ['ADAPTIVE MODE: Standstill hold', 'ABSTANDSTEMPOMAT: Stillstand'],
+                ['ADAPTIVE MODE: Driving off behind the lead vehicle | Target {set}',
+                    'ABSTANDSTEMPOMAT: Fährt hinter dem Vorderfahrzeug an | Ziel {set}'],
+                ['COLLISION: Gap to lead vehicle closed at {speed}', 'KOLLISION: Lücke zum Vorderfahrzeug bei {speed} geschlossen'],
+                ['PLATOON: Vehicle {i} collided with vehicle {j}', 'KOLONNE: Fahrzeug {i} ist mit Fahrzeug {j} kollidiert'],
+
+                // Mode state machine and cruise stalk
+                ['MODE: {from} → {to} ({event}, resumed) | {detail}', 'MODUS: {from} → {to} ({event}, fortgesetzt) | {detail}'],
+                ['MODE: {from} → {to} ({event}) | {detail}', 'MODUS: {from} → {to} ({event}) | {detail}'],
+                ['MODE: {event} rejected — {reason}', 'MODUS: {event} abgelehnt — {reason}'],
+                ['Mode {n} | Holding {set}', 'Modus {n} | Hält {set}'],
+                ['Mode {n} | Target {set}', 'Modus {n} | Ziel {set}'],
+                ['Mode {n}', 'Modus {n}'],
+                ['{speed} is below the {min} minimum', '{speed} liegt unter dem Minimum von {min}'],
+                ['{event} does nothing in {state}', '{event} bewirkt nichts in {state}'],
+                ['no set speed in {state}', 'keine Sollgeschwindigkeit in {state}'],
+                ['STALK: {command} rejected — {reason}', 'HEBEL: {command} abgelehnt — {reason}'],
+                ['STALK: {command} | Set speed {from} → {to}', 'HEBEL: {command} | Sollgeschwindigkeit {from} → {to}'],
+
+                // Supervisor and forward collision warning
+                ['SUPERVISOR: Implausible sensor data ({reason})', 'ÜBERWACHUNG: Unplausible Sensordaten ({reason})'],
+                ['gap reading jumped faster than {rate} m/s on {n} readings in a row',
+                    'Abstandsmessung sprang {n}-mal in Folge schneller als {rate} m/s'],
+                ['FCW: Threat cleared', 'FCW: Gefahr vorüber'],
+                ['FCW: Easing to {stage} | TTC {ttc} s', 'FCW: Zurück auf {stage} | TTC {ttc} s'],
+                ['FCW: Easing to {stage}', 'FCW: Zurück auf {stage}'],
+                ['FCW CAUTION: Closing on the lead vehicle{at}', 'FCW VORSICHT: Annäherung an das Vorderfahrzeug{at}'],
+                ['FCW WARNING: Collision risk{at}', 'FCW WARNUNG: Kollisionsgefahr{at}'],
+                ['TAKEOVER REQUEST: Press CANCEL (A2) and brake{at}', 'ÜBERNAHMEAUFFORDERUNG: CANCEL (A2) drücken und bremsen{at}'],
+                ['EMERGENCY BRAKE: {decel} m/s² until the threat clears{at}', 'NOTBREMSUNG: {decel} m/s² bis die Gefahr vorüber ist{at}'],
+                [' | TTC {ttc} s', ' | TTC {ttc} s'],
+
+                // Settings
+                ['ADAPTIVE CONTROLLER: {controller} (time gap {h} s)', 'ABSTANDSREGLER: {controller} (Zeitlücke {h} s)'],
+                ['ADAPTIVE CONTROLLER: {controller} ({d} threshold)', 'ABSTANDSREGLER: {controller} (Schwelle {d})'],
+                ['STOP-AND-GO: Drives off by itself for {n} s after stopping, then waits for RES',
+                    'STOP-AND-GO: Fährt nach dem Anhalten {n} s lang selbst an, danach wartet es auf RES'],
+                ['STOP-AND-GO: Always waits for RES after stopping', 'STOP-AND-GO: Wartet nach dem Anhalten immer auf RES'],
+                ['TIME GAP: Set to {h} s | Desired gap at {speed}: {gap}', 'ZEITLÜCKE: {h} s | Sollabstand bei {speed}: {gap}'],
+                ['VEHICLE MODEL: Discrete (MATLAB parity, ±1 km/h per iteration) at {speed}',
+                    'FAHRZEUGMODELL: Diskret (MATLAB-Parität, ±1 km/h pro Iteration) bei {speed}'],
+                ['VEHICLE MODEL: Physics (longitudinal dynamics) at {speed}', 'FAHRZEUGMODELL: Physik (Längsdynamik) bei {speed}'],
+                ['UNITS: {system} — speeds in {speed}, distances in {distance}',
+                    'EINHEITEN: {system} — Geschwindigkeiten in {speed}, Entfernungen in {distance}'],
+                ['BENCH SCALE: 1 cm = {road} on the road | {bench} on the bench = {gap}',
+                    'PRÜFSTANDSMASSSTAB: 1 cm = {road} auf der Straße | {bench} am Prüfstand = {gap}'],
+                ['SENSOR: Ideal — reading equals the true distance', 'SENSOR: Ideal — der Messwert ist der wahre Abstand'],
+                ['SENSOR: HC-SR04 · {filter} filter | {period} ms, σ {sigma} mm, {tick} µs ticks, dropout {dropout}%, spurious {spurious}%, cone ±{cone}°',
+                    'SENSOR: HC-SR04 · Filter {filter} | {period} ms, σ {sigma} mm, {tick}-µs-Takt, Aussetzer {dropout} %, Fehlechos {spurious} %, Kegel ±{cone}°'],
+                ['TRAFFIC: Manual override — HC-SR04 distance follows the slider', 'VERKEHR: Manuell — der HC-SR04-Abstand folgt dem Schieberegler'],
+                ['TRAFFIC: {profile} — lead vehicle at {speed}, {gap} ahead', 'VERKEHR: {profile} — Vorderfahrzeug mit {speed}, {gap} voraus'],
+                ['LANGUAGE: {name}', 'SPRACHE: {name}'],
+
+                // Faults
+                ['FAULT SCHEDULED: {fault} at {t} s', 'FEHLER GEPLANT: {fault} bei {t} s'],
+                ['FAULT CLEARED: {fault}', 'FEHLER BEHOBEN: {fault}'],
+                ['FAULT: {fault}', 'FEHLER: {fault}'],
+                ['Brake actuator weak — {pct}% force', 'Bremsaktor schwach — {pct} % Kraft'],
+                ['{pin} stuck at {v} V', '{pin} hängt bei {v} V'],
+                ['{led} LED stuck lit', 'LED {led} leuchtet dauerhaft'],
+                ['{led} LED stuck dark', 'LED {led} bleibt dunkel'],
+                ['{pin} reads {v} V', '{pin} liest {v} V'],
+                ['brakes at {pct}%', 'Bremsen bei {pct} %'],
+                ['{led} stuck lit', '{led} leuchtet dauerhaft'],
+                ['{led} stuck dark', '{led} bleibt dunkel'],
+
+                // Dashboard
+                ['PROFILE: {error}', 'PROFIL: {error}'],
+                ['GAMEPAD: Standard layout restored', 'GAMEPAD: Standardbelegung wiederhergestellt'],
+                ['GAMEPAD: Connected — {id}', 'GAMEPAD: Verbunden — {id}'],
+                ['GAMEPAD: Disconnected — {id}', 'GAMEPAD: Getrennt — {id}'],
+                ['GAMEPAD: {action} on {binding}', 'GAMEPAD: {action} auf {binding}'],
+                ['Button {i}', 'Taste {i}'],
+                ['Axis {i} {dir}', 'Achse {i} {dir}'],
+                ['CLOCK: Paused at t = {t} s', 'UHR: Angehalten bei t = {t} s'],
+                ['CLOCK: Resumed', 'UHR: Fortgesetzt'],
+                ['PLATOON: {n} vehicles · {controller} · time gap {h} s · head: {profile}',
+                    'KOLONNE: {n} Fahrzeuge · {controller} · Zeitlücke {h} s · Spitze: {profile}'],
+                ['PLATOON: Off — back to the single ACC vehicle', 'KOLONNE: Aus — zurück zum einzelnen ACC-Fahrzeug'],
+                ['SESSION: Nothing recorded yet', 'SITZUNG: Noch nichts aufgezeichnet'],
+                ['SESSION: Exported {n} samples ({t} s) as {kind}', 'SITZUNG: {n} Messpunkte ({t} s) als {kind} exportiert'],
+                ['SESSION: Imported {file} — {n} samples', 'SITZUNG: {file} importiert — {n} Messpunkte'],
+                ['SESSION: Import failed — {error}', 'SITZUNG: Import fehlgeschlagen — {error}'],
+                ['SCENARIO: {name} — results', 'SZENARIO: {name} — Ergebnisse'],
+                ['SCENARIO: PASS — {n}/{total} expectations met', 'SZENARIO: BESTANDEN — {n}/{total} Erwartungen erfüllt'],
+                ['SCENARIO: FAIL — {n}/{total} expectations met', 'SZENARIO: NICHT BESTANDEN — {n}/{total} Erwartungen erfüllt'],
+                ['SCENARIO: {name} stopped at t = {t} s — not scored', 'SZENARIO: {name} bei t = {t} s gestoppt — nicht bewertet'],
+                ['SCENARIO: Loaded {n} from {file}', 'SZENARIO: {n} aus {file} geladen'],
+                ['SCENARIO: Could not load {file} — {error}', 'SZENARIO: {file} konnte nicht geladen werden — {error}'],
+                ['SCENARIO: {name} — {d} s · {controller}', 'SZENARIO: {name} — {d} s · {controller}'],
+                ['SCENARIO: {error}', 'SZENARIO: {error}'],
+                ['PASS  {text} — {detail}', 'BESTANDEN  {text} — {detail}'],
+                ['FAIL  {text} — {detail}', 'NICHT BESTANDEN  {text} — {detail}'],
+                ['was {v} at {t} s', 'war {v} bei {t} s'],
+                ['lowest {v} at {t} s', 'Minimum {v} bei {t} s'],
+                ['highest {v} at {t} s', 'Maximum {v} bei {t} s'],
+                ['lowest {v}', 'Minimum {v}'],
+                ['highest {v}', 'Maximum {v}'],
+                ['PRESET: Link ignored — {error}', 'PRESET: Link ignoriert — {error}'],
+                ['PRESET: Link copied — {url}', 'PRESET: Link kopiert — {url}'],
+                ['PRESET: Name the preset first', 'PRESET: Zuerst einen Namen eingeben'],
+                ['PRESET: Saved "{name}" — {setup}', 'PRESET: "{name}" gespeichert — {setup}'],
+                ['PRESET: Deleted "{name}"', 'PRESET: "{name}" gelöscht'],
+                ['PRESET: {source} — {setup}', 'PRESET: {source} — {setup}'],
+                ['Loaded "{name}"', '"{name}" geladen'],
+                ['PRESET: {error}', 'PRESET: {error}'],
+                ['SERIAL: Write failed — {error}', 'SERIELL: Schreiben fehlgeschlagen — {error}'],
+                ['SERIAL: Read failed — {error}', 'SERIELL: Lesen fehlgeschlagen — {error}'],
+                ['SERIAL: Skipped "{line}" — {error}', 'SERIELL: "{line}" übersprungen — {error}'],
+                ['SERIAL: Unexpected {type} from the board', 'SERIELL: Unerwartetes {type} von der Platine'],
+                ['SERIAL: Connected to the mock board at {baud} baud', 'SERIELL: Mit der simulierten Platine verbunden, {baud} Baud'],
+                ['SERIAL: Connected to the board at {baud} baud', 'SERIELL: Mit der Platine verbunden, {baud} Baud'],
+                ['SERIAL: Disconnected — dashboard inputs restored', 'SERIELL: Getrennt — Eingaben des Dashboards wiederhergestellt'],
+                ['SERIAL: {name} · protocol v{version}', 'SERIELL: {name} · Protokoll v{version}'],
+                ['SERIAL: {error}', 'SERIELL: {error}'],
+                ['Unknown command "{name}" — type help', 'Unbekannter Befehl "{name}" — help eingeben'],
+                ['Usage: {usage}', 'Aufruf: {usage}'],
+                ['lead vehicle: {list}', 'Vorderfahrzeug: {list}'],
+                ['time gap: {list}', 'Zeitlücke: {list}'],
+                ['spacing controller: {list}', 'Abstandsregler: {list}'],
+
+                // Last: general shapes that would swallow the lines above
+                ['{h} s ({controller})', '{h} s ({controller})'],
+                ['{model} · {mode} at {speed} · {controller} · {traffic} · {scale}x',
+                    '{model} · {mode} mit {speed} · {controller} · {traffic} · {scale}x'],
+            ],
+
+            // At most 16 characters once transliterated (see lcd()).
+            lcd: [
+                ['Vehicle Speed:', 'Geschwindigkeit:'],
+                ['Cruise Mode:', 'Tempomat:'],
+                ['Adaptive Cruise:', 'Abstandstempomat'],
+                ['SET {n}', 'SOLL {n}'],
+                ['HOLD', 'HALT'],
+                ['PRESS RES', 'RES DRÜCKEN'],
+                ['GO', 'LOS'],
+                ['WELCOME TO', 'WILLKOMMEN ZUM'],
+                ['ACC PROJECT', 'ACC-PROJEKT'],
+                ['Group 32', 'Gruppe 32'],
+            ],
+        },
+    };
+
+    // Placeholders nest no deeper than a line's detail inside its reason.
+    const MAX_DEPTH = 3;
+
+    // Placeholders that carry what the user or a device supplied — a scenario
+    // or preset name, a gamepad id, a file, an error message, a serial line,
+    // an expectation's text, a link — shown as given, so a name that happens
+    // to read like a catalogue phrase is not rewritten.
+    const VERBATIM = new Set(['name', 'id', 'file', 'error', 'line', 'text', 'url']);
+
+    // Characters the display cannot show, spelled the way German does
+    // without them; anything else outside ASCII loses its accent or shows '?'.
+    const TRANSLIT = { 'Ä': 'AE', 'Ö': 'OE', 'Ü': 'UE', 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss' };
+
+
+    // ─── LOOKUP ──────────────────────────────────────────────────────────────────
+    // A supported locale id from a stored id or a browser language such as
+    // 'de-AT'; English when there is none.
+    function resolve(id) {
+        const base = String(id || '').toLowerCase().split('-')[0];
+        return LOCALES[base] ? base : DEFAULT_LOCALE;
+    }
+
+    // Templates compile once per table into anchored patterns with a lazy
+    // group per placeholder.
+    const compiled = new Map();
+
+    function compile(table) {
+        if (!compiled.has(table)) {
+            compiled.set(table, table.map(([from, to]) => {
+                const keys = [];
+                const source = from.split(/\{(\w+)\}/).map((part, i) => {
+                    if (i % 2) { keys.push(part); return '(.*?)'; }
+                    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                }).join('');
+                return { re: new RegExp(`^${source}$`), keys, to };
+            }));
+        }
+        return compiled.get(table);
+    }
+
+    function match(table, text, each) {
+        for (const t of compile(table)) {
+            const m = t.re.exec(text);
+            if (m) return t.to.replace(/\{(\w+)\}/g, (all, key) => each(m[t.keys.indexOf(key) + 1], key));
+        }
+        return null;
+    }
+
+    // `text` in the locale. A placeholder holding a number (with or without
+    // its unit) gets the locale's decimal separator; any other is translated
+    // in turn unless VERBATIM. Unknown text comes back unchanged.
+    function translate(locale, text, depth = 0) {
+        const cat = CATALOGUES[locale];
+        if (!cat || typeof text !== 'string' || !text) return text;
+        if (cat.phrases[text] !== undefined) return cat.phrases[text];
+        if (depth >= MAX_DEPTH) return text;
+        const out = match(cat.templates, text, (part, key) => {
+            if (VERBATIM.has(key)) return part;
+            return NUMBER.test(part) ? numbers(locale, part) : translate(locale, part, depth + 1);
+        });
+        return out === null ? text : out;
+    }
+
+    // A status bar message by its STATUS_MSGS key, or null when the locale
+    // has none.
+    function status(locale, key) {
+        const cat = CATALOGUES[locale];
+        return (cat && cat.status[key]) || null;
+    }
+
+
+    // ─── NUMBERS ─────────────────────────────────────────────────────────────────
+    // e.g. '12.3', '-0.5 m', '42 km/h'.
+    const NUMBER = /^[-+−]?\d+(\.\d+)?( ?[^\s\d]+)?$/;
+
+    // `v` with `digits` decimals in the locale (no thousands grouping, as
+    // the LCD and the serial log have never had one).
+    function number(locale, v, digits = 0) {
+        return new Intl.NumberFormat(LOCALES[resolve(locale)].tag, {
+            minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false,
+        }).format(v);
+    }
+
+    // The decimals written in `text` (English '12.30') in the locale.
+    function numbers(locale, text) {
+        return String(text).replace(/\d+\.\d+/g, d => number(locale, parseFloat(d), d.split('.')[1].length));
+    }
+
+
+    // ─── LCD ─────────────────────────────────────────────────────────────────────
+    // The two rows in the locale, each at most 16 ASCII characters. A row
+    // laid out as a left and a right part (runs of two or more spaces, as
+    // the speed and set speed are) keeps its parts at both ends; a part that
+    // does not fit is cut off at the display edge.
+    function lcd(locale, rows) {
+        const cat = CATALOGUES[locale];
+        const word = text => (cat ? match(cat.lcd, text, numbers.bind(null, locale)) || numbers(locale, text) : text);
+        return Array.from({ length: LCD.rows }, (_, i) => {
+            const row = String(rows[i] || '');
+            const split = /^(\s*\S.*?) {2,}(\S.*?)\s*$/.exec(row);
+            if (!split) return fit(ascii(word(row.trim())));
+            const left = ascii(word(split[1].trim())), right = ascii(word(split[2]));
+            return fit(left.length + 1 + right.length <= LCD.cols
+                ? left.padEnd(LCD.cols - right.length) + right : `${left} ${right}`);
+        });
+    }
+
+    function ascii(text) {
+        return text.replace(/[^\x20-\x7e]/g, ch => TRANSLIT[ch] ||
+            (ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '') || '?'));
+    }
+
+    const fit = row => row.slice(0, LCD.cols);
+
+
+    return { LOCALES, DEFAULT_LOCALE, LCD, CATALOGUES, resolve, translate, status, number, numbers, lcd };
+}));
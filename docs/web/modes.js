@@ -0,0 +1,175 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         modes.js                                                      │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Mode state machine for the Adaptive Cruise Control (ACC)      │
+ * │                simulation. Declares the states, the events that move between │
+ * │                them (mode buttons, the cruise stalk, pedals, the safety      │
+ * │                supervisor) and the guard on each transition, decides the     │
+ * │                next state for an event, and bounds the set-speed steps of    │
+ * │                the stalk. Two transition tables: 'guarded' for the physics   │
+ * │                model, with a minimum engagement speed, brake cancels,        │
+ * │                accelerator override, Standby with resume and a Fault state;  │
+ * │                and 'matlab' for the discrete model, where the three buttons  │
+ * │                switch modes unconditionally as in the original script. Pure  │
+ * │                functions only.                                               │
+ * │                                                                              │
+ * │  States:       Off · Standby · Cruise Active · ACC Active · Override · Fault │
+ * │  Exports:      window.ACCModes (browser) · module.exports (Node)             │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./units.js'));
+    else root.ACCModes = factory(root.ACCUnits);
+}(typeof self !== 'undefined' ? self : this, function (ACCUnits) {
+    'use strict';
+
+    // ─── STATES ──────────────────────────────────────────────────────────────────
+    // `mode` is the engine mode code each state drives the car in (0 Normal,
+    // 1 Cruise, 2 Adaptive). Override keeps the code of the state it
+    // overrides, so the LCD and telemetry still show what will resume.
+    const STATES = {
+        off: { name: 'Off', mode: 0 },
+        standby: { name: 'Standby', mode: 0 },
+        cruise: { name: 'Cruise Active', mode: 1 },
+        acc: { name: 'ACC Active', mode: 2 },
+        override: { name: 'Override', mode: null },
+        fault: { name: 'Fault', mode: 0 },
+    };
+    const ACTIVE = ['cruise', 'acc'];
+
+    const EVENTS = {
+        cancel: 'CANCEL (A2)',
+        cruise: 'CRUISE (A3)',
+        acc: 'ACC (A4)',
+        set: 'SET',
+        resume: 'RES',
+        brake: 'brake pedal',
+        throttle: 'accelerator',
+        release: 'accelerator released',
+        fault: 'implausible sensor data',
+    };
+
+    const LIMITS = {
+        minSpeed: 30,       // Cruise and ACC engage from this speed (km/h)
+        maxSpeed: 180,      // Highest set speed the stalk accepts (km/h)
+        pedal: 0.05,        // A pedal counts as pressed above this demand (0–1)
+    };
+
+
+    // ─── TRANSITIONS ─────────────────────────────────────────────────────────────
+    // [from, event, to, guard]. 'resume' as the target returns to the active
+    // state the driver left. The 'engage' guard needs LIMITS.minSpeed, so no
+    // button sets a speed below it. RES, and a button press from Standby that
+    // names the state that was left, resume the previous set speed; every
+    // other engagement, SET included, sets the current speed. RES in ACC
+    // drives off from a standstill hold.
+    const GUARDED = [
+        ['off', 'cruise', 'cruise', 'engage'],
+        ['off', 'acc', 'acc', 'engage'],
+        ['off', 'set', 'cruise', 'engage'],
+        ['standby', 'cruise', 'cruise', 'engage'],
+        ['standby', 'acc', 'acc', 'engage'],
+        ['standby', 'set', 'resume', 'engage'],
+        ['standby', 'resume', 'resume', 'engage'],
+        ['standby', 'cancel', 'off'],
+        ['cruise', 'cruise', 'cruise', 'engage'],
+        ['cruise', 'acc', 'acc', 'engage'],
+        ['cruise', 'set', 'cruise', 'engage'],
+        ['cruise', 'cancel', 'standby'],
+        ['cruise', 'brake', 'standby'],
+        ['cruise', 'throttle', 'override'],
+        ['acc', 'acc', 'acc', 'engage'],
+        ['acc', 'cruise', 'cruise', 'engage'],
+        ['acc', 'set', 'acc', 'engage'],
+        ['acc', 'resume', 'acc'],
+        ['acc', 'cancel', 'standby'],
+        ['acc', 'brake', 'standby'],
+        ['acc', 'throttle', 'override'],
+        ['acc', 'fault', 'fault'],
+        ['override', 'release', 'resume'],
+        ['override', 'cruise', 'cruise', 'engage'],
+        ['override', 'acc', 'acc', 'engage'],
+        ['override', 'set', 'resume', 'engage'],
+        ['override', 'cancel', 'standby'],
+        ['override', 'brake', 'standby'],
+        ['fault', 'cancel', 'off'],
+    ];
+
+    // Adaptive Cruise Control.m: any button selects its mode at any speed,
+    // Cancel goes straight back to Normal, and the pedals and the stalk
+    // never change mode.
+    const MATLAB = ['off', 'cruise', 'acc'].map(from => [
+        [from, 'cancel', 'off'], [from, 'cruise', 'cruise'], [from, 'acc', 'acc'],
+    ]).reduce((a, b) => a.concat(b), []);
+
+    const TABLES = { guarded: GUARDED, matlab: MATLAB };
+
+
+    // ─── CRUISE STALK ────────────────────────────────────────────────────────────
+    // SET, RES and CANCEL are machine events; the steps change the set speed
+    // of the active (or overridden) mode in km/h.
+    const STALK = {
+        set: { label: 'SET', event: 'set' },
+        resume: { label: 'RES', event: 'resume' },
+        up1: { label: '+1', step: 1 },
+        up5: { label: '+5', step: 5 },
+        down1: { label: '−1', step: -1 },
+        down5: { label: '−5', step: -5 },
+        cancel: { label: 'CANCEL', event: 'cancel' },
+    };
+
+    // The set speed (km/h) after a step of whole display units, kept within
+    // LIMITS.
+    function adjust(setSpeed, step, units = 'metric') {
+        return Math.max(LIMITS.minSpeed, Math.min(LIMITS.maxSpeed, ACCUnits.stepSpeed(setSpeed, step, units)));
+    }
+
+
+    // ─── MACHINE ─────────────────────────────────────────────────────────────────
+    // `resume` is the active state to return to from Override or Standby;
+    // null once the system is switched off. A machine can start from an
+    // engine mode code, for recordings and scenarios that only give a mode.
+    function createState(mode = 0) {
+        const state = ['off', 'cruise', 'acc'][mode] || 'off';
+        return { state, resume: ACTIVE.includes(state) ? state : null };
+    }
+
+    // Applies an event. Returns { machine, ok, from, to, resumed } when a
+    // transition fires (`resumed`: keep the previous set speed), or
+    // { machine, ok: false, reason } when none applies or its guard fails.
+    function transition(machine, event, { speed = 0, table = 'guarded', units = 'metric' } = {}) {
+        const row = TABLES[table].find(r => r[0] === machine.state && r[1] === event);
+        if (!row) {
+            const reason = machine.state === 'fault' ? 'clear the fault with CANCEL (A2) first'
+                : table === 'matlab' && STALK[event] ? 'the MATLAB model has no cruise stalk'
+                : `${EVENTS[event] || event} does nothing in ${STATES[machine.state].name}`;
+            return { machine, ok: false, reason };
+        }
+        if (row[3] === 'engage' && table === 'guarded' && Math.round(speed) < LIMITS.minSpeed) {
+            const below = `${ACCUnits.formatSpeed(speed, units)} is below the ${ACCUnits.formatSpeed(LIMITS.minSpeed, units)} minimum`;
+            return { machine, ok: false, reason: below };
+        }
+        const to = row[2] === 'resume' ? machine.resume : row[2];
+        const resumed = event === 'release' || event === 'resume' ||
+            (machine.state === 'standby' && (event === 'cruise' || event === 'acc') && to === machine.resume);
+        return {
+            machine: { state: to, resume: ACTIVE.includes(to) ? to : to === 'off' ? null : machine.resume },
+            ok: true, from: machine.state, to, resumed,
+        };
+    }
+
+    const isActive = state => ACTIVE.includes(state);
+    // Whether the stalk steps apply: a mode is engaged, even if overridden.
+    const isEngaged = machine => isActive(machine.state) || machine.state === 'override';
+    const label = state => STATES[state].name;
+
+
+    return { STATES, ACTIVE, EVENTS, LIMITS, TABLES, STALK, createState, adjust, transition, isActive, isEngaged, label };
+}));
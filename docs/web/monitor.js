@@ -0,0 +1,157 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         monitor.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Serial monitor model for the Adaptive Cruise Control (ACC)    │
+ * │                simulation. Keeps the log lines in a bounded buffer that      │
+ * │                counts repeats of the same line instead of dropping them,     │
+ * │                filters lines by severity and text, and parses the command    │
+ * │                line — Arduino-serial-like commands such as `mode 2`,         │
+ * │                `dist 0.25` or `set 40` that drive the simulation. Pure       │
+ * │                functions only; the dashboard renders and runs them.          │
+ * │                                                                              │
+ * │  Commands:     help · mode · dist · set · stalk · pin · traffic · gap · ctl  │
+ * │                · pause · step · clear (case-insensitive)                     │
+ * │  Exports:      window.ACCMonitor (browser) · module.exports (Node)           │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./traffic.js'), require('./controllers.js'), require('./modes.js'),
+            require('./serial.js'));
+    } else {
+        root.ACCMonitor = factory(root.TrafficModel, root.ACCControllers, root.ACCModes, root.ACCSerial);
+    }
+}(typeof self !== 'undefined' ? self : this, function (TrafficModel, ACCControllers, ACCModes, ACCSerial) {
+    'use strict';
+
+    // Severity classes of the log lines, as the dashboard colors them.
+    const LEVELS = { info: 'Info', success: 'OK', warn: 'Warn', danger: 'Error', sys: 'Sys' };
+
+    // Selectable buffer sizes (lines); 100 is the original cap.
+    const SIZES = [100, 250, 500, 1000, 5000];
+
+
+    // ─── BUFFER ──────────────────────────────────────────────────────────────────
+    // Lines are { id, msg, cls, time, count }. A line equal to the last one
+    // (same text and class) bumps its count and time instead of being added.
+    function createBuffer(size = SIZES[0]) {
+        return { entries: [], size, next: 0 };
+    }
+
+    // Adds a line. Returns the line, whether it was a repeat, and the lines
+    // dropped from the front to keep the buffer within its size.
+    function push(buffer, msg, cls, time) {
+        const last = buffer.entries[buffer.entries.length - 1];
+        if (last && last.msg === msg && last.cls === cls) {
+            last.count++;
+            last.time = time;
+            return { entry: last, repeat: true, dropped: [] };
+        }
+        const entry = { id: buffer.next++, msg, cls, time, count: 1 };
+        buffer.entries.push(entry);
+        return { entry, repeat: false, dropped: resize(buffer, buffer.size) };
+    }
+
+    // Sets the size, returning the oldest lines that no longer fit.
+    function resize(buffer, size) {
+        buffer.size = size;
+        const over = buffer.entries.length - size;
+        return over > 0 ? buffer.entries.splice(0, over) : [];
+    }
+
+    // A line's markup as it reads on screen: tags removed and character
+    // references decoded, so a search for '<', '>', '&' or '"' finds them.
+    const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+    function shown(msg) {
+        return msg.replace(/<[^>]*>/g, '').replace(/&(?:#(\d+)|#x([0-9a-f]+)|(lt|gt|amp|quot|apos));/gi,
+            (_, dec, hex, name) => (name ? ENTITIES[name.toLowerCase()]
+                : String.fromCodePoint(dec ? parseInt(dec, 10) : parseInt(hex, 16))));
+    }
+
+    // Whether a line passes the filter: its level is on and the text it
+    // shows contains the search text, ignoring case.
+    function matches(entry, { levels = {}, text = '' } = {}) {
+        if (levels[entry.cls] === false) return false;
+        if (!text) return true;
+        return shown(entry.msg).toLowerCase().includes(text.toLowerCase());
+    }
+
+
+    // ─── COMMANDS ────────────────────────────────────────────────────────────────
+    // [usage, what it does] for `help`, in the order listed.
+    const HELP = [
+        ['help', 'list the commands'],
+        ['mode <0|1|2>', 'press Cancel, Cruise or ACC, as keys 1/2/3'],
+        ['dist <0–1>', 'set the HC-SR04 distance in m (manual traffic)'],
+        ['set <speed>', 'set speed in the display units'],
+        [`stalk <${Object.keys(ACCModes.STALK).join('|')}>`, 'press a cruise stalk command'],
+        [`pin <${ACCSerial.PINS.join('|')}> <0–5>`, 'hold a pin at a voltage'],
+        ['traffic <profile>', `lead vehicle: ${Object.keys(TrafficModel.PROFILES).join(', ')}`],
+        ['gap <s>', `time gap: ${ACCControllers.HEADWAYS.join(', ')}`],
+        ['ctl <id>', 'spacing controller: ' + Object.keys(ACCControllers.REGISTRY).join(', ')],
+        ['pause', 'pause or resume the clock'],
+        ['step', 'advance one 10 ms step while paused'],
+        ['clear', 'empty the monitor'],
+    ];
+
+    // Parses one command line into { type, ... }. A blank line parses to
+    // null. Throws an Error with the usage when the command is malformed.
+    function parse(line) {
+        const [name, ...args] = String(line).trim().split(/\s+/);
+        if (!name) return null;
+        const cmd = name.toLowerCase();
+        const usage = (HELP.find(h => h[0].split(' ')[0] === cmd) || [])[0];
+        if (!usage) throw new Error(`Unknown command "${name}" — type help`);
+        const need = n => { if (args.length !== n) throw new Error(`Usage: ${usage}`); };
+        const number = (s, lo, hi) => {
+            const v = Number(s);
+            if (s === '' || !Number.isFinite(v) || v < lo || v > hi) throw new Error(`Usage: ${usage}`);
+            return v;
+        };
+        const oneOf = (s, list) => {
+            if (!list.includes(s)) throw new Error(`Usage: ${usage}`);
+            return s;
+        };
+
+        switch (cmd) {
+            case 'mode':
+                need(1);
+                return { type: 'mode', mode: oneOf(args[0], ['0', '1', '2']) | 0 };
+            case 'dist':
+                need(1);
+                return { type: 'dist', distance: number(args[0], 0, 1) };
+            case 'set':
+                need(1);
+                return { type: 'set', speed: number(args[0], 0, Infinity) };
+            case 'stalk':
+                need(1);
+                return { type: 'stalk', command: oneOf(args[0].toLowerCase(), Object.keys(ACCModes.STALK)) };
+            case 'pin':
+                need(2);
+                return { type: 'pin', pin: oneOf(args[0].toUpperCase(), ACCSerial.PINS), volts: number(args[1], 0, 5) };
+            case 'traffic':
+                need(1);
+                return { type: 'traffic', id: oneOf(args[0].toLowerCase(), Object.keys(TrafficModel.PROFILES)) };
+            case 'gap':
+                need(1);
+                return { type: 'gap', headway: oneOf(number(args[0], 0, Infinity), ACCControllers.HEADWAYS) };
+            case 'ctl':
+                need(1);
+                return { type: 'controller', id: oneOf(args[0].toLowerCase(), Object.keys(ACCControllers.REGISTRY)) };
+            default:
+                need(0);
+                return { type: cmd };
+        }
+    }
+
+
+    return { LEVELS, SIZES, HELP, createBuffer, push, resize, matches, parse };
+}));
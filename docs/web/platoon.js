@@ -0,0 +1,200 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         platoon.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  N-vehicle platoon for the Adaptive Cruise Control (ACC)       │
+ * │                simulation. The head car follows a scripted traffic           │
+ * │                profile; every follower runs the selected spacing             │
+ * │                controller on the car directly ahead of it. Records how a     │
+ * │                speed disturbance at the head propagates down the string      │
+ * │                and measures string stability: per-vehicle peak gap error,    │
+ * │                peak speed deviation, and the amplification from one car      │
+ * │                to the next. Pure functions only — no DOM access.             │
+ * │                                                                              │
+ * │  Exports:      window.ACCPlatoon (browser) · module.exports (Node)           │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vehicle.js'), require('./traffic.js'),
+            require('./controllers.js'), require('./engine.js'));
+    } else {
+        root.ACCPlatoon = factory(root.VehicleModel, root.TrafficModel, root.ACCControllers, root.ACCEngine);
+    }
+}(typeof self !== 'undefined' ? self : this, function (VehicleModel, TrafficModel, ACCControllers, ACCEngine) {
+    'use strict';
+
+    const { DT, KMH, PHYSICS } = ACCEngine;
+
+    // Platoon sizes offered by the dashboard (head car included).
+    const SIZES = [3, 4, 5, 6, 8];
+
+    // Scenario used when the dashboard is on 'manual': a short speed dip at
+    // the head, the textbook disturbance for string-stability tests.
+    const DEFAULT_PROFILE = 'dip';
+
+    // Trace sampling interval (ms) for the propagation chart.
+    const SAMPLE_MS = 100;
+
+    // Amplification above this counts as string-unstable. The small margin
+    // absorbs numerical noise when a disturbance is passed on unchanged.
+    const STABLE_RATIO = 1.001;
+
+
+    // ─── STATE ───────────────────────────────────────────────────────────────────
+    // The head car is a TrafficModel lead state; followers carry their own
+    // vehicle dynamics, controller memory, gap estimate and running peaks.
+    // Followers start at the head's speed, each at its desired gap, so any
+    // gap error afterwards is caused by the disturbance.
+    function createState({ n = 5, controller = 'ctgp', headway = 1.5, profile = DEFAULT_PROFILE, setSpeed,
+        scale = TrafficModel.SENSOR_SCALE } = {}) {
+        const id = TrafficModel.PROFILES[profile] && profile !== 'manual' ? profile : DEFAULT_PROFILE;
+        const head = TrafficModel.start(id, 0);
+        const v0 = head.v;
+        const ctrl = ACCControllers.get(controller);
+        const followers = [];
+        let x = head.x;
+        for (let i = 1; i < n; i++) {
+            const gap = ACCControllers.desiredGap(headway, v0);
+            x -= gap;
+            followers.push({
+                vehicle: VehicleModel.createState({ x, v: v0 }),
+                ctrl: ctrl.init(),
+                terms: {},
+                gap,
+                gapRate: 0,
+                gapErr: 0,
+                peakGapErr: 0,
+                peakDev: 0,
+                collided: false,
+                collisions: 0,
+            });
+        }
+        return {
+            profile: id,
+            controller,
+            headway,
+            scale,
+            setSpeed: setSpeed !== undefined ? setSpeed : v0 + 20 / KMH,
+            v0,
+            t: 0,
+            head,
+            headPeakDev: 0,
+            followers,
+        };
+    }
+
+    function cloneFollower(f) {
+        return Object.assign({}, f, { vehicle: Object.assign({}, f.vehicle) });
+    }
+
+
+    // ─── FIXED-STEP ADVANCE ──────────────────────────────────────────────────────
+    // Moves the head along its profile, then each follower in order from the
+    // front, so every car reacts to the car ahead as it is after this step.
+    // The gap rate is the same filtered derivative the single-car engine uses.
+    function advance(state) {
+        const s = Object.assign({}, state, { followers: state.followers.map(cloneFollower) });
+        const events = [];
+        const dt = DT / 1000;
+        const ctrl = ACCControllers.get(s.controller);
+        const p = VehicleModel.DEFAULTS;
+
+        s.t += DT;
+        s.head = TrafficModel.step(s.head, s.profile, dt, s.head.x);
+        s.headPeakDev = Math.max(s.headPeakDev, Math.abs(s.head.v - s.v0));
+
+        let ahead = s.head;
+        s.followers.forEach((f, i) => {
+            const gap = ahead.x - f.vehicle.x;
+            f.gapRate += PHYSICS.rateFilter * ((gap - f.gap) / dt - f.gapRate);
+            f.gap = gap;
+
+            const v = f.vehicle.v;
+            const out = ctrl.update(f.ctrl,
+                { gap, relSpeed: f.gapRate, egoSpeed: v, setSpeed: s.setSpeed },
+                { dt, headway: s.headway, safeGap: TrafficModel.toGap(ACCEngine.SAFE_DISTANCE, s.scale) });
+            f.ctrl = out.memory;
+            f.terms = out.terms;
+            f.vehicle = VehicleModel.step(f.vehicle, VehicleModel.demandFor(v, out.accel, p), dt, p);
+
+            f.gapErr = gap - ACCControllers.desiredGap(s.headway, f.vehicle.v);
+            f.peakGapErr = Math.max(f.peakGapErr, Math.abs(f.gapErr));
+            f.peakDev = Math.max(f.peakDev, Math.abs(f.vehicle.v - s.v0));
+
+            if (gap <= 0 && !f.collided) {
+                f.collided = true;
+                f.collisions++;
+                events.push({ type: 'log', msg: `PLATOON: Vehicle ${i + 2} collided with vehicle ${i + 1}`, cls: 'danger' });
+            } else if (gap > 0) {
+                f.collided = false;
+            }
+            ahead = f.vehicle;
+        });
+        return { state: s, events };
+    }
+
+
+    // ─── STRING STABILITY ────────────────────────────────────────────────────────
+    // Per-vehicle table. `ratio` is the peak speed deviation divided by that
+    // of the car ahead; a platoon is string stable when no follower amplifies
+    // the disturbance it receives (every ratio ≤ 1) and no gap ever closed.
+    function analyze(state) {
+        let prev = state.headPeakDev;
+        const rows = state.followers.map((f, i) => {
+            const ratio = prev > 1e-6 ? f.peakDev / prev : 0;
+            prev = f.peakDev;
+            return {
+                vehicle: i + 2,
+                peakGapErr: f.peakGapErr,
+                peakDev: f.peakDev * KMH,
+                ratio,
+                collisions: f.collisions,
+            };
+        });
+        const worst = rows.reduce((m, r) => Math.max(m, r.ratio), 0);
+        return {
+            rows,
+            headPeakDev: state.headPeakDev * KMH,
+            worst,
+            collisions: rows.reduce((n, r) => n + r.collisions, 0),
+            stable: worst <= STABLE_RATIO && rows.every(r => r.collisions === 0),
+        };
+    }
+
+    // Appends one sample (time in s, every car's speed in km/h) to `trace`
+    // once per SAMPLE_MS of simulated time. The trace lives outside the
+    // platoon state so that advance() never copies a growing array.
+    function record(trace, state) {
+        if (state.t % SAMPLE_MS !== 0) return trace;
+        trace.t.push(state.t / 1000);
+        trace.v.push([state.head.v * KMH].concat(state.followers.map(f => f.vehicle.v * KMH)));
+        return trace;
+    }
+
+    function createTrace() {
+        return { t: [], v: [] };
+    }
+
+    // Runs a platoon headlessly for `seconds` and returns the final state,
+    // the sampled trace and the string-stability analysis.
+    function run(options = {}, seconds = 40) {
+        let s = createState(options);
+        const trace = createTrace();
+        const steps = Math.round(seconds * 1000 / DT);
+        for (let k = 0; k < steps; k++) {
+            s = advance(s).state;
+            record(trace, s);
+        }
+        return { state: s, trace, analysis: analyze(s) };
+    }
+
+
+    return { SIZES, DEFAULT_PROFILE, SAMPLE_MS, createState, advance, analyze, createTrace, record, run };
+}));
@@ -0,0 +1,87 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         preset-check.js                                               │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Shared-link check for the Adaptive Cruise Control (ACC)       │
+ * │                simulation. Reads each query string below the way the         │
+ * │                dashboard reads its address, and checks that a valid link     │
+ * │                starts the engine in the configured state, a link round-trips │
+ * │                through toQuery, and a bad link — including ids that are      │
+ * │                only inherited Object.prototype keys — is rejected with the   │
+ * │                expected message instead of starting a broken run. Exits      │
+ * │                non-zero on any failure.                                      │
+ * │                                                                              │
+ * │  Usage:        node docs/web/preset-check.js                                 │
+ * │                                                                              │
+ * │  Technology:   Node.js (no dependencies)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+'use strict';
+
+const ACCEngine = require('./engine.js');
+const ACCPresets = require('./presets.js');
+
+
+// ─── CASES ───────────────────────────────────────────────────────────────────
+// [query, expected error message or null for a valid link]
+const CASES = [
+    ['?controller=mpc&mode=adaptive&speed=60&traffic=cutin&units=imperial', null],
+    ['?headway=2&standstill=5&sensor=hcsr04&filter=kalman&sensor.dropout=0.1', null],
+    ['?controller=toString&mode=adaptive&speed=50', 'Unknown controller "toString"'],
+    ['?traffic=constructor&mode=adaptive&speed=50', 'Unknown traffic profile "constructor"'],
+    ['?units=toString', 'Unknown unit system "toString"'],
+    ['?sensor=hasOwnProperty', 'Unknown sensor model "hasOwnProperty"'],
+    ['?filter=valueOf', 'Unknown sensor filter "valueOf"'],
+    ['?sensor.toString=1', 'Unknown sensor parameter "toString"'],
+    ['?mode=constructor', 'Unknown mode "constructor"'],
+];
+
+// A valid link must round-trip and start with finite speed and gap.
+function checkValid(query) {
+    const config = ACCPresets.fromQuery(query);
+    const again = ACCPresets.fromQuery(ACCPresets.toQuery(config));
+    if (JSON.stringify(again) !== JSON.stringify(config)) return 'does not round-trip through toQuery';
+    let s = ACCPresets.start(config).state;
+    for (let i = 0; i < 500; i++) s = ACCEngine.advance(s, { pins: { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 }, distance: config.distance }).state;
+    if (!Number.isFinite(s.speed) || !Number.isFinite(s.distance)) return `runs to speed ${s.speed}, distance ${s.distance}`;
+    return null;
+}
+
+function checkInvalid(query, expected) {
+    try {
+        ACCPresets.fromQuery(query);
+    } catch (err) {
+        return err.message === expected ? null : `rejected with "${err.message}"`;
+    }
+    return 'accepted';
+}
+
+
+// ─── SUITE ───────────────────────────────────────────────────────────────────
+function main() {
+    let failed = 0;
+    CASES.forEach(([query, expected]) => {
+        let problem;
+        try {
+            problem = expected === null ? checkValid(query) : checkInvalid(query, expected);
+        } catch (err) {
+            problem = err.message;
+        }
+        if (problem) {
+            failed++;
+            console.log(`FAIL  ${query} — ${problem}`);
+        } else {
+            console.log(`PASS  ${query}${expected ? ` — ${expected}` : ''}`);
+        }
+    });
+    if (failed) console.log(`\n${failed} link(s) handled wrongly.`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main();
+
+module.exports = { CASES, main };
@@ -0,0 +1,204 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         presets.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Shareable configurations for the Adaptive Cruise Control      │
+ * │                (ACC) simulation. A configuration holds everything the        │
+ * │                dashboard is set to — vehicle model, mode and speed,          │
+ * │                spacing controller and time gap, standstill window, lead      │
+ * │                traffic, sensor model, units, speedometer bands, bench scale  │
+ * │                and time scale. It is validated, encoded into and read back   │
+ * │                from a URL query string, captured from the engine state, and  │
+ * │                turned into a starting engine state. Named presets are        │
+ * │                configurations kept by the dashboard. Pure functions only.    │
+ * │                                                                              │
+ * │  Units:        Speeds in km/h and the distance in sensor meters, whatever    │
+ * │                the selected display units.                                   │
+ * │  Exports:      window.ACCPresets (browser) · module.exports (Node)           │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vehicle.js'), require('./traffic.js'), require('./controllers.js'),
+            require('./sensor.js'), require('./modes.js'), require('./engine.js'), require('./units.js'),
+            require('./clock.js'));
+    } else {
+        root.ACCPresets = factory(root.VehicleModel, root.TrafficModel, root.ACCControllers, root.SensorModel,
+            root.ACCModes, root.ACCEngine, root.ACCUnits, root.SimClock);
+    }
+}(typeof self !== 'undefined' ? self : this, function (VehicleModel, TrafficModel, ACCControllers, SensorModel,
+    ACCModes, ACCEngine, ACCUnits, SimClock) {
+    'use strict';
+
+    const { KMH, MODES } = ACCEngine;
+
+    // ─── CONFIGURATION ───────────────────────────────────────────────────────────
+    // The dashboard as it boots. A shared link lists only what differs from
+    // it; sensor parameters go into the link one by one as `sensor.<name>`.
+    const DEFAULTS = {
+        model: 'physics',
+        controller: 'ctgp',
+        headway: 1.5,
+        standstill: 3,
+        mode: 'normal',         // 'normal', 'cruise' or 'adaptive'
+        speed: 0,               // Whole km/h
+        distance: 0.5,          // Slider reading under manual traffic (sensor m)
+        traffic: 'manual',
+        sensor: 'ideal',
+        filter: 'none',
+        sensorParams: {},
+        units: ACCUnits.DEFAULT_PROFILE.units,
+        scale: ACCUnits.DEFAULT_PROFILE.scale,
+        maxSpeed: ACCUnits.DEFAULT_PROFILE.maxSpeed,
+        bands: ACCUnits.DEFAULT_PROFILE.bands,
+        timeScale: 1,
+    };
+
+    const NUMBERS = ['headway', 'standstill', 'speed', 'distance', 'scale', 'maxSpeed', 'timeScale'];
+    const SENSOR_PREFIX = 'sensor.';
+
+    const is = (ok, msg) => { if (!ok) throw new Error(msg); };
+
+    // Ids come from links, so they are looked up as own keys: "toString"
+    // or "constructor" is unknown rather than inherited.
+    const known = (map, id) => Object.hasOwn(map, id);
+
+    // A complete configuration from a partial one. Throws an Error naming
+    // the first field that is out of range.
+    function validate(from = {}) {
+        const c = Object.assign({}, DEFAULTS, from);
+        is(ACCEngine.MODELS.includes(c.model), `Unknown vehicle model "${c.model}"`);
+        is(known(ACCControllers.REGISTRY, c.controller), `Unknown controller "${c.controller}"`);
+        is(ACCEngine.HEADWAYS.includes(c.headway), `Unsupported time gap ${c.headway} s`);
+        is(ACCEngine.STANDSTILL_WINDOWS.includes(c.standstill), `Unsupported standstill window ${c.standstill} s`);
+        is(known(MODES, String(c.mode).toUpperCase()), `Unknown mode "${c.mode}"`);
+        is(Number.isInteger(c.speed) && c.speed >= 0 && c.speed <= ACCModes.LIMITS.maxSpeed,
+            `Speed ${c.speed} km/h is not a whole number from 0 to ${ACCModes.LIMITS.maxSpeed}`);
+        is(c.distance >= 0 && c.distance <= 1, `Distance ${c.distance} m is outside 0–1 m`);
+        is(known(TrafficModel.PROFILES, c.traffic), `Unknown traffic profile "${c.traffic}"`);
+        is(known(SensorModel.MODELS, c.sensor), `Unknown sensor model "${c.sensor}"`);
+        is(known(SensorModel.FILTERS, c.filter), `Unknown sensor filter "${c.filter}"`);
+        Object.keys(c.sensorParams).forEach(k => {
+            is(known(SensorModel.DEFAULTS, k), `Unknown sensor parameter "${k}"`);
+            is(Number.isFinite(c.sensorParams[k]) && c.sensorParams[k] >= 0, `Sensor ${k} must be a number ≥ 0`);
+        });
+        is(SimClock.SCALES.includes(c.timeScale), `Unsupported time scale ${c.timeScale}x`);
+        c.mode = c.mode.toLowerCase();
+        c.sensorParams = Object.assign({}, c.sensorParams);
+        return Object.assign(c, ACCUnits.createProfile({ units: c.units, scale: c.scale, maxSpeed: c.maxSpeed, bands: c.bands }));
+    }
+
+
+    // ─── URL ─────────────────────────────────────────────────────────────────────
+    // e.g. 'controller=mpc&mode=adaptive&speed=60&traffic=cutin&units=imperial'.
+    function toQuery(config) {
+        const c = validate(config);
+        const q = new URLSearchParams();
+        Object.keys(DEFAULTS).forEach(k => {
+            if (k === 'sensorParams') {
+                Object.keys(c.sensorParams).forEach(p => q.set(SENSOR_PREFIX + p, c.sensorParams[p]));
+            } else if (String(c[k]) !== String(DEFAULTS[k])) {
+                q.set(k, String(c[k]));
+            }
+        });
+        return q.toString();
+    }
+
+    // The configuration in a query string, or null when it names none of
+    // the fields. Other parameters are left alone; a bad value throws.
+    function fromQuery(search) {
+        const q = new URLSearchParams(search);
+        const c = { sensorParams: {} };
+        let found = false;
+        q.forEach((value, key) => {
+            if (key.startsWith(SENSOR_PREFIX)) {
+                c.sensorParams[key.slice(SENSOR_PREFIX.length)] = parseFloat(value);
+            } else if (key === 'bands') {
+                c.bands = value.split(',').map(parseFloat);
+            } else if (NUMBERS.includes(key)) {
+                c[key] = parseFloat(value);
+            } else if (known(DEFAULTS, key)) {
+                c[key] = value;
+            } else {
+                return;
+            }
+            found = true;
+        });
+        return found ? validate(c) : null;
+    }
+
+
+    // ─── ENGINE ──────────────────────────────────────────────────────────────────
+    // The configuration of a running dashboard: its engine state plus what
+    // only the dashboard holds (slider distance, time scale, gauge range).
+    // The slider only counts under manual traffic; otherwise it follows the gap.
+    function capture(state, dashboard) {
+        const mode = Object.keys(MODES).find(k => MODES[k] === state.mode).toLowerCase();
+        return validate({
+            model: state.model,
+            controller: state.controller,
+            headway: state.headway,
+            standstill: state.standstillWindow,
+            mode,
+            speed: Math.min(Math.round(state.speed), ACCModes.LIMITS.maxSpeed),
+            distance: state.scenario === 'manual' ? dashboard.distance : DEFAULTS.distance,
+            traffic: state.scenario,
+            sensor: state.sensorModel,
+            filter: state.sensorFilter,
+            sensorParams: state.sensorParams,
+            units: state.units,
+            scale: state.scale,
+            maxSpeed: dashboard.maxSpeed,
+            bands: dashboard.bands,
+            timeScale: dashboard.timeScale,
+        });
+    }
+
+    // A fresh engine state driving at the configured speed in the configured
+    // mode, with the lead traffic started. Engaging the mode goes through the
+    // state machine, so Cruise and ACC below 30 km/h are refused and logged.
+    function start(config) {
+        const c = validate(config);
+        const events = [];
+        const apply = result => { s = result.state; events.push(...result.events); };
+        let s = ACCEngine.createState({
+            model: c.model,
+            controller: c.controller,
+            headway: c.headway,
+            standstillWindow: c.standstill,
+            units: c.units,
+            scale: c.scale,
+            sensorModel: c.sensor,
+            sensorFilter: c.filter,
+            sensorParams: c.sensorParams,
+            speed: c.speed,
+            distance: c.distance,
+            vehicle: VehicleModel.createState({ v: c.speed / KMH }),
+        });
+        apply(ACCEngine.setScenario(s, c.traffic));
+        if (c.mode !== 'normal') apply(ACCEngine.selectMode(s, MODES[c.mode.toUpperCase()]));
+        return { state: s, events };
+    }
+
+    // One line for the serial monitor, e.g.
+    // 'Physics · Adaptive at 60 km/h · MPC · Cut-in · 1x'.
+    function describe(config) {
+        const c = validate(config);
+        return [
+            c.model === 'physics' ? 'Physics' : 'Discrete',
+            `${c.mode[0].toUpperCase()}${c.mode.slice(1)} at ${ACCUnits.formatSpeed(c.speed, c.units)}`,
+            ACCControllers.get(c.controller).name,
+            TrafficModel.PROFILES[c.traffic].name,
+            `${c.timeScale}x`,
+        ].join(' · ');
+    }
+
+
+    return { DEFAULTS, validate, toQuery, fromQuery, capture, start, describe };
+}));
@@ -0,0 +1,181 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         regression.js                                                 │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  MATLAB parity suite for the Adaptive Cruise Control (ACC)     │
+ * │                engine. Replays every recording in golden/ through the        │
+ * │                discrete engine and compares the speed, mode, target, LED     │
+ * │                and LCD trace with the expected trace stored beside it.       │
+ * │                Expected traces come from the reference below, a direct       │
+ * │                transcription of the loop in Adaptive Cruise Control.m run    │
+ * │                on the engine's fixed-step schedule; they are never taken     │
+ * │                from the engine itself. Exits non-zero on any divergence.     │
+ * │                                                                              │
+ * │  Usage:        node docs/web/regression.js              Check all            │
+ * │                node docs/web/regression.js --update     Rewrite expected     │
+ * │                node docs/web/regression.js a.json ...   Check given files    │
+ * │                                                                              │
+ * │  Technology:   Node.js (no dependencies)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ACCEngine = require('./engine.js');
+const ACCReplay = require('./replay.js');
+
+const GOLDEN = path.join(__dirname, 'golden');
+const { DT, PERIODS, PIN_HIGH, SAFE_DISTANCE } = ACCEngine;
+
+
+// ─── MATLAB REFERENCE ────────────────────────────────────────────────────────
+// One pass of the `while true` body of Adaptive Cruise Control.m, after mode
+// selection. `kind` names the schedule slot that runs it:
+//   'press'  a mode button was pressed        'pedal'  A0/A1 edge or repeat
+//   'drag'   the pause(1.5) drag period        'cycle'  the ACC pause(0.5)
+// The Normal-mode `else` branch (no pedal: speed − 1, then pause(1.5)) only
+// runs in the drag slot, and the Adaptive branch in every slot but drag.
+function matlabBody(m, pins, distance, kind) {
+    const increase = pins.A0 >= PIN_HIGH;
+    const decrease = pins.A1 >= PIN_HIGH;
+
+    if (m.mode === 0 || m.mode === 1) {
+        if (kind === 'drag' && (m.mode === 1 || increase || decrease)) return;
+        if (increase) {
+            m.D13 = 1; m.D12 = 0;
+            m.speed += 1;
+        } else if (decrease) {
+            m.speed -= 1;
+        } else if (m.mode === 0 && kind === 'drag') {
+            m.speed -= 1;
+        }
+        if (m.speed < 0) {
+            m.D13 = 0; m.D12 = 1;
+            m.speed = 0;
+        }
+    } else {
+        if (kind === 'drag') return;
+        m.D13 = 1; m.D12 = 0;
+        if (distance < SAFE_DISTANCE) m.speed -= 1;
+        else m.speed += 1;
+        if (m.speed > m.constant) m.speed = m.constant;
+        if (m.speed < 0) {
+            m.D13 = 0; m.D12 = 1;
+            m.speed = 0;
+        }
+    }
+    m.lcd = String(m.speed);
+}
+
+// Mode selection in MATLAB priority order (cancel, set, adaptive). The
+// engine acts on the press of a button, so a held button selects once.
+function matlabSelect(m, pins, prev) {
+    const rising = p => pins[p] >= PIN_HIGH && !(prev[p] >= PIN_HIGH);
+    if (rising('A2')) m.mode = 0;
+    else if (rising('A3')) m.mode = 1;
+    else if (rising('A4')) { m.mode = 2; m.constant = m.speed; }
+    else return false;
+    return true;
+}
+
+// Runs a recording through the reference on the engine's step schedule and
+// returns a trace in ACCReplay.TRACE form.
+function reference(rec) {
+    const m = Object.assign({ mode: 0, speed: 0, constant: 0, D12: 0, D13: 0, lcd: '' }, rec.initial);
+    const timers = { repeat: 0, drag: 0, cycle: 0 };
+    let pins = { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 };
+    let distance = 0.5, ip = 0, id = 0, t = 0, prev = null;
+    const trace = [];
+
+    for (let k = 0; k < Math.round(rec.duration / DT); k++) {
+        const before = pins;
+        pins = Object.assign({}, pins);
+        while (ip < rec.pins.length && rec.pins[ip][0] <= t) { pins[rec.pins[ip][1]] = rec.pins[ip][2]; ip++; }
+        while (id < rec.distance.length && rec.distance[id][0] <= t) { distance = rec.distance[id][1]; id++; }
+        t += DT;
+
+        if (matlabSelect(m, pins, before)) matlabBody(m, pins, distance, 'press');
+
+        const pedal = pins.A0 >= PIN_HIGH || pins.A1 >= PIN_HIGH;
+        const wasPedal = before.A0 >= PIN_HIGH || before.A1 >= PIN_HIGH;
+        if (pedal && !wasPedal) {
+            timers.repeat = 0;
+            matlabBody(m, pins, distance, 'pedal');
+        } else if (pedal) {
+            timers.repeat += DT;
+            if (timers.repeat >= PERIODS.repeat) {
+                timers.repeat -= PERIODS.repeat;
+                matlabBody(m, pins, distance, 'pedal');
+            }
+        } else {
+            timers.repeat = 0;
+        }
+        timers.drag += DT;
+        if (timers.drag >= PERIODS.drag) { timers.drag -= PERIODS.drag; matlabBody(m, pins, distance, 'drag'); }
+        timers.cycle += DT;
+        if (timers.cycle >= PERIODS.cycle) {
+            timers.cycle -= PERIODS.cycle;
+            if (m.mode === 2) matlabBody(m, pins, distance, 'cycle');
+        }
+
+        const row = [t, m.mode, m.speed, m.constant, m.D12, m.D13, m.lcd];
+        if (!prev || row.some((v, i) => i > 0 && v !== prev[i])) trace.push(row);
+        prev = row;
+    }
+    return trace;
+}
+
+
+// ─── SUITE ───────────────────────────────────────────────────────────────────
+function goldenFiles() {
+    return fs.readdirSync(GOLDEN).filter(f => f.endsWith('.json')).sort().map(f => path.join(GOLDEN, f));
+}
+
+function checkFile(file, update) {
+    const golden = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const rec = ACCReplay.validate(golden.recording);
+    if (update) {
+        golden.expected = reference(rec);
+        fs.writeFileSync(file, JSON.stringify(golden, null, 2).replace(/\[\n\s+([^\[\]{}]*?)\n\s+\]/g,
+            (_, body) => '[' + body.replace(/\n\s+/g, ' ') + ']') + '\n');
+        return { name: rec.name, updated: golden.expected.length };
+    }
+    const actual = ACCReplay.run(rec).trace;
+    return { name: rec.name, diffs: ACCReplay.compare(golden.expected, actual), rows: golden.expected.length };
+}
+
+function main(argv) {
+    const update = argv.includes('--update');
+    const files = argv.filter(a => !a.startsWith('--'));
+    let failed = 0;
+    (files.length ? files : goldenFiles()).forEach(file => {
+        let r;
+        try {
+            r = checkFile(file, update);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL  ${path.basename(file)} — ${err.message}`);
+            return;
+        }
+        if (update) {
+            console.log(`WROTE ${r.name} — ${r.updated} expected rows`);
+        } else if (r.diffs.length) {
+            failed++;
+            console.log(`FAIL  ${r.name}`);
+            r.diffs.forEach(d => console.log(`      t=${(d.t / 1000).toFixed(2)} s  ${d.field}: expected ${d.expected}, got ${d.actual}`));
+        } else {
+            console.log(`PASS  ${r.name} (${r.rows} rows)`);
+        }
+    });
+    if (failed) console.log(`\n${failed} recording(s) diverge from the MATLAB reference.`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { reference, main };
@@ -0,0 +1,190 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         replay.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Recorded-input replay for the Adaptive Cruise Control (ACC)   │
+ * │                simulation. A recording is a list of timestamped pin changes  │
+ * │                on A0–A4, cruise stalk commands and HC-SR04 distance samples; │
+ * │                replaying it through the engine yields the speed, mode,       │
+ * │                target, LED and LCD trace the dashboard would have shown.     │
+ * │                Traces can be compared against a stored reference, and        │
+ * │                exported sessions converted into recordings. Pure functions   │
+ * │                only.                                                         │
+ * │                                                                              │
+ * │  Format:       { format: 'acc-replay', version: 1, name, model, duration,    │
+ * │                  initial, pins: [[ms, pin, volts], ...],                     │
+ * │                  distance: [[ms, meters], ...], faults: [...],               │
+ * │                  stalk: [[ms, command], ...] }                               │
+ * │                faults (optional) are ACCFaults entries, times in ms;         │
+ * │                stalk (optional) commands are ACCModes.STALK keys             │
+ * │  Exports:      window.ACCReplay (browser) · module.exports (Node)            │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./engine.js'), require('./faults.js'), require('./modes.js'));
+    } else {
+        root.ACCReplay = factory(root.ACCEngine, root.ACCFaults, root.ACCModes);
+    }
+}(typeof self !== 'undefined' ? self : this, function (ACCEngine, ACCFaults, ACCModes) {
+    'use strict';
+
+    const FORMAT = 'acc-replay';
+    const VERSION = 1;
+    const PINS = ['A0', 'A1', 'A2', 'A3', 'A4'];
+
+    // Columns of a trace row. `lcd` is LCD row 2 (the speed readout); row 1
+    // only carries the mode label, which `mode` already covers.
+    const TRACE = ['t', 'mode', 'speed', 'target', 'D12', 'D13', 'lcd'];
+
+
+    // ─── VALIDATION ──────────────────────────────────────────────────────────────
+    // Throws an Error naming the first problem found. Event times are in ms
+    // from the start of the run and must not go backwards.
+    function validate(rec) {
+        if (!rec || rec.format !== FORMAT) throw new Error(`Not an ${FORMAT} recording`);
+        if (rec.version !== VERSION) throw new Error(`Unsupported recording version ${rec.version}`);
+        if (!(rec.duration > 0)) throw new Error('Recording has no duration');
+        if (rec.model && !ACCEngine.MODELS.includes(rec.model)) throw new Error(`Unknown model "${rec.model}"`);
+        let last = 0;
+        (rec.pins || []).forEach(([t, pin, volts], i) => {
+            if (!PINS.includes(pin)) throw new Error(`Pin event ${i + 1}: unknown pin "${pin}"`);
+            if (!(volts >= 0 && volts <= 5)) throw new Error(`Pin event ${i + 1}: ${volts} V is outside 0–5 V`);
+            if (t < last) throw new Error(`Pin event ${i + 1}: time goes backwards`);
+            last = t;
+        });
+        last = 0;
+        (rec.distance || []).forEach(([t, d], i) => {
+            if (!(d >= 0)) throw new Error(`Distance sample ${i + 1}: ${d} m is not a distance`);
+            if (t < last) throw new Error(`Distance sample ${i + 1}: time goes backwards`);
+            last = t;
+        });
+        last = 0;
+        (rec.stalk || []).forEach(([t, command], i) => {
+            if (!ACCModes.STALK[command]) throw new Error(`Stalk event ${i + 1}: unknown command "${command}"`);
+            if (t < last) throw new Error(`Stalk event ${i + 1}: time goes backwards`);
+            last = t;
+        });
+        (rec.faults || []).forEach((f, i) => {
+            try {
+                ACCFaults.validate(f);
+            } catch (err) {
+                throw new Error(`Fault ${i + 1}: ${err.message}`);
+            }
+        });
+        return rec;
+    }
+
+
+    // ─── REPLAY ──────────────────────────────────────────────────────────────────
+    // Runs a recording through the engine for `duration` ms. An event stamped
+    // t takes effect from the step that starts at t. The trace holds a row
+    // whenever any column changes or, with `sample` set, every `sample` ms.
+    // Returns { state, trace, log } where `log` lists the serial lines.
+    function run(rec, { sample = 0 } = {}) {
+        validate(rec);
+        const { DT } = ACCEngine;
+        let s = ACCEngine.createState(Object.assign({ model: rec.model || 'discrete' }, rec.initial));
+        if (rec.scenario) s = ACCEngine.setScenario(s, rec.scenario).state;
+        (rec.faults || []).forEach(f => { s = ACCEngine.injectFault(s, f).state; });
+
+        const pins = { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 };
+        const pinEvents = rec.pins || [];
+        const distEvents = rec.distance || [];
+        const stalkEvents = rec.stalk || [];
+        let distance = 0.5, ip = 0, id = 0, is = 0;
+        let lcd = '';
+        let prev = null;
+        const trace = [], log = [];
+
+        const steps = Math.round(rec.duration / DT);
+        for (let k = 0; k < steps; k++) {
+            while (ip < pinEvents.length && pinEvents[ip][0] <= s.t) {
+                pins[pinEvents[ip][1]] = pinEvents[ip][2];
+                ip++;
+            }
+            while (id < distEvents.length && distEvents[id][0] <= s.t) {
+                distance = distEvents[id][1];
+                id++;
+            }
+            const events = [];
+            while (is < stalkEvents.length && stalkEvents[is][0] <= s.t) {
+                const r = ACCEngine.stalk(s, stalkEvents[is][1]);
+                s = r.state;
+                events.push(...r.events);
+                is++;
+            }
+
+            const result = ACCEngine.advance(s, ACCEngine.createInputs({ pins, distance }));
+            s = result.state;
+            events.concat(result.events).forEach(ev => {
+                if (ev.type === 'lcd') lcd = ev.r2;
+                else if (ev.type === 'log') log.push(`${(s.t / 1000).toFixed(2)} ${ev.msg}`);
+            });
+
+            const row = [s.t, s.mode, Math.round(s.speed * 1000) / 1000, s.constant, s.D12 ? 1 : 0, s.D13 ? 1 : 0, lcd];
+            const changed = !prev || row.some((v, i) => i > 0 && v !== prev[i]);
+            if (sample ? s.t % sample === 0 : changed) trace.push(row);
+            prev = row;
+        }
+        return { state: s, trace, log };
+    }
+
+
+    // ─── COMPARISON ──────────────────────────────────────────────────────────────
+    // Row-by-row comparison of two traces. Returns the first `limit`
+    // differences as { t, field, expected, actual }; an empty list means the
+    // traces agree. `tolerance` gives the allowed absolute error per column.
+    function compare(expected, actual, { tolerance = {}, limit = 5 } = {}) {
+        const diffs = [];
+        const n = Math.max(expected.length, actual.length);
+        for (let i = 0; i < n && diffs.length < limit; i++) {
+            const e = expected[i], a = actual[i];
+            if (!e || !a) {
+                const row = e || a;
+                diffs.push({ t: row[0], field: 'row', expected: e ? 'present' : 'absent', actual: a ? 'present' : 'absent' });
+                break;
+            }
+            const k = TRACE.findIndex((f, j) => {
+                const tol = tolerance[f] || 0;
+                return typeof e[j] === 'number' && typeof a[j] === 'number' ? Math.abs(e[j] - a[j]) > tol : e[j] !== a[j];
+            });
+            if (k >= 0) {
+                diffs.push({ t: Math.min(e[0], a[0]), field: TRACE[k], expected: e[k], actual: a[k] });
+                if (k === 0) break;   // Rows are out of step from here on
+            }
+        }
+        return diffs;
+    }
+
+
+    // ─── SESSIONS ────────────────────────────────────────────────────────────────
+    // Turns a recorded session (ACCHistory trace, e.g. an imported CSV) into
+    // a recording of its pin changes and distance readings. Session rows are
+    // stamped at the end of their step, so events move back by one DT.
+    function fromSession(trace, { name = 'session', model = 'physics' } = {}) {
+        const { DT } = ACCEngine;
+        const rec = { format: FORMAT, version: VERSION, name, model, duration: 0, pins: [], distance: [] };
+        const last = {};
+        for (let i = 0; i < trace.length; i++) {
+            const t = Math.max(0, Math.round(trace.t[i] * 1000) - DT);
+            PINS.forEach(p => {
+                if (trace[p][i] !== (last[p] !== undefined ? last[p] : 0)) rec.pins.push([t, p, trace[p][i]]);
+                last[p] = trace[p][i];
+            });
+            if (trace.distance[i] !== last.distance) rec.distance.push([t, trace.distance[i]]);
+            last.distance = trace.distance[i];
+            rec.duration = t + DT;
+        }
+        return rec;
+    }
+
+
+    return { FORMAT, VERSION, TRACE, validate, run, compare, fromSession };
+}));
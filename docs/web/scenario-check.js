@@ -0,0 +1,75 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         scenario-check.js                                             │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Scenario suite for the Adaptive Cruise Control (ACC)          │
+ * │                simulation. Runs every scenario of the built-in library, or   │
+ * │                the scenario files given, to the end with the dashboard's     │
+ * │                default setup and scores it. A scenario that names its        │
+ * │                vehicle model runs under that model; one that leaves it out   │
+ * │                runs under each. Exits non-zero when any expectation fails.   │
+ * │                                                                              │
+ * │  Usage:        node docs/web/scenario-check.js              Check library    │
+ * │                node docs/web/scenario-check.js a.json ...   Check given files│
+ * │                                                                              │
+ * │  Technology:   Node.js (no dependencies)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ACCEngine = require('./engine.js');
+const ACCScenarios = require('./scenarios.js');
+
+
+// ─── SUITE ───────────────────────────────────────────────────────────────────
+// A file holds one scenario or an array of them, as the dashboard loads them.
+function load(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(data) ? data : [data];
+}
+
+function cases(scenarios) {
+    return scenarios.flatMap(sc => (sc.model ? [sc] : ACCEngine.MODELS.map(model => Object.assign({}, sc, { model }))));
+}
+
+function main(argv) {
+    const files = argv.filter(a => !a.startsWith('--'));
+    let failed = 0;
+    let scenarios;
+    try {
+        scenarios = files.length ? files.flatMap(load) : ACCScenarios.LIBRARY;
+    } catch (err) {
+        console.log(`FAIL  ${err.message}`);
+        return 1;
+    }
+    cases(scenarios).forEach(sc => {
+        const label = `${sc.name || sc.id} · ${sc.model}`;
+        let r;
+        try {
+            r = ACCScenarios.run(sc);
+        } catch (err) {
+            failed++;
+            console.log(`FAIL  ${label} — ${err.message}`);
+            return;
+        }
+        if (r.passed) {
+            console.log(`PASS  ${label} (${r.results.length} expectations)`);
+        } else {
+            failed++;
+            console.log(`FAIL  ${label}`);
+            r.results.filter(x => !x.passed).forEach(x => console.log(`      ${x.text} — ${x.detail}`));
+        }
+    });
+    if (failed) console.log(`\n${failed} scenario run(s) failed their expectations.`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main };
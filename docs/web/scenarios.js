@@ -0,0 +1,482 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         scenarios.js                                                  │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Declarative test scenarios for the Adaptive Cruise Control    │
+ * │                (ACC) simulation. A scenario sets the starting speed and      │
+ * │                mode, schedules button presses, cruise stalk commands, pedal  │
+ * │                and distance changes, traffic profiles and injected faults,   │
+ * │                and lists expectations such as "gap never below 0.3 m". The   │
+ * │                runner drives the engine step by step, watches every          │
+ * │                expectation over its time window and scores the run. Includes │
+ * │                a built-in library. Pure functions only — no DOM access.      │
+ * │                                                                              │
+ * │  Units:        Times in s, speeds in km/h, gap/distance in sensor meters.    │
+ * │  Exports:      window.ACCScenarios (browser) · module.exports (Node)         │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vehicle.js'), require('./traffic.js'), require('./controllers.js'),
+            require('./sensor.js'), require('./engine.js'), require('./faults.js'), require('./modes.js'),
+            require('./units.js'));
+    } else {
+        root.ACCScenarios = factory(root.VehicleModel, root.TrafficModel, root.ACCControllers, root.SensorModel,
+            root.ACCEngine, root.ACCFaults, root.ACCModes, root.ACCUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (VehicleModel, TrafficModel, ACCControllers, SensorModel, ACCEngine,
+    ACCFaults, ACCModes, ACCUnits) {
+    'use strict';
+
+    const { DT, KMH, MODES } = ACCEngine;
+
+    // ─── FORMAT ──────────────────────────────────────────────────────────────────
+    // {
+    //   id, name, description,
+    //   duration: 30,                              seconds
+    //   model: 'physics',                          or 'discrete'
+    //   setup: { controller, headway, standstill, scale, sensor: { model, filter, params } },
+    //   initial: { speed: 60, mode: 'adaptive', distance: 0.6 },
+    //   traffic: 'hardbrake',                      TrafficModel profile id
+    //   actions: [
+    //     { at: 2, press: 'cruise' },              A2/A3/A4 button press
+    //     { at: 2, stalk: 'up5' },                 cruise stalk (ACCModes.STALK)
+    //     { at: 3, pin: 'A0', volts: 5 },          pedal voltage, held
+    //     { at: 4, distance: 0.25 },               slider distance (manual traffic)
+    //     { at: 5, traffic: 'cutin' },             start a traffic profile
+    //     { at: 6, sensor: { params: { dropout: 0.5 } } },   sensor fault
+    //     { at: 8, fault: { kind: 'sensor', target: 'frozen' }, for: 3 },
+    //                                              injected fault (ACCFaults),
+    //                                              `for` s or until the end
+    //   ],
+    //   expect: [
+    //     { metric: 'gap', min: 0.3 },             never below, over the whole run
+    //     { metric: 'speed', from: 20, max: 46 },  never above, from 20 s on
+    //     { metric: 'mode', at: 5, equals: 'adaptive' },
+    //     { metric: 'collisions', equals: 0 },
+    //   ],
+    // }
+    // Setup fields left out keep the dashboard's current controller, time gap,
+    // bench scale and sensor, so one scenario can score any controller.
+    // The model defaults to physics; a library scenario names it when its
+    // expectations only hold there: the MATLAB discrete model has no stalk
+    // or standstill hold, lights D12 only at 0 km/h, and its ±1 km/h steps
+    // brake too slowly for traffic.
+    // One that leaves it out is checked under both (scenario-check.js).
+    // Expectations are written in km/h and sensor meters whatever the units;
+    // the results are reported in the dashboard's units.
+
+    const MODE_IDS = ['normal', 'cruise', 'adaptive'];
+    const PRESS_PINS = { normal: 'A2', cruise: 'A3', adaptive: 'A4' };
+
+    // Each metric reads one sample from the engine state; `unbounded` ones
+    // may read ∞ (the time gap while stopped).
+    const METRICS = {
+        speed: { unit: 'km/h', digits: 1, read: s => s.speed },
+        setSpeed: { unit: 'km/h', digits: 0, read: s => s.constant },
+        gap: { unit: 'm', digits: 2, read: s => TrafficModel.toSensor(s.gap, s.scale) },
+        distance: { unit: 'm', digits: 2, read: s => s.distance },
+        timeGap: { unit: 's', digits: 2, unbounded: true, read: s => (s.vehicle.v > 1 ? s.gap / s.vehicle.v : Infinity) },
+        mode: { unit: '', read: s => MODE_IDS[s.mode] },
+        D12: { unit: '', read: s => (s.D12 ? 1 : 0) },
+        D13: { unit: '', read: s => (s.D13 ? 1 : 0) },
+        collisions: { unit: '', digits: 0, read: (s, run) => run.collisions },
+    };
+
+
+    // ─── LIBRARY ─────────────────────────────────────────────────────────────────
+    const LIBRARY = [
+        {
+            id: 'threshold-brake',
+            name: 'MATLAB threshold brake',
+            description: 'The 0.30 m rule: a lead vehicle inside the threshold slows the car, and it recovers once clear.',
+            duration: 30,
+            model: 'physics',
+            setup: { controller: 'parity' },
+            initial: { speed: 50, mode: 'adaptive', distance: 0.6 },
+            actions: [{ at: 3, distance: 0.25 }, { at: 7, distance: 0.6 }],
+            expect: [
+                { metric: 'speed', at: 7, max: 45 },
+                { metric: 'D12', from: 4, to: 6, equals: 1 },
+                { metric: 'speed', from: 25, min: 48 },
+                { metric: 'mode', equals: 'adaptive' },
+            ],
+        },
+        {
+            id: 'cruise-hold',
+            name: 'Cruise hold',
+            description: 'Cruise mode engaged at 50 km/h holds the speed without any pedal input.',
+            duration: 30,
+            initial: { speed: 50 },
+            actions: [{ at: 1, press: 'cruise' }],
+            expect: [
+                { metric: 'mode', from: 2, equals: 'cruise' },
+                { metric: 'speed', from: 5, min: 49, max: 51 },
+            ],
+        },
+        {
+            id: 'set-speed-stalk',
+            name: 'Set speed from the stalk',
+            description: 'SET at 60 km/h, +5 twice, a brake tap to Standby, then RES back to 70 km/h.',
+            duration: 40,
+            model: 'physics',
+            initial: { speed: 60 },
+            actions: [
+                { at: 0, stalk: 'set' },
+                { at: 3, stalk: 'up5' },
+                { at: 4, stalk: 'up5' },
+                { at: 15, pin: 'A1', volts: 2.5 },
+                { at: 16, pin: 'A1', volts: 0 },
+                { at: 18, stalk: 'resume' },
+            ],
+            expect: [
+                { metric: 'setSpeed', at: 5, equals: 70 },
+                { metric: 'speed', from: 12, to: 15, min: 69, max: 71 },
+                { metric: 'mode', at: 17, equals: 'normal' },
+                { metric: 'mode', from: 19, equals: 'cruise' },
+                { metric: 'speed', from: 35, min: 69, max: 71 },
+            ],
+        },
+        {
+            id: 'cut-in',
+            name: 'Cut-in at 70 km/h',
+            description: 'A slower car cuts in 18 m ahead. The ACC car must open the gap without closing it.',
+            duration: 40,
+            model: 'physics',
+            initial: { speed: 70, mode: 'adaptive' },
+            traffic: 'cutin',
+            expect: [
+                { metric: 'collisions', equals: 0 },
+                { metric: 'gap', min: 0.05 },
+                { metric: 'speed', from: 30, max: 47 },
+            ],
+        },
+        {
+            id: 'hard-brake',
+            name: 'Hard brake to standstill',
+            description: 'The lead vehicle brakes at 7 m/s² from 60 km/h to a stop. The ACC car must stop behind it.',
+            duration: 30,
+            model: 'physics',
+            initial: { speed: 60, mode: 'adaptive' },
+            traffic: 'hardbrake',
+            expect: [
+                { metric: 'collisions', equals: 0 },
+                { metric: 'gap', min: 0.03 },
+                { metric: 'speed', from: 25, max: 1 },
+            ],
+        },
+        {
+            id: 'stop-and-go',
+            name: 'Stop-and-go',
+            description: 'The lead vehicle stops and pulls away every 20 s; the ACC car follows without contact.',
+            duration: 60,
+            model: 'physics',
+            initial: { speed: 30, mode: 'adaptive' },
+            traffic: 'stopgo',
+            expect: [
+                { metric: 'collisions', equals: 0 },
+                { metric: 'gap', min: 0.03 },
+            ],
+        },
+        {
+            id: 'traffic-jam',
+            name: 'Traffic jam',
+            description: 'The lead vehicle stops for 11 s, then for 22 s. After the short stop the ACC car drives off by itself; after the long one it waits for RES.',
+            duration: 60,
+            model: 'physics',
+            setup: { standstill: 3 },
+            initial: { speed: 30, mode: 'adaptive' },
+            traffic: 'jam',
+            actions: [{ at: 52, stalk: 'resume' }],
+            expect: [
+                { metric: 'collisions', equals: 0 },
+                { metric: 'gap', min: 0.03 },
+                { metric: 'speed', from: 22, to: 26, min: 10 },
+                { metric: 'speed', from: 45, to: 52, max: 0.5 },
+                { metric: 'speed', at: 58, min: 10 },
+            ],
+        },
+        {
+            id: 'sensor-dropouts',
+            name: 'HC-SR04 dropouts',
+            description: 'Following at 50 km/h through a noisy HC-SR04 that loses 30% of its echoes for 15 s; the Kalman filter must hold the gap.',
+            duration: 40,
+            setup: { sensor: { model: 'hcsr04', filter: 'kalman' } },
+            initial: { speed: 50, mode: 'adaptive' },
+            traffic: 'constant',
+            actions: [
+                { at: 10, sensor: { params: { dropout: 0.3 } } },
+                { at: 25, sensor: { params: { dropout: 0.02 } } },
+            ],
+            expect: [
+                { metric: 'collisions', equals: 0 },
+                { metric: 'timeGap', from: 5, min: 0.8 },
+                { metric: 'speed', from: 5, max: 56 },
+            ],
+        },
+    ];
+
+
+    // ─── VALIDATION ──────────────────────────────────────────────────────────────
+    // Throws an Error naming the first problem, so a loaded file can be
+    // rejected with a readable message. Ids are looked up as own keys, so
+    // a name such as "constructor" is unknown rather than inherited.
+    const known = (map, id) => Object.hasOwn(map, id);
+    const within = (v, lo, hi) => Number.isFinite(v) && v >= lo && v <= hi;
+
+    // A sensor setup or change, checked the way ACCPresets checks a link.
+    function validateSensor(sensor, where) {
+        const { model, filter, params } = sensor;
+        if (model !== undefined && !known(SensorModel.MODELS, model)) throw new Error(`${where}: unknown sensor model "${model}"`);
+        if (filter !== undefined && !known(SensorModel.FILTERS, filter)) throw new Error(`${where}: unknown sensor filter "${filter}"`);
+        Object.keys(params || {}).forEach(k => {
+            if (!known(SensorModel.DEFAULTS, k)) throw new Error(`${where}: unknown sensor parameter "${k}"`);
+            if (!within(params[k], 0, Infinity)) throw new Error(`${where}: sensor ${k} must be a number ≥ 0`);
+        });
+    }
+
+    function validate(sc) {
+        if (!sc || typeof sc !== 'object') throw new Error('Scenario is not an object');
+        if (!sc.name) throw new Error('Scenario has no name');
+        if (!(sc.duration > 0)) throw new Error(`${sc.name}: duration must be a positive number of seconds`);
+        if (sc.model && !ACCEngine.MODELS.includes(sc.model)) throw new Error(`${sc.name}: unknown model "${sc.model}"`);
+        if (sc.traffic && !known(TrafficModel.PROFILES, sc.traffic)) throw new Error(`${sc.name}: unknown traffic "${sc.traffic}"`);
+        const setup = sc.setup || {};
+        if (setup.controller !== undefined && !known(ACCControllers.REGISTRY, setup.controller)) {
+            throw new Error(`${sc.name}: unknown controller "${setup.controller}"`);
+        }
+        if (setup.headway !== undefined && !ACCEngine.HEADWAYS.includes(setup.headway)) {
+            throw new Error(`${sc.name}: unsupported time gap ${setup.headway} s`);
+        }
+        if (setup.standstill !== undefined && !ACCEngine.STANDSTILL_WINDOWS.includes(setup.standstill)) {
+            throw new Error(`${sc.name}: unsupported standstill window ${setup.standstill} s`);
+        }
+        if (setup.scale !== undefined && !ACCUnits.SCALES.includes(setup.scale)) {
+            throw new Error(`${sc.name}: unsupported bench scale ${setup.scale}`);
+        }
+        if (setup.sensor) validateSensor(setup.sensor, sc.name);
+        const initial = sc.initial || {};
+        if (initial.mode && !MODE_IDS.includes(initial.mode)) throw new Error(`${sc.name}: unknown initial mode "${initial.mode}"`);
+        if (initial.speed !== undefined && !within(initial.speed, 0, ACCModes.LIMITS.maxSpeed)) {
+            throw new Error(`${sc.name}: initial speed must be a number from 0 to ${ACCModes.LIMITS.maxSpeed} km/h`);
+        }
+        if (initial.distance !== undefined && !within(initial.distance, 0, 1)) {
+            throw new Error(`${sc.name}: initial distance must be a number from 0 to 1 m`);
+        }
+        (sc.actions || []).forEach((a, i) => {
+            const where = `${sc.name}: action ${i + 1}`;
+            if (!(a.at >= 0)) throw new Error(`${where} has no time`);
+            if (a.press && !known(PRESS_PINS, a.press)) throw new Error(`${where}: unknown button "${a.press}"`);
+            if (a.stalk && !known(ACCModes.STALK, a.stalk)) throw new Error(`${where}: unknown stalk command "${a.stalk}"`);
+            if (a.pin && !/^A[0-4]$/.test(a.pin)) throw new Error(`${where}: unknown pin "${a.pin}"`);
+            if (a.pin && !within(a.volts, 0, 5)) throw new Error(`${where}: volts must be a number from 0 to 5`);
+            if (a.distance !== undefined && !within(a.distance, 0, 1)) {
+                throw new Error(`${where}: distance must be a number from 0 to 1 m`);
+            }
+            if (a.traffic && !known(TrafficModel.PROFILES, a.traffic)) throw new Error(`${where}: unknown traffic "${a.traffic}"`);
+            if (a.sensor) validateSensor(a.sensor, where);
+            if (a.fault) {
+                try {
+                    ACCFaults.validate(Object.assign({ from: a.at * 1000, to: a.for ? (a.at + a.for) * 1000 : null }, a.fault));
+                } catch (err) {
+                    throw new Error(`${where}: ${err.message}`);
+                }
+            }
+        });
+        if (!(sc.expect || []).length) throw new Error(`${sc.name}: no expectations to score`);
+        sc.expect.forEach((e, i) => {
+            if (!known(METRICS, e.metric)) throw new Error(`${sc.name}: expectation ${i + 1} has unknown metric "${e.metric}"`);
+            if (e.min === undefined && e.max === undefined && e.equals === undefined) {
+                throw new Error(`${sc.name}: expectation ${i + 1} needs min, max or equals`);
+            }
+        });
+        return sc;
+    }
+
+
+    // ─── RUNNER ──────────────────────────────────────────────────────────────────
+    // Builds the starting engine state from `base` (the dashboard's state, so
+    // unspecified setup carries over) and the scenario's setup and initial
+    // conditions. Returns the run: engine state, held pins, pending actions
+    // and one monitor per expectation.
+    function start(sc, base = {}) {
+        validate(sc);
+        const events = [];
+        const apply = result => { s = result.state; events.push(...result.events); };
+        const setup = sc.setup || {};
+        const initial = sc.initial || {};
+        const v = (initial.speed || 0) / KMH;
+
+        let s = ACCEngine.createState({
+            model: sc.model || 'physics',
+            controller: base.controller,
+            headway: base.headway,
+            standstillWindow: base.standstillWindow,
+            units: base.units,
+            scale: base.scale,
+            sensorModel: base.sensorModel,
+            sensorFilter: base.sensorFilter,
+            sensorParams: base.sensorParams,
+            speed: initial.speed || 0,
+            vehicle: VehicleModel.createState({ v }),
+        });
+        if (setup.controller) apply(ACCEngine.setController(s, setup.controller));
+        if (setup.headway) apply(ACCEngine.setHeadway(s, setup.headway));
+        if (setup.standstill !== undefined) apply(ACCEngine.setStandstill(s, setup.standstill));
+        if (setup.scale) apply(ACCEngine.setScale(s, setup.scale));
+        if (setup.sensor) apply(ACCEngine.setSensor(s, setup.sensor));
+        apply(ACCEngine.setScenario(s, sc.traffic || 'manual'));
+        if (initial.mode) apply(ACCEngine.selectMode(s, MODES[initial.mode.toUpperCase()]));
+
+        return {
+            run: {
+                scenario: sc,
+                state: s,
+                pins: { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 },
+                distance: initial.distance !== undefined ? initial.distance : 0.5,
+                next: 0,                // Index of the next pending action
+                actions: (sc.actions || []).slice().sort((a, b) => a.at - b.at),
+                collisions: 0,
+                monitors: sc.expect.map(() => ({ seen: 0, lo: Infinity, hi: -Infinity, loAt: 0, hiAt: 0, bad: null })),
+                done: false,
+            },
+            events,
+        };
+    }
+
+    // Applies the actions due at the current time, advances the engine one
+    // step and updates the monitors. Button presses last exactly one step.
+    function advance(run) {
+        const r = Object.assign({}, run, { pins: Object.assign({}, run.pins), monitors: run.monitors.slice() });
+        const events = [];
+        let s = r.state;
+        const t = s.t / 1000;
+        const release = [];
+
+        while (r.next < r.actions.length && r.actions[r.next].at <= t + 1e-9) {
+            const a = r.actions[r.next++];
+            let result = null;
+            if (a.press) { r.pins[PRESS_PINS[a.press]] = 5; release.push(PRESS_PINS[a.press]); }
+            if (a.stalk) result = ACCEngine.stalk(s, a.stalk);
+            if (a.pin) r.pins[a.pin] = a.volts;
+            if (a.distance !== undefined) r.distance = a.distance;
+            if (a.traffic) result = ACCEngine.setScenario(s, a.traffic);
+            if (a.sensor) result = ACCEngine.setSensor(s, a.sensor);
+            if (a.fault) {
+                result = ACCEngine.injectFault(s, Object.assign({}, a.fault, {
+                    from: s.t, to: a.for ? s.t + Math.round(a.for * 1000 / DT) * DT : null,
+                }));
+            }
+            if (result) { s = result.state; events.push(...result.events); }
+        }
+
+        const result = ACCEngine.advance(s, ACCEngine.createInputs({ pins: r.pins, distance: r.distance }));
+        s = result.state;
+        events.push(...result.events);
+        release.forEach(p => { r.pins[p] = 0; });
+        if (s.collided && !r.state.collided) r.collisions++;
+        r.state = s;
+
+        r.monitors = r.monitors.map((m, i) => watch(m, r.scenario.expect[i], r));
+        r.done = s.t >= Math.round(r.scenario.duration * 1000 / DT) * DT;
+        return { run: r, events };
+    }
+
+    // Folds the current sample into one expectation's monitor. Samples
+    // outside the window are ignored; `at` watches the first sample at or
+    // after that time. `collisions` is only meaningful at the end, so it is
+    // judged on the final value. A number that is not finite (a NaN from a
+    // broken setup) fails the expectation; only an `unbounded` metric may
+    // read ∞.
+    function watch(m, exp, run) {
+        const t = run.state.t / 1000;
+        const from = exp.at !== undefined ? exp.at : (exp.from || 0);
+        const to = exp.at !== undefined ? Infinity : (exp.to !== undefined ? exp.to : Infinity);
+        if (t + 1e-9 < from || t > to + 1e-9 || (exp.at !== undefined && m.seen)) return m;
+        if (exp.metric === 'collisions' && !(t + 1e-9 >= run.scenario.duration)) return m;
+
+        const value = METRICS[exp.metric].read(run.state, run);
+        const n = Object.assign({}, m, { seen: m.seen + 1 });
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value) && !(value === Infinity && METRICS[exp.metric].unbounded)) {
+                if (!n.bad) n.bad = { value, t };
+                return n;
+            }
+            if (value < n.lo) { n.lo = value; n.loAt = t; }
+            if (value > n.hi) { n.hi = value; n.hiAt = t; }
+        }
+        if (exp.equals !== undefined && value !== exp.equals && !n.bad) n.bad = { value, t };
+        return n;
+    }
+
+
+    // ─── SCORING ─────────────────────────────────────────────────────────────────
+    const fmt = (metric, v, units = 'metric') => {
+        const { unit, digits: d } = METRICS[metric];
+        if (typeof v !== 'number') return String(v);
+        if (Number.isNaN(v)) return 'NaN';
+        if (!Number.isFinite(v)) return '∞';
+        if (unit === 'km/h') return ACCUnits.formatSpeed(v, units, d);
+        if (unit === 'm') return ACCUnits.formatDistance(v, units, d);
+        return (d !== undefined ? v.toFixed(d) : String(v)) + (unit ? ' ' + unit : '');
+    };
+
+    // Human-readable wording of an expectation in the given units, e.g.
+    // "gap ≥ 0.30 m, 5–20 s".
+    function describe(exp, units) {
+        const parts = [];
+        if (exp.min !== undefined && exp.max !== undefined) {
+            parts.push(`${exp.metric} within ${fmt(exp.metric, exp.min, units)} – ${fmt(exp.metric, exp.max, units)}`);
+        } else if (exp.min !== undefined) {
+            parts.push(`${exp.metric} ≥ ${fmt(exp.metric, exp.min, units)}`);
+        } else if (exp.max !== undefined) {
+            parts.push(`${exp.metric} ≤ ${fmt(exp.metric, exp.max, units)}`);
+        }
+        if (exp.equals !== undefined) parts.push(`${exp.metric} = ${fmt(exp.metric, exp.equals, units)}`);
+        let when = '';
+        if (exp.at !== undefined) when = ` at ${exp.at} s`;
+        else if (exp.from !== undefined || exp.to !== undefined) when = `, ${exp.from || 0}–${exp.to !== undefined ? exp.to + ' s' : 'end'}`;
+        return parts.join(', ') + when;
+    }
+
+    // Judges every expectation and returns { passed, results } with one
+    // { text, passed, detail } entry per expectation.
+    function score(run) {
+        const units = run.state.units;
+        const results = run.scenario.expect.map((exp, i) => {
+            const m = run.monitors[i];
+            const text = describe(exp, units);
+            if (!m.seen) return { text, passed: false, detail: 'never observed (window outside the run)' };
+            if (m.bad) {
+                return { text, passed: false, detail: `was ${fmt(exp.metric, m.bad.value, units)} at ${m.bad.t.toFixed(2)} s` };
+            }
+            if (exp.min !== undefined && m.lo < exp.min) {
+                return { text, passed: false, detail: `lowest ${fmt(exp.metric, m.lo, units)} at ${m.loAt.toFixed(2)} s` };
+            }
+            if (exp.max !== undefined && m.hi > exp.max) {
+                return { text, passed: false, detail: `highest ${fmt(exp.metric, m.hi, units)} at ${m.hiAt.toFixed(2)} s` };
+            }
+            let detail = 'ok';
+            if (exp.min !== undefined) detail = `lowest ${fmt(exp.metric, m.lo, units)}`;
+            else if (exp.max !== undefined) detail = `highest ${fmt(exp.metric, m.hi, units)}`;
+            return { text, passed: true, detail };
+        });
+        return { passed: results.every(r => r.passed), results };
+    }
+
+    // Runs a scenario to the end without rendering.
+    function run(sc, base = {}) {
+        let r = start(sc, base).run;
+        while (!r.done) r = advance(r).run;
+        return Object.assign({ state: r.state }, score(r));
+    }
+
+
+    return { LIBRARY, METRICS, validate, start, advance, score, describe, run };
+}));
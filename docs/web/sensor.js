@@ -0,0 +1,215 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         sensor.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  HC-SR04 ultrasonic sensor model for the Adaptive Cruise       │
+ * │                Control (ACC) simulation. Turns the true distance into the    │
+ * │                reading an Arduino would get: triggers at a fixed sample      │
+ * │                rate, quantizes the echo time, adds Gaussian noise, times     │
+ * │                out beyond the maximum range or outside the beam cone,        │
+ * │                misses echoes, and reports spurious early ones. An optional   │
+ * │                median or Kalman filter cleans the signal before the          │
+ * │                controller sees it. Noise comes from a seeded generator,      │
+ * │                so runs remain reproducible. Pure functions only.             │
+ * │                                                                              │
+ * │  Units:        Sensor meters (the 0–4 m bench scale), times in ms / µs.      │
+ * │  Exports:      window.SensorModel (browser) · module.exports (Node)          │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SensorModel = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SOUND = 343;          // Speed of sound at 20 °C (m/s)
+
+    // 'ideal' passes the true distance through on every step, exactly as the
+    // slider did before; 'hcsr04' applies the full measurement model below.
+    const MODELS = { ideal: 'Ideal', hcsr04: 'HC-SR04' };
+    const FILTERS = { none: 'None', median: 'Median', kalman: 'Kalman' };
+
+    // ─── DEFAULT PARAMETERS ──────────────────────────────────────────────────────
+    // Datasheet values where the HC-SR04 has them; noise and fault rates are
+    // typical of a bench setup with a flat target.
+    const DEFAULTS = {
+        period: 60,         // Trigger interval (ms); the datasheet asks for ≥ 60 ms
+        tickUs: 58,         // Echo-time resolution (µs); 58 µs ≈ 1 cm, as in `duration / 58`
+        sigma: 0.003,       // Gaussian range noise, 1σ (m)
+        minRange: 0.02,     // Closest measurable distance (m)
+        maxRange: 4.0,      // Farthest measurable distance (m)
+        timeoutUs: 38000,   // Echo pulse width when no echo returns (µs)
+        dropout: 0.02,      // Probability that an echo is missed (0–1)
+        spurious: 0.01,     // Probability of an early, spurious echo (0–1)
+        cone: 7.5,          // Beam half-angle (degrees); the datasheet's 15° is the full width
+    };
+
+    const MEDIAN_WINDOW = 5;    // Samples in the median filter
+    const KALMAN = {
+        q: 0.01,            // Process noise: relative acceleration spectral density (m²/s³)
+        gate: 9,            // Innovation gate (χ², 1 dof ≈ 3σ): larger residuals are rejected
+        reacquire: 3,       // Consecutive rejected or missing samples before re-initializing
+    };
+
+
+    // ─── RANDOM NUMBERS ──────────────────────────────────────────────────────────
+    // mulberry32: a small 32-bit generator whose whole state is one integer,
+    // so it can live in the (cloneable) sensor state.
+    function random(seed) {
+        let t = (seed + 0x6D2B79F5) >>> 0;
+        const next = t;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, seed: next };
+    }
+
+    // Box–Muller transform: one standard normal sample from two uniforms.
+    function gaussian(seed) {
+        const a = random(seed), b = random(a.seed);
+        const u = Math.max(a.value, 1e-12);
+        return { value: Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * b.value), seed: b.seed };
+    }
+
+
+    // ─── STATE ───────────────────────────────────────────────────────────────────
+    function createState(seed = 1) {
+        return {
+            seed,           // Generator state
+            since: 0,       // ms since the last trigger
+            started: false, // The first trigger has fired
+            fresh: false,   // A new sample was taken on this step
+            raw: 0.5,       // Last raw reading (m); Infinity after a timeout
+            value: 0.5,     // Filtered reading handed to the controller (m)
+            echoUs: 0,      // Width of the last echo pulse (µs)
+            timeout: false, // The last trigger got no echo
+            window: [],     // Median filter history
+            kf: null,       // Kalman filter { x: [d, v], P: [[..],[..]] }
+        };
+    }
+
+
+    // ─── MEASUREMENT ─────────────────────────────────────────────────────────────
+    // One trigger/echo cycle. The target is only seen when it lies within the
+    // beam cone (|lateral| ≤ d·tan(cone)) and inside the measurable range.
+    function measure(seed, truth, p) {
+        const d = truth.distance;
+        const inCone = Math.abs(truth.lateral || 0) <= d * Math.tan(p.cone * Math.PI / 180);
+        let r = random(seed);
+        let echo;
+
+        if (!inCone || d < p.minRange || d > p.maxRange || r.value < p.dropout) {
+            return { seed: r.seed, raw: Infinity, echoUs: p.timeoutUs, timeout: true };
+        }
+        if (r.value < p.dropout + p.spurious) {
+            const u = random(r.seed);
+            r = u;
+            echo = p.minRange + u.value * (d - p.minRange);
+        } else {
+            const g = gaussian(r.seed);
+            r = g;
+            echo = Math.max(p.minRange, d + p.sigma * g.value);
+        }
+
+        const echoUs = Math.floor(echo * 2 / SOUND * 1e6 / p.tickUs) * p.tickUs;
+        return { seed: r.seed, raw: echoUs * SOUND / 2 / 1e6, echoUs, timeout: false };
+    }
+
+
+    // ─── FILTERS ─────────────────────────────────────────────────────────────────
+    // Median: a timeout counts as "nothing in range" (maxRange), so isolated
+    // dropouts and spikes are voted out by their neighbours.
+    function median(window, raw, p) {
+        const next = window.concat(Number.isFinite(raw) ? raw : p.maxRange).slice(-MEDIAN_WINDOW);
+        const sorted = next.slice().sort((a, b) => a - b);
+        return { window: next, value: sorted[Math.floor(sorted.length / 2)] };
+    }
+
+    // Kalman: constant-velocity model of the distance. Timeouts skip the
+    // update (predict only); readings outside the innovation gate are treated
+    // as spurious and skipped too. After KALMAN.reacquire misses in a row the
+    // filter restarts from the latest reading, so a real jump (a cut-in, or
+    // the target leaving the beam) is followed instead of coasted through.
+    function kalman(kf, raw, p) {
+        const R = p.sigma * p.sigma + (p.tickUs * SOUND / 2e6) ** 2 / 12;
+        if (!kf || kf.misses >= KALMAN.reacquire) {
+            const d = Number.isFinite(raw) ? raw : p.maxRange;
+            return { x: [d, 0], P: [[R, 0], [0, 0.01]], misses: 0 };
+        }
+        const dt = p.period / 1000;
+        const q = KALMAN.q;
+        let [d, v] = kf.x;
+        let [[p00, p01], [, p11]] = kf.P;
+
+        // Predict
+        d += v * dt;
+        p00 += dt * (2 * p01 + dt * p11) + q * dt ** 3 / 3;
+        p01 += dt * p11 + q * dt ** 2 / 2;
+        p11 += q * dt;
+
+        // Update
+        let misses = kf.misses + 1;
+        if (Number.isFinite(raw)) {
+            const y = raw - d;
+            const S = p00 + R;
+            if (y * y <= KALMAN.gate * S) {
+                const k0 = p00 / S, k1 = p01 / S;
+                d += k0 * y;
+                v += k1 * y;
+                p11 -= k1 * p01;
+                p01 -= k0 * p01;
+                p00 -= k0 * p00;
+                misses = 0;
+            }
+        }
+        return { x: [d, v], P: [[p00, p01], [p01, p11]], misses };
+    }
+
+
+    // ─── FIXED-STEP ADVANCE ──────────────────────────────────────────────────────
+    // Advances the sensor by dt ms. `truth` is { distance, lateral } in sensor
+    // meters. Between triggers the last filtered value is held, as a sketch
+    // that reads the sensor in its loop would see it.
+    function step(state, truth, dt, model = 'ideal', filter = 'none', overrides = {}) {
+        const s = Object.assign({}, state);
+        if (model !== 'hcsr04') {
+            Object.assign(s, {
+                since: 0, started: false, fresh: true, timeout: false,
+                raw: truth.distance, value: truth.distance,
+                echoUs: Math.round(truth.distance * 2 / SOUND * 1e6),
+            });
+            return s;
+        }
+
+        const p = Object.assign({}, DEFAULTS, overrides);
+        s.since += dt;
+        s.fresh = false;
+        if (s.started && s.since < p.period) return s;
+        s.since = s.started ? s.since - p.period : 0;
+        s.started = true;
+        s.fresh = true;
+
+        const m = measure(s.seed, truth, p);
+        Object.assign(s, { seed: m.seed, raw: m.raw, echoUs: m.echoUs, timeout: m.timeout });
+
+        if (filter === 'median') {
+            const f = median(s.window, m.raw, p);
+            s.window = f.window;
+            s.value = f.value;
+        } else if (filter === 'kalman') {
+            s.kf = kalman(s.kf, m.raw, p);
+            s.value = Math.max(0, s.kf.x[0]);
+        } else {
+            s.value = Number.isFinite(m.raw) ? m.raw : p.maxRange;
+        }
+        return s;
+    }
+
+
+    return { MODELS, FILTERS, DEFAULTS, SOUND, createState, step, random, gaussian };
+}));
@@ -0,0 +1,224 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         serial.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Serial line protocol between the Adaptive Cruise Control      │
+ * │                (ACC) simulation and an Arduino Uno running the companion     │
+ * │                firmware. The board streams its potentiometer voltages and    │
+ * │                HC-SR04 readings; the simulation answers with the D13/D12     │
+ * │                LED states and the LCD rows. Parses and formats protocol      │
+ * │                lines, splits a byte stream into lines, and provides a mock   │
+ * │                port that behaves like a Web Serial SerialPort wired to a     │
+ * │                board running the firmware, for testing without hardware.     │
+ * │                                                                              │
+ * │  Protocol:     9600 baud, 8N1. ASCII lines ending in "\n" ("\r" ignored),    │
+ * │                fields separated by single spaces.                            │
+ * │                Board → app                                                   │
+ * │                  HELLO <name> <version>   on reset and in reply to HELLO     │
+ * │                  PINS <a0> <a1> <a2> <a3> <a4>   analog inputs, 0.00–5.00 V  │
+ * │                  DIST <m>                 HC-SR04 reading in m; -1 = no echo │
+ * │                  LOG <text>               shown on the serial monitor        │
+ * │                  ERR <text>               the board rejected a command       │
+ * │                App → board                                                   │
+ * │                  HELLO ACC-SIM <version>  sent on connect                    │
+ * │                  LED <d13> <d12>          0 or 1 each                        │
+ * │                  LCD <row> <text>         row 0 or 1, up to 16 characters    │
+ * │                Unknown commands are reported and skipped, so either side     │
+ * │                can add commands without breaking the other.                  │
+ * │  Exports:      window.ACCSerial (browser) · module.exports (Node)            │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+), Web Serial API                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCSerial = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const VERSION = 1;
+    const BAUD = 9600;
+    const PINS = ['A0', 'A1', 'A2', 'A3', 'A4'];
+    const LCD_COLS = 16;
+    const MAX_LINE = 128;       // Longer lines are dropped as line noise
+
+
+    // ─── PARSING ─────────────────────────────────────────────────────────────────
+    // Parses one line from either side into a message object:
+    //   { type: 'hello', name, version }      { type: 'pins', pins: { A0… } }
+    //   { type: 'dist', distance | null }     { type: 'log' | 'err', text }
+    //   { type: 'led', D13, D12 }             { type: 'lcd', row, text }
+    // A blank line parses to null. Throws an Error on malformed input.
+    function parse(line) {
+        const text = String(line).replace(/\r$/, '');
+        if (!text.trim()) return null;
+        if (text.length > MAX_LINE) throw new Error(`Line longer than ${MAX_LINE} characters`);
+        const space = text.indexOf(' ');
+        const cmd = space < 0 ? text : text.slice(0, space);
+        const rest = space < 0 ? '' : text.slice(space + 1);
+        const args = rest.split(' ').filter(Boolean);
+        const number = (s, what) => {
+            const v = Number(s);
+            if (s === undefined || s === '' || !Number.isFinite(v)) throw new Error(`${cmd}: ${what} is not a number`);
+            return v;
+        };
+
+        switch (cmd) {
+            case 'HELLO':
+                if (args.length < 2) throw new Error('HELLO: expected a name and a version');
+                return { type: 'hello', name: args[0], version: number(args[1], 'version') };
+            case 'PINS': {
+                if (args.length !== PINS.length) throw new Error(`PINS: expected ${PINS.length} voltages, got ${args.length}`);
+                const pins = {};
+                PINS.forEach((p, i) => {
+                    const v = number(args[i], p);
+                    if (v < 0 || v > 5) throw new Error(`PINS: ${p} = ${v} V is outside 0–5 V`);
+                    pins[p] = v;
+                });
+                return { type: 'pins', pins };
+            }
+            case 'DIST': {
+                const d = number(args[0], 'distance');
+                if (d < 0 && d !== -1) throw new Error(`DIST: ${d} m is not a distance`);
+                return { type: 'dist', distance: d === -1 ? null : d };
+            }
+            case 'LOG':
+            case 'ERR':
+                return { type: cmd.toLowerCase(), text: rest };
+            case 'LED': {
+                const [d13, d12] = [number(args[0], 'D13'), number(args[1], 'D12')];
+                if (![0, 1].includes(d13) || ![0, 1].includes(d12)) throw new Error('LED: states must be 0 or 1');
+                return { type: 'led', D13: d13, D12: d12 };
+            }
+            case 'LCD': {
+                // The text is everything after the row, spaces included.
+                const cut = rest.indexOf(' ');
+                const row = number(cut < 0 ? rest : rest.slice(0, cut), 'row');
+                if (row !== 0 && row !== 1) throw new Error('LCD: row must be 0 or 1');
+                return { type: 'lcd', row, text: cut < 0 ? '' : rest.slice(cut + 1, cut + 1 + LCD_COLS) };
+            }
+            default:
+                throw new Error(`Unknown command "${cmd}"`);
+        }
+    }
+
+
+    // ─── FORMATTING ──────────────────────────────────────────────────────────────
+    // One function per command; each returns the line without its "\n".
+    const format = {
+        hello: (name = 'ACC-SIM') => `HELLO ${name} ${VERSION}`,
+        pins: pins => 'PINS ' + PINS.map(p => (pins[p] || 0).toFixed(2)).join(' '),
+        dist: d => (d === null || d === undefined ? 'DIST -1' : `DIST ${d.toFixed(2)}`),
+        log: text => `LOG ${text}`,
+        err: text => `ERR ${text}`,
+        led: (d13, d12) => `LED ${d13 ? 1 : 0} ${d12 ? 1 : 0}`,
+        lcd: (row, text) => `LCD ${row} ${String(text).replace(/[\r\n]/g, ' ').slice(0, LCD_COLS)}`,
+    };
+
+
+    // ─── LINE SPLITTING ──────────────────────────────────────────────────────────
+    // Serial reads arrive in arbitrary chunks. feed() appends a decoded chunk
+    // to the pending text and returns { buffer, lines } with every complete
+    // line; a runaway partial line (no "\n" for MAX_LINE characters) is dropped.
+    function feed(buffer, chunk) {
+        const parts = (buffer + chunk).split('\n');
+        let rest = parts.pop();
+        if (rest.length > MAX_LINE) rest = '';
+        return { buffer: rest, lines: parts.map(l => l.replace(/\r$/, '')) };
+    }
+
+
+    // ─── MOCK PORT ───────────────────────────────────────────────────────────────
+    // Stands in for a Web Serial SerialPort connected to a board running the
+    // companion firmware: open({ baudRate }), readable, writable, close().
+    // Every `period` ms the mock board reports its inputs as the firmware
+    // would — voltages through the Uno's 10-bit ADC and the distance in whole
+    // centimeters, as the sketch's `duration / 58` gives it. drive() sets
+    // those inputs; LED and LCD commands it receives are kept in `board`.
+    function createMockPort({ period = 60, name = 'ACC-MOCK' } = {}) {
+        const encoder = new TextEncoder();
+        const decoder = new TextDecoder();
+        const board = {
+            pins: { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 },
+            distance: 0.5,
+            led: { D13: 0, D12: 0 },
+            lcd: ['', ''],
+            received: 0,        // Commands accepted
+        };
+        let output = null, timer = null, buffer = '';
+
+        const send = line => { if (output) output.enqueue(encoder.encode(line + '\n')); };
+        const adc = v => Math.round(Math.max(0, Math.min(5, v)) / 5 * 1023) * 5 / 1023;
+
+        function report() {
+            const pins = {};
+            PINS.forEach(p => { pins[p] = adc(board.pins[p]); });
+            send(format.pins(pins));
+            send(format.dist(board.distance === null ? null : Math.round(board.distance * 100) / 100));
+        }
+
+        function receive(line) {
+            let msg;
+            try {
+                msg = parse(line);
+            } catch (err) {
+                send(format.err(err.message));
+                return;
+            }
+            if (!msg) return;
+            board.received++;
+            if (msg.type === 'hello') send(format.hello(name));
+            else if (msg.type === 'led') board.led = { D13: msg.D13, D12: msg.D12 };
+            else if (msg.type === 'lcd') board.lcd[msg.row] = msg.text;
+            else send(format.err(`Unexpected ${msg.type.toUpperCase()} from host`));
+        }
+
+        const port = {
+            mock: true,
+            board,
+            readable: null,
+            writable: null,
+
+            // `distance` null means no echo (the board sends DIST -1).
+            drive(pins, distance) {
+                PINS.forEach(p => { if (pins[p] !== undefined) board.pins[p] = pins[p]; });
+                if (distance !== undefined) board.distance = distance;
+            },
+
+            async open({ baudRate } = {}) {
+                if (baudRate !== BAUD) throw new Error(`The firmware runs at ${BAUD} baud, not ${baudRate}`);
+                if (port.readable) throw new Error('Port is already open');
+                port.readable = new ReadableStream({
+                    start(c) { output = c; },
+                    cancel() { output = null; },
+                });
+                port.writable = new WritableStream({
+                    write(chunk) {
+                        const r = feed(buffer, decoder.decode(chunk, { stream: true }));
+                        buffer = r.buffer;
+                        r.lines.forEach(receive);
+                    },
+                });
+                send(format.hello(name));
+                timer = setInterval(report, period);
+            },
+
+            async close() {
+                clearInterval(timer);
+                if (output) output.close();
+                output = null;
+                port.readable = port.writable = null;
+            },
+
+            getInfo: () => ({ mock: true }),
+        };
+        return port;
+    }
+
+
+    return { VERSION, BAUD, PINS, LCD_COLS, parse, format, feed, createMockPort };
+}));
@@ -4,14 +4,13 @@
  * │  Profile:      https://github.com/Amey-Thakur                                │
  * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
  * │                                                                              │
- * │  Description:  Core simulation engine for the Adaptive Cruise Control        │
- * │                (ACC) web application. This module is a faithful JavaScript   │
- * │                port of the original MATLAB ACC algorithm. It manages         │
- * │                three operating modes (Normal, Cruise, Adaptive), handles     │
- * │                simulated Arduino I/O (LEDs, pins, LCD, HC-SR04 sensor),      │
- * │                and drives all real-time dashboard updates including the      │
- * │                speedometer, telemetry, road visualization, and serial        │
- * │                monitor output.                                               │
+ * │  Description:  Dashboard runtime for the Adaptive Cruise Control (ACC)       │
+ * │                web application. The MATLAB control law itself lives in       │
+ * │                engine.js; this module samples the simulated Arduino I/O      │
+ * │                (pins, HC-SR04 sensor), feeds it to the engine across the     │
+ * │                three operating modes (Normal, Cruise, Adaptive), and         │
+ * │                renders the results: speedometer, telemetry, LEDs, LCD,       │
+ * │                road visualization, and serial monitor output.                │
  * │                                                                              │
  * │  Modes:        0 → Normal | 1 → Cruise Control | 2 → Adaptive Cruise         │
  * │  Pin Map:      A0 Accel | A1 Brake | A2 Cancel | A3 Cruise | A4 ACC          │
@@ -28,14 +27,35 @@
 // Central state object holding all runtime values for the ACC simulation.
 // Mode codes: 0 = Normal (manual), 1 = Cruise Control, 2 = Adaptive Cruise.
 const S = {
-    speed: 0,
+    speed: 0,          // Vehicle speed in km/h (continuous under the physics model)
     mode: 0,           // Active operating mode (0: Normal, 1: Cruise, 2: Adaptive)
+    machine: ACCModes.createState(), // Mode state machine: Off, Standby, Cruise, ACC, Override or Fault
     distance: 0.50,    // HC-SR04 ultrasonic sensor reading in meters
-    constant: 0,       // Cruise target speed, captured at the moment of ACC activation
+    sensorModel: 'ideal', // Sensor model: 'ideal' (true distance) or 'hcsr04' (noisy, sampled)
+    sensorFilter: 'none', // HC-SR04 reading filter: 'none', 'median', or 'kalman'
+    sensorParams: {},  // Overrides of the HC-SR04 model parameters
+    sensor: SensorModel.createState(), // Sample timing, last echo pulse and filter memory
+    constant: 0,       // Set speed (km/h): captured on engagement, adjusted with the cruise stalk
     D13: false,        // Green LED (D13) — illuminates during acceleration
     D12: false,        // Red LED (D12) — illuminates during braking or vehicle stop
     running: false,    // Whether the simulation control loop is active
-    lastLog: '',       // Tracks the most recent log message to suppress duplicates
+    t: 0,              // Simulation time in ms (advanced by the fixed-step clock)
+    model: 'physics',  // Vehicle model: 'physics' (dynamics) or 'discrete' (MATLAB ±1 km/h)
+    vehicle: VehicleModel.createState(), // Position (m), speed (m/s), acceleration (m/s²)
+    scenario: 'manual', // Lead-vehicle profile; 'manual' means the slider sets the distance
+    lead: TrafficModel.createState(),    // Lead vehicle position (m) and speed (m/s)
+    supervisor: ACCSupervisor.createState(), // Collision-warning stage, TTC and sensor plausibility
+    controller: 'ctgp', // Adaptive spacing controller: 'ctgp', 'pid', 'mpc', or 'parity' (0.30m threshold)
+    headway: 1.5,      // Time gap in seconds (1.0 / 1.5 / 2.0 / 2.5)
+    units: 'metric',   // Display units: 'metric' (km/h, m), 'imperial' (mph, ft) or 'si' (m/s, m)
+    scale: TrafficModel.SENSOR_SCALE, // Road m per bench sensor m (100: 1 cm = 1 m)
+    terms: {},         // Internal terms reported by the spacing controller
+    platoon: null,     // ACCPlatoon state while platoon mode is on, otherwise null
+    platoonTrace: null, // Sampled speeds of every platoon car for the chart
+    history: ACCHistory.createTrace(), // One sample per step for the charts and session export
+    status: '',        // Current status key, recorded with every step
+    faults: [],        // Injected faults (ACCFaults): scheduled, active and ended
+    lcdRows: ['', ''], // LCD rows as the sketch writes them; a fault may corrupt the display
     pins: { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 },  // Simulated analog pin voltage levels (0–5V)
     hornBlinking: false, // Prevents overlapping headlight flash sequences during horn
 };
@@ -47,14 +67,18 @@ const $ = id => document.getElementById(id);
 
 const D = {
     lcd1: $('lcd-1'), lcd2: $('lcd-2'),
-    gaugeArc: $('gauge-arc'), gaugeNum: $('gauge-num'),
+    gaugeArc: $('gauge-arc'), gaugeNum: $('gauge-num'), gaugeSet: $('gauge-set'), gaugeUnit: $('gauge-unit'),
     infoMode: $('info-mode'), infoCode: $('info-code'),
     infoTarget: $('info-target'), infoDist: $('info-dist'),
+    infoHeadway: $('info-headway'), infoController: $('info-controller'),
+    infoTerms: $('info-terms-text'), infoHorizon: $('info-horizon'), infoHorizonLine: $('info-horizon-line'),
     modeBadge: $('mode-badge'),
     statusDot: $('status-dot'), statusText: $('status-text'),
     ledG: $('hw-led-g'), ledR: $('hw-led-r'),
     ledT: $('hw-led-t'), ledE: $('hw-led-e'),
-    serial: $('serial'),
+    serial: $('serial'), serialLevels: $('serial-levels'), serialSearch: $('serial-search'),
+    serialPause: $('btn-serial-pause'), serialSize: $('serial-size'), serialClear: $('btn-serial-clear'),
+    serialForm: $('serial-form'), serialInput: $('serial-input'),
     distSlider: $('dist-slider'), sliderVal: $('slider-val'),
     distLabel: $('dist-label'), distLabelVal: $('dist-label-val'),
     leadCar: $('lead-car'), egoCar: $('ego-car'),
@@ -64,7 +88,50 @@ const D = {
     btnM0: $('btn-m0'), btnM1: $('btn-m1'), btnM2: $('btn-m2'),
     themeToggle: $('theme-toggle'),
     iconSun: $('icon-sun'), iconMoon: $('icon-moon'),
+    contrastToggle: $('contrast-toggle'), motionToggle: $('motion-toggle'),
+    announcePolite: $('announce-polite'), announceAlert: $('announce-alert'),
     laneStrip: $('lane-strip'),
+    btnPause: $('btn-pause'), btnStep: $('btn-step'),
+    btnSlower: $('btn-slower'), btnFaster: $('btn-faster'),
+    clockScale: $('clock-scale'), clockTime: $('clock-time'),
+    btnModel: $('btn-model'),
+    trafficSelect: $('traffic-select'), leadTag: $('lead-tag'),
+    gapBtns: document.querySelectorAll('.btn-gap[data-headway]'),
+    stalkBtns: document.querySelectorAll('.btn-gap[data-stalk]'),
+    controllerSelect: $('controller-select'), standstillSelect: $('standstill-select'),
+    sensorSelect: $('sensor-select'), filterSelect: $('filter-select'),
+    sensorParams: document.querySelectorAll('.sensor-param'),
+    road: $('road'), convoy: $('convoy'), btnPlatoon: $('btn-platoon'),
+    platoonSection: $('platoon-section'), platoonSize: $('platoon-size'),
+    platoonRestart: $('btn-platoon-restart'), platoonVerdict: $('platoon-verdict'),
+    platoonChart: $('platoon-chart'), platoonRows: $('platoon-rows'), platoonDvUnit: $('platoon-dv-unit'),
+    btnCharts: $('btn-charts'), chartSection: $('chart-section'), chart: $('history-chart'),
+    chartPause: $('btn-chart-pause'), chartZoomIn: $('btn-chart-in'), chartZoomOut: $('btn-chart-out'),
+    chartSpan: $('chart-span'), chartReadout: $('chart-readout'), chartLive: $('btn-chart-live'),
+    exportCsv: $('btn-export-csv'), exportJson: $('btn-export-json'),
+    importBtn: $('btn-import'), importFile: $('import-file'),
+    btnScenarios: $('btn-scenarios'), scenarioSection: $('scenario-section'),
+    scenarioSelect: $('scenario-select'), scenarioRun: $('btn-scenario-run'), scenarioStop: $('btn-scenario-stop'),
+    scenarioLoad: $('btn-scenario-load'), scenarioFile: $('scenario-file'),
+    scenarioVerdict: $('scenario-verdict'), scenarioDesc: $('scenario-desc'), scenarioResults: $('scenario-results'),
+    btnSerial: $('btn-serial'), btnSerialMock: $('btn-serial-mock'), serialBaud: $('serial-baud'),
+    btnSketch: $('btn-sketch'),
+    btnFaults: $('btn-faults'), faultSection: $('fault-section'),
+    faultKind: $('fault-kind'), faultTarget: $('fault-target'),
+    faultValueBox: $('fault-value-box'), faultValueLabel: $('fault-value-label'), faultValue: $('fault-value'),
+    faultAt: $('fault-at'), faultFor: $('fault-for'),
+    faultInject: $('btn-fault-inject'), faultClear: $('btn-fault-clear'), faultList: $('fault-list'),
+    btnStates: $('btn-states'), stateSection: $('state-section'), stateNow: $('state-now'),
+    stateDiagram: $('state-diagram'), stateLog: $('state-log'),
+    btnPresets: $('btn-presets'), presetSection: $('preset-section'), presetSelect: $('preset-select'),
+    presetName: $('preset-name'), presetSave: $('btn-preset-save'), presetLoad: $('btn-preset-load'),
+    presetDelete: $('btn-preset-delete'), presetLink: $('btn-preset-link'),
+    btnProfile: $('btn-profile'), profileSection: $('profile-section'),
+    unitsSelect: $('units-select'), scaleSelect: $('scale-select'), localeSelect: $('locale-select'),
+    profileMax: $('profile-max'), profileBands: document.querySelectorAll('.profile-band'),
+    profileUnits: document.querySelectorAll('.profile-unit'),
+    btnPad: $('btn-pad'), padSection: $('pad-section'), padStatus: $('pad-status'),
+    padMap: $('pad-map'), padReset: $('btn-pad-reset'),
 };
 
 // Analog pin bar fill elements (A0–A4), used to visualize active pin states.
@@ -96,58 +163,202 @@ function updateThemeIcon() {
     D.iconMoon.style.display = dark ? 'none' : 'block';
 }
 
+// High contrast ('acc-contrast') and reduced motion ('acc-motion') are
+// attributes of their own beside the theme. Reduced motion follows the
+// system preference until its toggle is first used.
+function initDisplayPrefs() {
+    const root = document.documentElement;
+    if (localStorage.getItem('acc-contrast') === 'high') root.setAttribute('data-contrast', 'high');
+    const system = window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    root.setAttribute('data-motion', localStorage.getItem('acc-motion') || (system ? 'reduced' : 'full'));
+    refreshDisplayPrefs();
+}
+
+function toggleContrast() {
+    const root = document.documentElement;
+    const high = root.getAttribute('data-contrast') !== 'high';
+    if (high) root.setAttribute('data-contrast', 'high');
+    else root.removeAttribute('data-contrast');
+    localStorage.setItem('acc-contrast', high ? 'high' : 'normal');
+    refreshDisplayPrefs();
+}
+
+function toggleMotion() {
+    const root = document.documentElement;
+    const next = root.getAttribute('data-motion') === 'reduced' ? 'full' : 'reduced';
+    root.setAttribute('data-motion', next);
+    localStorage.setItem('acc-motion', next);
+    refreshDisplayPrefs();
+}
+
+function refreshDisplayPrefs() {
+    const root = document.documentElement;
+    D.contrastToggle.setAttribute('aria-pressed', root.getAttribute('data-contrast') === 'high');
+    D.motionToggle.setAttribute('aria-pressed', root.getAttribute('data-motion') === 'reduced');
+}
+
+
+// ─── LANGUAGE ───────────────────────────────────────────────────────────────
+// The engine and this file write English; ACCI18n translates the status bar,
+// the serial monitor, the LCD, the telemetry mode names and the screen
+// reader announcements into the selected locale as they are shown. The
+// locale is kept under the key 'acc-locale' and defaults to the browser's
+// language. Lines already in the monitor stay in the language they were
+// written in; exported files, the sketch and the panel labels stay English.
+const locale = { id: ACCI18n.resolve(localStorage.getItem('acc-locale') || navigator.language) };
+document.documentElement.lang = locale.id;
+
+const tr = text => ACCI18n.translate(locale.id, text);
+
+// e.g. '0.50' in English, '0,50' in German.
+const num = (v, digits) => ACCI18n.number(locale.id, v, digits);
+
+function setLocale(id) {
+    locale.id = ACCI18n.resolve(id);
+    localStorage.setItem('acc-locale', locale.id);
+    document.documentElement.lang = locale.id;
+    D.localeSelect.value = locale.id;
+    log(`LANGUAGE: ${ACCI18n.LOCALES[locale.id].name}`, 'sys');
+    if (S.status) setStatus(S.status, statusExtra);
+    refreshAll();
+}
+
+D.localeSelect.value = locale.id;
+D.localeSelect.addEventListener('change', () => setLocale(D.localeSelect.value));
+
 
 // ─── SERIAL MONITOR LOGGER ──────────────────────────────────────────────────
 // Appends a timestamped log entry to the serial monitor panel. Each entry
 // includes a high-resolution timestamp (HH:MM:SS.mmm) and a CSS class
 // for color-coding: 'info', 'success', 'warn', 'danger', or 'sys'.
-// Duplicate consecutive messages are suppressed to reduce visual noise.
-// The buffer is capped at 100 entries to maintain rendering performance.
-function log(msg, cls = 'info') {
-    // Skip if this message is identical to the previous entry
-    if (msg === S.lastLog) return;
-    S.lastLog = msg;
+// A message equal to the previous one is not added again: that entry shows
+// a repeat count (×N) and takes the new timestamp. The buffer (ACCMonitor)
+// keeps 100 entries unless the toolbar sets more; entries hidden by the
+// severity toggles or the search stay in it. Auto-scroll can be paused.
+const monitor = {
+    buffer: ACCMonitor.createBuffer(),
+    rows: new Map(),    // Entry id → its element
+    levels: {},         // Severity class → false while hidden
+    text: '',           // Search text
+    paused: false,      // Auto-scroll paused
+    commands: [],       // Command lines entered, oldest first, for ↑/↓
+    recall: 0,          // Position in `commands` while recalling
+};
 
+function log(msg, cls = 'info') {
+    msg = tr(msg);
     const t = new Date();
+    const { entry, dropped } = ACCMonitor.push(monitor.buffer, msg, cls, t);
+    dropped.forEach(e => { monitor.rows.get(e.id).remove(); monitor.rows.delete(e.id); });
+
+    let el = monitor.rows.get(entry.id);
+    if (!el) {
+        el = document.createElement('div');
+        monitor.rows.set(entry.id, el);
+        D.serial.appendChild(el);
+    }
     const ts = t.toLocaleTimeString('en-US', { hour12: false });
     const ms = String(t.getMilliseconds()).padStart(3, '0');
-    const el = document.createElement('div');
-    el.innerHTML = `<span class="ts">[${ts}.${ms}]</span> <span class="${cls}">${msg}</span>`;
-    D.serial.appendChild(el);
-    while (D.serial.children.length > 100) D.serial.removeChild(D.serial.firstChild);
-    D.serial.scrollTop = D.serial.scrollHeight;
+    el.innerHTML = `<span class="ts">[${ts}.${ms}]</span> <span class="${cls}">${msg}</span>` +
+        (entry.count > 1 ? `<span class="repeat">×${entry.count}</span>` : '');
+    el.hidden = !ACCMonitor.matches(entry, monitor);
+    if (!monitor.paused) D.serial.scrollTop = D.serial.scrollHeight;
+}
+
+// The monitor renders markup, so text from files and devices goes in escaped.
+const plain = text => String(text).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+
+function filterMonitor() {
+    monitor.buffer.entries.forEach(e => { monitor.rows.get(e.id).hidden = !ACCMonitor.matches(e, monitor); });
+    if (!monitor.paused) D.serial.scrollTop = D.serial.scrollHeight;
+}
+
+function clearMonitor() {
+    monitor.buffer.entries.length = 0;
+    monitor.rows.clear();
+    D.serial.replaceChildren();
+}
+
+function refreshMonitorTools() {
+    [...D.serialLevels.children].forEach(b => b.classList.toggle('pressed', monitor.levels[b.dataset.level] !== false));
+    D.serialPause.textContent = monitor.paused ? '▶' : '⏸';
+    D.serialPause.classList.toggle('pressed', monitor.paused);
+    D.serialSize.value = monitor.buffer.size;
 }
 
+D.serialLevels.replaceChildren(...Object.keys(ACCMonitor.LEVELS).map(cls => {
+    const b = document.createElement('button');
+    b.className = `btn-link serial-level ${cls}`;
+    b.dataset.level = cls;
+    b.setAttribute('aria-pressed', 'true');
+    b.textContent = ACCMonitor.LEVELS[cls];
+    b.addEventListener('click', () => {
+        monitor.levels[cls] = monitor.levels[cls] === false;
+        refreshMonitorTools();
+        filterMonitor();
+    });
+    return b;
+}));
+D.serialSize.replaceChildren(...ACCMonitor.SIZES.map(n => new Option(`${n} lines`, n)));
+D.serialSearch.addEventListener('input', () => { monitor.text = D.serialSearch.value.trim(); filterMonitor(); });
+D.serialPause.addEventListener('click', () => {
+    monitor.paused = !monitor.paused;
+    refreshMonitorTools();
+    if (!monitor.paused) D.serial.scrollTop = D.serial.scrollHeight;
+});
+D.serialSize.addEventListener('change', () => {
+    ACCMonitor.resize(monitor.buffer, parseInt(D.serialSize.value)).forEach(e => {
+        monitor.rows.get(e.id).remove();
+        monitor.rows.delete(e.id);
+    });
+});
+D.serialClear.addEventListener('click', clearMonitor);
+refreshMonitorTools();
+
 
 // ─── HORN SOUND ─────────────────────────────────────────────────────────────
+// One audio context, created on first use and shared by every sound:
+// browsers allow only a few at a time, and the takeover alert repeats
+// every second. Throws when audio is blocked or unsupported.
+let audioCtx = null;
+
+function audioContext() {
+    audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    return audioCtx;
+}
+
+// Plays [freq, type, offset, dur, vol] tones through the Web Audio API,
+// offset in s from now.
+function playTones(tones) {
+    const ctx = audioContext();
+    const now = ctx.currentTime;
+
+    tones.forEach(([freq, type, offset, dur, vol]) => {
+        const start = now + offset;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, start);
+
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(vol, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.01, start + dur);
+
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + dur);
+    });
+}
+
 // Generates a dual-tone car horn using the Web Audio API (F + A notes).
 // Simultaneously triggers a double-flash on the ACC vehicle's headlights.
 // Audio is fail-safe — gracefully catches blocked or unsupported contexts.
 function playHorn() {
     try {
-        const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        if (ctx.state === 'suspended') ctx.resume();
-
-        const playTone = (freq, type, start, dur, vol) => {
-            const osc = ctx.createOscillator();
-            const gain = ctx.createGain();
-            osc.type = type;
-            osc.frequency.setValueAtTime(freq, start);
-
-            gain.gain.setValueAtTime(0, start);
-            gain.gain.linearRampToValueAtTime(vol, start + 0.01);
-            gain.gain.exponentialRampToValueAtTime(0.01, start + dur);
-
-            osc.connect(gain);
-            gain.connect(ctx.destination);
-            osc.start(start);
-            osc.stop(start + dur);
-        };
-
-        const now = ctx.currentTime;
         // Standard automotive dual-tone horn: F (340 Hz) and A (420 Hz)
-        playTone(340, 'triangle', now, 0.4, 0.15);
-        playTone(420, 'triangle', now, 0.4, 0.15);
+        playTones([[340, 'triangle', 0, 0.4, 0.15], [420, 'triangle', 0, 0.4, 0.15]]);
         log('ACC Vehicle Horn: HOOOOONK! 🔊', 'sys');
 
         // Double-flash headlight sequence (150ms on, 150ms off, 150ms on)
@@ -167,6 +378,24 @@ function playHorn() {
     }
 }
 
+// Forward-collision chimes from the safety supervisor: two beeps for a
+// warning, three faster and higher for a takeover request, and the horn
+// tones under them for the emergency brake.
+const ALERT_TONES = {
+    2: [[880, 'square', 0, 0.12, 0.08], [880, 'square', 0.2, 0.12, 0.08]],
+    3: [[1175, 'square', 0, 0.1, 0.1], [1175, 'square', 0.15, 0.1, 0.1], [1175, 'square', 0.3, 0.1, 0.1]],
+    4: [[1175, 'square', 0, 0.1, 0.1], [1175, 'square', 0.15, 0.1, 0.1], [1175, 'square', 0.3, 0.1, 0.1],
+        [340, 'triangle', 0, 0.45, 0.15], [420, 'triangle', 0, 0.45, 0.15]],
+};
+
+function playAlert(stage) {
+    try {
+        if (ALERT_TONES[stage]) playTones(ALERT_TONES[stage]);
+    } catch (e) {
+        console.warn('Audio blocked or not supported');
+    }
+}
+
 // ─── CINEMATIC SEQUENCE ─────────────────────────────────────────────────────
 // Interactive Easter egg sequence activated by typing 'amey' or clicking the 
 // header title. Plays a power-up sound effect, overlays a holographic 
@@ -174,8 +403,7 @@ function playHorn() {
 // pseudocode into the serial monitor.
 function playPowerUpSound() {
     try {
-        const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        if (ctx.state === 'suspended') ctx.resume();
+        const ctx = audioContext();
         const osc = ctx.createOscillator();
         const gain = ctx.createGain();
         osc.type = 'sawtooth';
@@ -236,7 +464,7 @@ function startCinematic() {
                 The Constant Time-Gap Policy (CTGP) ensures that as speed increases,
                 the gap between vehicles scales proportionally &mdash; preventing
                 chain-reaction collisions and preserving String Stability across
-                the entire convoy.
+                the entire convoy. Switch on Platoon mode to measure it.
             </div>
         </div>
     `;
@@ -272,27 +500,36 @@ function startCinematic() {
 
 // ─── LCD DISPLAY ────────────────────────────────────────────────────────────
 // Updates the simulated 16×2 character LCD. Row 1 typically shows the mode
-// label; Row 2 shows the current speed or status value.
+// label; Row 2 shows the current speed or status value. The rows are kept
+// as written and redrawn every frame, so an LCD fault corrupts what is shown
+// and a locale change shows at once; ACCI18n fits each language to 16×2.
 function lcd(r1, r2) {
+    S.lcdRows = [r1, r2];
+    drawLcd();
+}
+
+function drawLcd() {
+    const [r1, r2] = ACCFaults.lcd(liveFaults(), ACCI18n.lcd(locale.id, S.lcdRows), S.t);
     D.lcd1.textContent = r1;
     D.lcd2.textContent = r2;
+    if (link.port) sendLcd(r1, r2);
 }
 
 
-// ─── DIGITAL PIN CONTROL ────────────────────────────────────────────────────
-// Sets simulated digital pin states (D12, D13) and refreshes the hardware
-// panel to reflect LED, sensor cone, headlight, and tail light states.
-function setPin(pin, val) {
-    S[pin] = !!val;
-}
-
+// ─── DIGITAL PIN OUTPUT ─────────────────────────────────────────────────────
+// Refreshes the hardware panel to reflect the D12/D13 LED states held in S,
+// along with the sensor cone, headlights, and tail lights on the road. A
+// stuck LED shows its stuck state whatever the sketch writes.
 function refreshHW() {
-    D.ledG.className = 'hw-led green' + (S.D13 ? ' on' : '');
-    D.ledR.className = 'hw-led red' + (S.D12 ? ' on' : '');
+    const led = ACCFaults.leds(liveFaults(), S);
+    D.ledG.className = 'hw-led green' + (led.D13 ? ' on' : '');
+    D.ledR.className = 'hw-led red' + (led.D12 ? ' on' : '');
 
     const sensor = S.mode === 2;
-    D.ledT.className = 'hw-led cyan' + (sensor ? ' on' : '');
-    D.ledE.className = 'hw-led cyan' + (sensor ? ' on' : '');
+    const pulse = sensorPulse();
+    D.ledT.className = 'hw-led cyan' + (sensor && pulse.trig ? ' on' : '');
+    D.ledE.className = 'hw-led cyan' + (sensor && pulse.echo ? ' on' : '');
+    D.ledE.title = S.sensor.timeout ? 'Echo: timeout (no target)' : `Echo: ${S.sensor.echoUs} µs`;
 
     // HC-SR04 sensor cone visibility and danger state
     const danger = S.distance < 0.3;
@@ -302,77 +539,200 @@ function refreshHW() {
 
     // Headlights: ACC vehicle follows D13 state; lead vehicle stays on
     const egoHL = D.egoCar.querySelectorAll('.headlight');
-    egoHL.forEach(h => h.classList.toggle('on', S.D13));
+    egoHL.forEach(h => h.classList.toggle('on', led.D13));
 
     const leadHL = D.leadCar.querySelectorAll('.headlight');
     leadHL.forEach(h => h.classList.add('on'));
 
-    // Tail lights: ACC vehicle follows D12 (brake); lead follows proximity
+    // Tail lights: ACC vehicle follows D12 (brake); the lead car shows its
+    // brake lights when decelerating in a scenario, or on proximity in manual
     const egoTL = D.egoCar.querySelectorAll('.tail-light');
-    egoTL.forEach(t => t.classList.toggle('on', S.D12));
+    egoTL.forEach(t => t.classList.toggle('on', led.D12));
 
+    const leadBraking = S.scenario === 'manual' ? danger : S.lead.a < -0.5;
     const leadTL = D.leadCar.querySelectorAll('.tail-light');
-    leadTL.forEach(t => t.classList.toggle('on', danger));
+    leadTL.forEach(t => t.classList.toggle('on', leadBraking));
 
     // Distance label overlay (visible only in Adaptive Mode)
     D.distLabel.className = sensor ? 'show' : '';
+
+    // Pin levels, which scenarios and the gamepad drive as well as the buttons
+    refreshPinBars();
 }
 
-function refreshPinBars(active) {
+// Each bar fills in proportion to its pin's voltage (0–5V), so a pedal held
+// part-way on a gamepad shows part-way; it turns green once the pin reads
+// high (ACCEngine.PIN_HIGH).
+function refreshPinBars() {
     Object.keys(PF).forEach(p => {
-        PF[p].className = 'pbar-fill' + (p === active ? ' on' : '');
+        const volts = S.pins[p] || 0;
+        PF[p].className = 'pbar-fill' + (volts >= ACCEngine.PIN_HIGH ? ' on' : '');
+        PF[p].style.setProperty('--level', volts / 5);
     });
 }
 
 
 // ─── SPEEDOMETER GAUGE ──────────────────────────────────────────────────────
 // Updates the SVG arc gauge. The arc length is proportional to the current
-// speed (0–80 km/h range). Stroke color shifts at 20 and 50 km/h thresholds.
+// speed over the profile's full scale (80 km/h by default). Stroke color
+// shifts at the two band limits (20 and 50 km/h by default). The readout
+// shows whole display units; the arc follows the continuous speed. A tick
+// across the arc marks the set speed while one is in use.
 const ARC_LEN = 157;
+const ARC = { cx: 60, cy: 70, r: 50, tick: 8 };
 
 function refreshGauge() {
-    const pct = Math.min(S.speed / 80, 1);
+    const pct = Math.min(S.speed / profile.maxSpeed, 1);
     const offset = ARC_LEN - (ARC_LEN * pct);
     D.gaugeArc.setAttribute('stroke-dashoffset', offset);
-    D.gaugeNum.textContent = S.speed;
+    D.gaugeNum.textContent = Math.round(ACCUnits.speed(S.speed, S.units));
+    D.gaugeUnit.textContent = ACCUnits.speedUnit(S.units);
 
-    if (S.speed === 0) {
+    if (Math.round(S.speed) === 0) {
         D.gaugeArc.setAttribute('stroke', 'var(--text4)');
-    } else if (S.speed < 20) {
+    } else if (S.speed < profile.bands[0]) {
         D.gaugeArc.setAttribute('stroke', 'var(--green)');
-    } else if (S.speed < 50) {
+    } else if (S.speed < profile.bands[1]) {
         D.gaugeArc.setAttribute('stroke', 'var(--accent)');
     } else {
         D.gaugeArc.setAttribute('stroke', 'var(--amber)');
     }
+
+    const set = setSpeed();
+    D.gaugeSet.setAttribute('visibility', set === null ? 'hidden' : 'visible');
+    if (set === null) return;
+    const angle = Math.PI * Math.min(set / profile.maxSpeed, 1);
+    const cos = -Math.cos(angle), sin = -Math.sin(angle);
+    D.gaugeSet.setAttribute('x1', ARC.cx + (ARC.r - ARC.tick) * cos);
+    D.gaugeSet.setAttribute('y1', ARC.cy + (ARC.r - ARC.tick) * sin);
+    D.gaugeSet.setAttribute('x2', ARC.cx + (ARC.r + ARC.tick) * cos);
+    D.gaugeSet.setAttribute('y2', ARC.cy + (ARC.r + ARC.tick) * sin);
 }
 
+// The set speed the car is driven to, or null. Adaptive Mode always has
+// one; the MATLAB Cruise Mode just keeps the speed it is in.
+function setSpeed() {
+    return S.mode === 2 || (S.mode === 1 && S.model === 'physics') ? S.constant : null;
+}
+
+
+// ─── VEHICLE PROFILE ────────────────────────────────────────────────────────
+// Unit system, speedometer full scale and color bands, and the bench scale
+// (road meters per sensor meter), kept under the key 'acc-profile'. The
+// engine formats its own log and LCD text in S.units and reads road gaps at
+// S.scale; the gauge range and bands belong to the dashboard alone and are
+// stored in km/h, so switching units keeps the same gauge.
+function loadProfile() {
+    try {
+        return ACCUnits.createProfile(JSON.parse(localStorage.getItem('acc-profile')) || {});
+    } catch (err) {
+        return ACCUnits.createProfile();
+    }
+}
+
+const profile = loadProfile();
+const profilePanel = { on: false };
+S.units = profile.units;
+S.scale = profile.scale;
+
+function refreshProfile() {
+    D.btnProfile.classList.toggle('pressed', profilePanel.on);
+    D.profileSection.classList.toggle('on', profilePanel.on);
+    D.unitsSelect.value = profile.units;
+    D.scaleSelect.value = profile.scale;
+    const speed = kmh => Math.round(ACCUnits.speed(kmh, profile.units));
+    D.profileMax.value = speed(profile.maxSpeed);
+    D.profileBands.forEach((input, i) => { input.value = speed(profile.bands[i]); });
+    D.profileUnits.forEach(el => { el.textContent = ACCUnits.speedUnit(profile.units); });
+}
+
+// Applies a partial profile; an invalid one is logged and the form reset.
+function setProfile(changes) {
+    let next;
+    try {
+        next = ACCUnits.createProfile(Object.assign({}, profile, changes));
+    } catch (err) {
+        log(`PROFILE: ${err.message}`, 'danger');
+        refreshProfile();
+        return;
+    }
+    Object.assign(profile, next);
+    localStorage.setItem('acc-profile', JSON.stringify(profile));
+    const apply = result => {
+        Object.assign(S, result.state);
+        if (scn.run) scn.run = Object.assign({}, scn.run, { state: result.state });
+        render(result.events);
+    };
+    if (S.units !== profile.units) apply(ACCEngine.setUnits(S, profile.units));
+    if (S.scale !== profile.scale) {
+        apply(ACCEngine.setScale(S, profile.scale));
+        if (S.platoon) startPlatoon();
+    }
+    refreshProfile();
+    refreshAll();
+}
+
+function toggleProfile() {
+    profilePanel.on = !profilePanel.on;
+    refreshProfile();
+}
+
+// Speeds are typed in display units and stored in km/h.
+const typedSpeed = input => ACCUnits.toKmh(parseFloat(input.value), profile.units);
+
+D.btnProfile.addEventListener('click', toggleProfile);
+D.unitsSelect.addEventListener('change', () => setProfile({ units: D.unitsSelect.value }));
+D.scaleSelect.addEventListener('change', () => setProfile({ scale: parseInt(D.scaleSelect.value) }));
+D.profileMax.addEventListener('change', () => setProfile({ maxSpeed: typedSpeed(D.profileMax) }));
+D.profileBands.forEach(input => input.addEventListener('change', () =>
+    setProfile({ bands: [...D.profileBands].map(typedSpeed) })));
+refreshProfile();
+
 
 // ─── HC-SR04 DISTANCE SENSOR ────────────────────────────────────────────────
-// Reads the slider value (0–100), converts it to meters (0.00–1.00m),
-// and updates all distance displays across the dashboard.
+// The slider is the true distance: in manual mode it is read (0–100 → 0.00–
+// 1.00m) and handed to the engine; with a traffic scenario running it
+// follows the gap between both vehicles. The readouts show what the sensor
+// model reports, which with the ideal sensor is the slider value itself;
+// the label on the road shows that reading as a road gap at the bench scale.
+function sliderDistance() {
+    return parseInt(D.distSlider.value) / 100;
+}
+
 function refreshSensor() {
-    const v = parseInt(D.distSlider.value);
-    S.distance = v / 100;
+    if (S.scenario !== 'manual') {
+        D.distSlider.value = Math.round(Math.min(TrafficModel.toSensor(S.gap, S.scale), 1) * 100);
+    } else if (S.sensorModel === 'ideal') {
+        S.distance = sliderDistance();
+    }
 
-    const str = S.distance.toFixed(2) + 'm';
+    const str = num(S.distance, 2) + 'm';
     D.sliderVal.textContent = str;
     D.infoDist.textContent = str;
-    D.distLabelVal.textContent = str;
+    D.distLabelVal.textContent = ACCI18n.numbers(locale.id,
+        ACCUnits.formatDistance(TrafficModel.toGap(S.distance, S.scale), S.units));
+    D.distSlider.setAttribute('aria-valuetext', `${num(S.distance, 2)} m`);
 }
 
 
 // ─── ROAD VISUALIZATION ────────────────────────────────────────────────────
 // Positions the lead vehicle on the road based on the distance reading.
-// Adjusts the lane marker animation speed proportional to vehicle velocity.
+// Lane markers scroll at the vehicle model's ground speed: one dash period
+// on screen represents LANE_DASH_M meters of road.
+const LANE_DASH_M = 6;
+
 function refreshRoad() {
-    const pos = 42 + (S.distance * 38);
+    const truth = S.scenario === 'manual' ? sliderDistance() : TrafficModel.toSensor(S.gap, S.scale);
+    const pos = 42 + (Math.min(truth, 1) * 38);
     D.leadCar.style.left = pos + '%';
-
-    if (S.speed > 0) {
-        // Lane marker scroll rate: inversely proportional to speed.
-        // Lower duration values produce faster visual scrolling.
-        const dur = Math.max(0.1, 2.0 - (S.speed / 45));
+    D.leadTag.textContent = S.scenario === 'manual'
+        ? 'Lead Vehicle'
+        : `Lead Vehicle · ${ACCUnits.formatSpeed(S.lead.v * ACCEngine.KMH, S.units)}`;
+
+    const v = S.platoon ? S.platoon.head.v : S.vehicle.v;
+    if (v > 0) {
+        // Time for one dash period to pass: lower values scroll faster.
+        const dur = Math.max(0.05, LANE_DASH_M / v);
         D.laneStrip.style.setProperty('--road-speed', dur + 's');
         D.laneStrip.style.animationPlayState = 'running';
     } else {
@@ -382,32 +742,49 @@ function refreshRoad() {
 
 
 // ─── TELEMETRY AND STATUS BAR ───────────────────────────────────────────────
-// Refreshes the telemetry panel (mode, code, target, distance) and updates
-// the status bar text and indicator dot color. Status keys map to predefined
-// descriptive messages for each operational state.
+// Refreshes the telemetry panel (mode, code, target, time gap, distance,
+// controller and its internal terms) and updates the status bar text and
+// indicator dot color. Status keys map to predefined descriptive messages
+// for each operational state.
 const MODE_NAMES = ['Normal', 'Cruise', 'Adaptive'];
 const MODE_CLASSES = ['', 'cruise', 'adaptive'];
 const MODE_BTN_CLASSES = ['m0-active', 'm1-active', 'm2-active'];
 
 const STATUS_MSGS = {
     normal_idle: 'Normal Mode — Vehicle at rest. Press ▲ or W to accelerate.',
-    normal_accel: 'Normal Mode — Accelerating. Speed increases by 1 km/h per tick.',
-    normal_brake: 'Normal Mode — Braking. Speed decreases by 1 km/h per tick.',
-    normal_drag: 'Normal Mode — No input. Natural kinetic drag reduces speed gradually.',
+    normal_accel: 'Normal Mode — Accelerating. Throttle demand follows the A0 accelerator input.',
+    normal_brake: 'Normal Mode — Braking. Brake demand follows the A1 brake input.',
+    normal_drag: 'Normal Mode — No input. Aerodynamic drag and rolling resistance reduce speed.',
     cruise_hold: 'Cruise Control — Speed is maintained automatically. No kinetic drag.',
     cruise_accel: 'Cruise Control — Manual override: increasing speed above cruise set point.',
     cruise_brake: 'Cruise Control — Manual override: decreasing speed.',
     adaptive_safe: 'Adaptive Cruise — Path clear. Restoring speed to cruise target: ',
+    adaptive_follow: 'Adaptive Cruise — Following lead vehicle at the selected time gap: ',
     adaptive_danger: 'Adaptive Cruise — ⚠ Proximity < 0.3m! Auto-decelerating for safety.',
+    adaptive_gap_danger: 'Adaptive Cruise — ⚠ Closing fast on lead vehicle! Braking at the deceleration limit.',
     adaptive_cap: 'Adaptive Cruise — Speed at target ceiling. Maintaining velocity.',
+    adaptive_override: 'Adaptive Cruise — Driver override: accelerator pressed. ACC resumes on release.',
+    fcw_caution: 'Adaptive Cruise — Forward collision caution: closing on the lead vehicle. TTC ',
+    fcw_danger: 'Adaptive Cruise — ⚠ FORWARD COLLISION WARNING! Be ready to brake. TTC ',
+    takeover_danger: 'Adaptive Cruise — ⚠ TAKE OVER NOW! Press CANCEL (A2) and brake. TTC ',
+    aeb_danger: 'Adaptive Cruise — ⚠ EMERGENCY BRAKING! Collision imminent. TTC ',
+    stopgo_hold: 'Adaptive Cruise — Stopped behind the lead vehicle, holding on the brake.',
+    stopgo_wait: 'Adaptive Cruise — Standstill hold. Press RES or tap the accelerator to drive off.',
+    stopgo_go: 'Adaptive Cruise — Driving off behind the lead vehicle.',
 };
 
 function refreshTelemetry() {
-    D.infoMode.textContent = MODE_NAMES[S.mode];
+    D.infoMode.textContent = tr(MODE_NAMES[S.mode]);
     D.infoCode.textContent = S.mode;
-    D.infoTarget.textContent = S.mode === 2 ? S.constant : '—';
-
-    D.modeBadge.textContent = MODE_NAMES[S.mode] + ' Mode';
+    const set = setSpeed();
+    D.infoTarget.textContent = set !== null ? Math.round(ACCUnits.speed(set, S.units)) : '—';
+    D.infoHeadway.textContent = ACCControllers.get(S.controller).timeGap ? num(S.headway, 1) + 's' : '—';
+    D.infoController.textContent = CONTROLLER_LABELS[S.controller] || S.controller;
+    refreshTerms();
+
+    const state = S.machine.state;
+    D.modeBadge.textContent = tr(['standby', 'override', 'fault'].includes(state)
+        ? ACCModes.label(state) : MODE_NAMES[S.mode] + ' Mode');
     D.modeBadge.className = 'mode-badge ' + MODE_CLASSES[S.mode];
 
     [D.btnM0, D.btnM1, D.btnM2].forEach((b, i) => {
@@ -415,104 +792,97 @@ function refreshTelemetry() {
     });
 }
 
-function setStatus(key, extra = '') {
-    D.statusText.textContent = (STATUS_MSGS[key] || key) + extra;
+// Short labels for the telemetry cell; plugins without one show their id.
+const CONTROLLER_LABELS = { ctgp: 'CTGP', pid: 'PID', mpc: 'MPC', parity: 'MATLAB' };
+
+// Numeric terms print as signed values; an array (the MPC horizon) is drawn
+// as a sparkline of the predicted gap, scaled to its own min/max.
+function refreshTerms() {
+    const parts = [];
+    let horizon = null;
+    Object.keys(S.terms).forEach(k => {
+        const v = S.terms[k];
+        if (Array.isArray(v)) horizon = v;
+        else if (k === 'desired' || k === 'limit') parts.push(`${k} ${ACCUnits.formatDistance(v, S.units)}`);
+        else parts.push(`${k} ${v >= 0 ? '+' : ''}${v.toFixed(2)}`);
+    });
+    if (S.mode === 2 && S.supervisor.ttc !== null) parts.push(`TTC ${S.supervisor.ttc.toFixed(1)}s`);
+    D.infoTerms.textContent = parts.length ? parts.join(' · ') : '—';
+
+    D.infoHorizon.classList.toggle('on', !!horizon);
+    if (horizon) {
+        const lo = Math.min(...horizon), hi = Math.max(...horizon);
+        const span = hi - lo || 1;
+        D.infoHorizonLine.setAttribute('points', horizon.map((g, i) =>
+            `${(i / (horizon.length - 1) * 60).toFixed(1)},${(13 - (g - lo) / span * 12).toFixed(1)}`).join(' '));
+        D.infoTerms.textContent += ` · ${ACCUnits.formatDistance(horizon[horizon.length - 1], S.units)}`;
+    }
+}
 
+// In Adaptive mode, active faults are listed after the message so the
+// driver sees what the system is running without. A key with no message
+// is shown as it is (the boot sequence passes its text). The extra is kept
+// so a locale change can show the status again.
+let statusExtra = '';
+
+function setStatus(key, extra = '') {
+    const previous = S.status;
+    S.status = key;
+    statusExtra = extra;
+    const lost = S.mode === 2 ? ACCFaults.effects(liveFaults()).map(tr) : [];
+    D.statusText.textContent = (ACCI18n.status(locale.id, key) || tr(STATUS_MSGS[key] || key)) + tr(extra) +
+        (lost.length ? ` · ⚠ ${tr('Degraded')}: ${lost.join(', ')}` : '');
+
+    // A hazard is read out at once; the status that ends it, politely.
     const isDanger = key.includes('danger');
-    const isWarn = key.includes('drag') || key.includes('brake');
+    if (key !== previous && isDanger) announce(D.statusText.textContent, true);
+    else if (key !== previous && previous && previous.includes('danger')) announce(D.statusText.textContent);
+
+    const isWarn = key.includes('drag') || key.includes('brake') || key.includes('caution') || key.includes('wait');
     D.statusDot.className = 'status-dot' +
         (isDanger ? ' danger' : isWarn ? ' warning' : '');
 }
 
 
 // ─── CORE ACC ENGINE ────────────────────────────────────────────────────────
-// Main control loop tick function. Executes one iteration of the ACC
-// algorithm based on the current mode and pin input states. This is a
-// direct port of the MATLAB control logic (Adaptive Cruise Control.m).
-function tick() {
-    if (!S.running) return;
-
-    // Mode 0 — Normal: Manual acceleration and braking via analog pins A0/A1.
-    if (S.mode === 0) {
-        if (S.pins.A0 >= 4) {
-            setPin('D13', 1); setPin('D12', 0);
-            S.speed += 1;
-            log(`NORMAL MODE: Acceleration active.Speed: ${S.speed} km / h`, 'success');
-            setStatus('normal_accel');
-        } else if (S.pins.A1 >= 4) {
-            if (S.speed > 0) {
-                S.speed -= 1;
-                log(`NORMAL MODE: Braking active.Speed decreased: ${S.speed} km / h`, 'warn');
-            }
-            setStatus('normal_brake');
-        }
-        if (S.speed === 0 && S.pins.A0 < 4 && S.pins.A1 < 4) {
-            setPin('D13', 0); setPin('D12', 1);
-            if (S.lastLog !== 'NORMAL MODE: Vehicle stopped (0 km/h)') {
-                log('NORMAL MODE: Vehicle stopped (0 km/h)', 'danger');
-            }
-            setStatus('normal_idle');
-        }
-        lcd('Vehicle Speed:', String(S.speed));
-    }
-
-    // Mode 1 — Cruise Control: Speed is held constant. Manual override is allowed.
-    else if (S.mode === 1) {
-        if (S.pins.A0 >= 4) {
-            setPin('D13', 1); setPin('D12', 0);
-            S.speed += 1;
-            log(`CRUISE MODE: Manual acceleration.Speed: ${S.speed} km / h`, 'success');
-            setStatus('cruise_accel');
-        } else if (S.speed === 0 && S.pins.A1 >= 4) {
-            if (S.lastLog !== 'CRUISE MODE: Manual brake applied. Vehicle stopped.') {
-                log('CRUISE MODE: Manual brake applied. Vehicle stopped.', 'danger');
-            }
-            setStatus('cruise_brake');
-        } else if (S.pins.A1 >= 4) {
-            S.speed -= 1;
-            log(`CRUISE MODE: Manual braking.Speed decreased: ${S.speed} km / h`, 'warn');
-            setStatus('cruise_brake');
-        } else {
-            setStatus('cruise_hold');
-        }
-        if (S.speed === 0 && S.pins.A0 < 4 && S.pins.A1 < 4) { setPin('D13', 0); setPin('D12', 1); }
-        lcd('Cruise Mode:', String(S.speed));
-    }
-
-    // Mode 2 — Adaptive Cruise: Speed auto-adjusts based on HC-SR04 distance.
-    // If distance < 0.30m (danger zone), the vehicle decelerates.
-    // Otherwise, speed ramps back toward the stored cruise target.
-    else if (S.mode === 2) {
-        setPin('D13', 1); setPin('D12', 0);
-
-        if (S.distance < 0.3) {
-            if (S.speed > 0) {
-                S.speed -= 1;
-                log(`ADAPTIVE WARNING: Dist ${S.distance.toFixed(2)} m | Speed decreased: ${S.speed} km / h`, 'danger');
-            }
-            setStatus('adaptive_danger');
-        } else {
-            if (S.speed < S.constant) {
-                S.speed += 1;
-                log(`ADAPTIVE MODE: Path clear | Speed returning to ${S.speed} km / h`, 'success');
-            }
-            setStatus('adaptive_safe', S.constant + ' km/h');
-        }
+// The control law itself lives in engine.js (ACCEngine) and never touches the
+// DOM. On every fixed simulation step the dashboard samples its inputs, hands
+// them to the engine together with the current state, copies the next state
+// back into S, and renders the emitted events (serial log lines, status keys,
+// LCD rows). Panels are redrawn once per animation frame, not once per step.
+function engineInputs() {
+    if (link.port) return linkInputs();
+    return { pins: S.pins, distance: sliderDistance() };
+}
 
-        if (S.speed > S.constant) S.speed = S.constant;
-        if (S.speed === 0) {
-            setPin('D13', 0); setPin('D12', 1);
-            if (S.lastLog !== 'ADAPTIVE MODE: Collision avoidance - Vehicle stopped.') {
-                log('ADAPTIVE MODE: Collision avoidance - Vehicle stopped.', 'danger');
-            }
-        }
-        lcd('Adaptive Cruise:', String(S.speed));
-    }
+function render(events) {
+    events.forEach(ev => {
+        if (ev.type === 'log') log(ev.msg, ev.cls);
+        else if (ev.type === 'status') setStatus(ev.key, ev.extra);
+        else if (ev.type === 'lcd') lcd(ev.r1, ev.r2);
+        else if (ev.type === 'alert') playAlert(ev.stage);
+        else if (ev.type === 'transition') { recordTransition(ev); announceTransition(ev); }
+    });
+}
 
-    refreshAll();
+function simStep() {
+    if (!S.running) return;
+    if (S.platoon) return platoonStep();
+    if (scn.run) return scenarioStep();
+    const result = ACCEngine.advance(S, engineInputs());
+    Object.assign(S, result.state);
+    render(result.events);
+    ACCHistory.record(S.history, S);
+    if (link.port) sendLed();
+    releasePulses();
 }
 
 function refreshAll() {
+    refreshPlatoon();
+    drawLcd();
+    refreshFaults();
+    refreshMachine();
+    drawHistoryChart();
     refreshGauge();
     refreshHW();
     refreshRoad();
@@ -522,22 +892,16 @@ function refreshAll() {
 
 
 // ─── SPEED CONTROLS ─────────────────────────────────────────────────────────
-// Hold-to-repeat acceleration and braking. Pressing and holding the speed
-// buttons triggers tick() at 130ms intervals for continuous speed change.
-let spdInt = null;
-
+// Pressing a speed button drives its analog pin high; releasing it drops the
+// pin back to 0V. Hold-to-repeat timing is a per-step rule in the engine.
 function startSpeed(pin) {
     S.pins[pin] = 5;
-    refreshPinBars(pin);
-    tick();
-    spdInt = setInterval(tick, 130);
+    refreshPinBars();
 }
 
 function stopSpeed(pin) {
     S.pins[pin] = 0;
-    refreshPinBars(null);
-    clearInterval(spdInt);
-    spdInt = null;
+    refreshPinBars();
 }
 
 // Mouse event bindings for speed buttons
@@ -555,44 +919,164 @@ D.btnUp.addEventListener('touchend', () => { D.btnUp.classList.remove('pressed')
 D.btnDown.addEventListener('touchstart', e => { e.preventDefault(); D.btnDown.classList.add('pressed'); startSpeed('A1'); });
 D.btnDown.addEventListener('touchend', () => { D.btnDown.classList.remove('pressed'); stopSpeed('A1'); });
 
+// Keyboard bindings: Space or Enter held on a focused hold button presses
+// it until released, or until focus moves away.
+function bindKeyHold(btn, press, release) {
+    const key = e => e.key === ' ' || e.key === 'Enter';
+    let held = false;
+    btn.addEventListener('keydown', e => {
+        if (!key(e)) return;
+        e.preventDefault();
+        if (held) return;
+        held = true;
+        press();
+    });
+    const up = () => { if (held) { held = false; release(); } };
+    btn.addEventListener('keyup', e => { if (key(e)) up(); });
+    btn.addEventListener('blur', up);
+}
+
+bindKeyHold(D.btnUp, () => { D.btnUp.classList.add('pressed'); startSpeed('A0'); },
+    () => { D.btnUp.classList.remove('pressed'); stopSpeed('A0'); });
+bindKeyHold(D.btnDown, () => { D.btnDown.classList.add('pressed'); startSpeed('A1'); },
+    () => { D.btnDown.classList.remove('pressed'); stopSpeed('A1'); });
+
 
 // ─── MODE SELECTION BUTTONS ─────────────────────────────────────────────────
-// Each mode button writes 5V to its corresponding analog pin, switches
-// the operating mode, logs the transition, and triggers a single tick.
-// The pin flash lasts 250ms to provide visual feedback.
-D.btnM0.addEventListener('click', () => {
-    S.pins.A2 = 5; refreshPinBars('A2');
-    S.mode = 0;
-    setPin('D13', 0); setPin('D12', 0);
-    log('Mode → NORMAL (Mode 0)', 'sys');
-    setStatus('normal_idle');
-    tick();
-    setTimeout(() => { S.pins.A2 = 0; refreshPinBars(null); }, 250);
-});
+// Each mode button pulses its analog pin (A2 Cancel, A3 Cruise, A4 ACC) to 5V
+// for 250ms of simulation time. The engine reacts to the rising edge on the
+// next step, switching the mode, logging the transition, and running a tick.
+const PULSE_MS = 250;
+const pulses = {};
 
-D.btnM1.addEventListener('click', () => {
-    S.pins.A3 = 5; refreshPinBars('A3');
-    S.mode = 1;
-    log(`Mode → CRUISE CONTROL(Mode 1) | Maintaining ${S.speed} km / h`, 'sys');
-    setStatus('cruise_hold');
-    tick();
-    setTimeout(() => { S.pins.A3 = 0; refreshPinBars(null); }, 250);
-});
+function pulsePin(pin) {
+    S.pins[pin] = 5;
+    pulses[pin] = S.t + PULSE_MS;
+    refreshPinBars();
+}
 
-D.btnM2.addEventListener('click', () => {
-    S.pins.A4 = 5; refreshPinBars('A4');
-    S.constant = S.speed;
-    S.mode = 2;
-    log(`Mode → ADAPTIVE CRUISE(Mode 2) | Target: ${S.constant} km / h`, 'sys');
-    setStatus('adaptive_safe', S.constant + ' km/h');
-    tick();
-    setTimeout(() => { S.pins.A4 = 0; refreshPinBars(null); }, 250);
-});
+function releasePulses() {
+    Object.keys(pulses).forEach(pin => {
+        if (S.t < pulses[pin]) return;
+        S.pins[pin] = 0;
+        delete pulses[pin];
+        refreshPinBars();
+    });
+}
+
+D.btnM0.addEventListener('click', () => pulsePin('A2'));
+D.btnM1.addEventListener('click', () => pulsePin('A3'));
+D.btnM2.addEventListener('click', () => pulsePin('A4'));
+
+
+// ─── CRUISE STALK ───────────────────────────────────────────────────────────
+// The stalk has no pin on the Uno, so its commands go to the engine at once
+// (ACCEngine.stalk) instead of through a pulse. The discrete model keeps
+// the MATLAB buttons only; of the stalk, just CANCEL stays available.
+function pressStalk(command) {
+    applyStalk(ACCEngine.stalk(S, command));
+}
+
+// A set speed typed on the serial monitor (`set 40`), in display units.
+function typeSetSpeed(value) {
+    applyStalk(ACCEngine.setTarget(S, value));
+}
+
+function applyStalk(result) {
+    Object.assign(S, result.state);
+    if (scn.run) scn.run = Object.assign({}, scn.run, { state: result.state });
+    render(result.events);
+    refreshAll();
+}
+
+// Stop-and-go auto-resume window (s); 0 always waits for RES.
+function setStandstill(seconds) {
+    const result = ACCEngine.setStandstill(S, seconds);
+    Object.assign(S, result.state);
+    render(result.events);
+    refreshStalk();
+}
+
+function refreshStalk() {
+    D.stalkBtns.forEach(b => { b.disabled = S.model === 'discrete' && b.dataset.stalk !== 'cancel'; });
+    D.standstillSelect.value = S.standstillWindow;
+    D.standstillSelect.disabled = S.model === 'discrete';
+}
+
+D.stalkBtns.forEach(b => b.addEventListener('click', () => pressStalk(b.dataset.stalk)));
+D.standstillSelect.addEventListener('change', () => setStandstill(parseInt(D.standstillSelect.value)));
+
+
+// ─── TRAFFIC SCENARIOS ──────────────────────────────────────────────────────
+// The scenario selector starts a scripted lead-vehicle profile from the ACC
+// vehicle's current position. Touching the slider or the distance buttons
+// while a scenario runs switches back to manual override.
+function setScenario(id) {
+    const result = ACCEngine.setScenario(S, id);
+    Object.assign(S, result.state);
+    render(result.events);
+    D.trafficSelect.value = S.scenario;
+    if (S.platoon) startPlatoon();
+    refreshAll();
+}
+
+function manualOverride() {
+    if (S.scenario !== 'manual') setScenario('manual');
+}
+
+D.trafficSelect.addEventListener('change', () => setScenario(D.trafficSelect.value));
+
+
+// ─── SENSOR MODEL ───────────────────────────────────────────────────────────
+// Ideal passes the true distance straight through; HC-SR04 samples it every
+// trigger period with quantization, noise, dropouts, spurious echoes, a
+// range limit and a beam cone. A median or Kalman filter can clean the
+// reading. The D10/D8 LEDs show each trigger and the (stretched) echo pulse.
+const ECHO_STRETCH = 10;    // Echo pulses are shown 10× longer to be visible
+const TRIG_BLINK_MS = 10;   // Trigger LED on-time per sample (ms)
+
+function sensorPulse() {
+    if (S.sensorModel !== 'hcsr04') return { trig: true, echo: true };
+    const period = Object.assign({}, SensorModel.DEFAULTS, S.sensorParams).period;
+    const since = S.sensor.since;
+    return {
+        trig: since < TRIG_BLINK_MS,
+        echo: since < Math.min(period - TRIG_BLINK_MS, S.sensor.echoUs * ECHO_STRETCH / 1000),
+    };
+}
+
+function refreshSensorControls() {
+    D.sensorSelect.value = S.sensorModel;
+    D.filterSelect.value = S.sensorFilter;
+    D.filterSelect.disabled = S.sensorModel !== 'hcsr04';
+    const p = Object.assign({}, SensorModel.DEFAULTS, S.sensorParams);
+    D.sensorParams.forEach(input => {
+        input.value = p[input.dataset.param] * (parseFloat(input.dataset.scale) || 1);
+        input.disabled = S.sensorModel !== 'hcsr04';
+    });
+}
+
+function setSensor(options) {
+    const result = ACCEngine.setSensor(S, options);
+    Object.assign(S, result.state);
+    render(result.events);
+    refreshSensorControls();
+    refreshSensor();
+}
+
+D.sensorSelect.addEventListener('change', () => setSensor({ model: D.sensorSelect.value }));
+D.filterSelect.addEventListener('change', () => setSensor({ filter: D.filterSelect.value }));
+D.sensorParams.forEach(input => input.addEventListener('change', () => {
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value) || value < 0) return refreshSensorControls();
+    setSensor({ params: { [input.dataset.param]: value / (parseFloat(input.dataset.scale) || 1) } });
+}));
+refreshSensorControls();
 
 
 // ─── DISTANCE SLIDER ────────────────────────────────────────────────────────
 // Direct slider input handler for the HC-SR04 distance sensor simulation.
-D.distSlider.addEventListener('input', () => { refreshSensor(); refreshHW(); });
+D.distSlider.addEventListener('input', () => { manualOverride(); refreshSensor(); refreshHW(); });
 
 
 // ─── DISTANCE STEP BUTTONS ──────────────────────────────────────────────────
@@ -601,6 +1085,7 @@ D.distSlider.addEventListener('input', () => { refreshSensor(); refreshHW(); });
 let distInt = null;
 
 function stepDistance(delta) {
+    manualOverride();
     const v = parseInt(D.distSlider.value) + delta;
     D.distSlider.value = Math.max(0, Math.min(100, v));
     refreshSensor(); refreshHW();
@@ -631,21 +1116,36 @@ D.btnFarther.addEventListener('mouseleave', () => stopDist(D.btnFarther));
 D.btnFarther.addEventListener('touchstart', e => { e.preventDefault(); startDist(2, D.btnFarther); });
 D.btnFarther.addEventListener('touchend', () => stopDist(D.btnFarther));
 
+// Keyboard bindings (Space or Enter held on the focused button)
+bindKeyHold(D.btnCloser, () => startDist(-2, D.btnCloser), () => stopDist(D.btnCloser));
+bindKeyHold(D.btnFarther, () => startDist(2, D.btnFarther), () => stopDist(D.btnFarther));
+
 
 // ─── KEYBOARD INPUT HANDLING ────────────────────────────────────────────────
 // Maps keyboard keys to simulation controls. Arrow keys and WASD control
-// speed and distance; number keys 1/2/3 switch operating modes.
+// speed and distance; number keys 1/2/3 switch operating modes; P pauses
+// or resumes the simulation clock and N advances it by a single step.
+// Keys typed into a text or number field (a preset name, the serial
+// monitor's search or command line, a fault time) are left to the field,
+// and so are the arrow keys on a focused list or slider.
+const typing = e => {
+    const t = e.target;
+    if (t instanceof HTMLInputElement && ['text', 'search', 'number'].includes(t.type)) return true;
+    const arrows = t instanceof HTMLSelectElement || (t instanceof HTMLInputElement && t.type === 'range');
+    return arrows && e.key.startsWith('Arrow');
+};
+
 document.addEventListener('keydown', e => {
-    if (!S.running) return;
+    if (!S.running || typing(e)) return;
     if (e.repeat) return;
     switch (e.key.toLowerCase()) {
         case 'arrowup': case 'w':
             e.preventDefault();
-            if (!spdInt) { D.btnUp.classList.add('pressed'); startSpeed('A0'); }
+            D.btnUp.classList.add('pressed'); startSpeed('A0');
             break;
         case 'arrowdown': case 's':
             e.preventDefault();
-            if (!spdInt) { D.btnDown.classList.add('pressed'); startSpeed('A1'); }
+            D.btnDown.classList.add('pressed'); startSpeed('A1');
             break;
         case 'arrowleft': case 'a':
             e.preventDefault();
@@ -658,10 +1158,14 @@ document.addEventListener('keydown', e => {
         case '1': D.btnM0.click(); break;
         case '2': D.btnM1.click(); break;
         case '3': D.btnM2.click(); break;
+        case 'p': togglePause(); break;
+        case 'n': clock.step(); break;
+        case 'g': cycleHeadway(); break;
     }
 });
 
 document.addEventListener('keyup', e => {
+    if (typing(e)) return;
     switch (e.key.toLowerCase()) {
         case 'arrowup': case 'w':
             D.btnUp.classList.remove('pressed'); stopSpeed('A0'); break;
@@ -675,50 +1179,1440 @@ document.addEventListener('keyup', e => {
 });
 
 
-// ─── KINETIC DRAG (Normal Mode Only) ────────────────────────────────────────
-// In Normal Mode, speed gradually decreases by 1 km/h every 1.5 seconds
-// when no acceleration or braking input is active. This simulates natural
-// deceleration due to rolling resistance and aerodynamic drag.
-setInterval(() => {
-    if (!S.running || S.mode !== 0) return;
-    if (S.pins.A0 >= 4 || S.pins.A1 >= 4) return;
-    if (S.speed > 0) {
-        S.speed -= 1;
-        setPin('D13', 0);
-        if (S.speed > 0) {
-            log(`KINETIC DRAG: Speed decreased: ${S.speed} km / h`, 'warn');
-        } else {
-            S.speed = 0;
-            setPin('D12', 1);
-            log('KINETIC DRAG: Momentum lost. Vehicle stopped.', 'danger');
+// ─── GAMEPAD & STEERING WHEEL ───────────────────────────────────────────────
+// The Gamepad API has no input events, so a connected pad is polled once per
+// animation frame, paused or not. Triggers or pedals hold A0/A1 at
+// proportional voltages; they write their pins only when they move, so the
+// keyboard and the mouse keep working beside an idle pad. Buttons press the
+// mode pins (as keys 1/2/3 do) and the cruise stalk on the way down. The
+// mapping is kept under the key 'acc-gamepad'; clicking a binding in the
+// panel captures the next control that moves.
+function loadGamepad() {
+    try {
+        return ACCGamepad.validate(JSON.parse(localStorage.getItem('acc-gamepad')) || {});
+    } catch (err) {
+        return ACCGamepad.validate();
+    }
+}
+
+const pad = {
+    on: false,
+    mapping: loadGamepad(),
+    polling: false,
+    held: {},               // Digital actions held at the last read
+    volts: {},              // A0/A1 as the pad last wrote them
+    remap: null,            // Action waiting for a control, with its baseline
+};
+
+function connectedPad() {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+    return pads.find(p => p && p.connected) || null;
+}
+
+function pollGamepad() {
+    const gp = connectedPad();
+    if (!gp) {
+        pad.polling = false;
+        return;
+    }
+    if (pad.remap) {
+        const binding = ACCGamepad.capture(gp, pad.remap.baseline);
+        if (binding) bindGamepad(pad.remap.action, binding, gp);
+    } else {
+        const input = ACCGamepad.read(gp, pad.mapping, pad.held);
+        if (S.running) {
+            Object.keys(input.volts).forEach(pin => {
+                if (input.volts[pin] !== pad.volts[pin]) S.pins[pin] = input.volts[pin];
+            });
+            input.pressed.forEach(id => {
+                const action = ACCGamepad.ACTIONS[id];
+                if (action.stalk) pressStalk(action.stalk);
+                else pulsePin(action.pin);
+            });
+            refreshPinBars();
         }
-        setStatus(S.speed > 0 ? 'normal_drag' : 'normal_idle');
-        lcd('Vehicle Speed:', String(S.speed));
-        refreshAll();
+        pad.volts = input.volts;
+        pad.held = input.held;
     }
-}, 1500);
+    requestAnimationFrame(pollGamepad);
+}
 
+function startGamepad() {
+    if (pad.polling || !connectedPad()) return;
+    pad.polling = true;
+    requestAnimationFrame(pollGamepad);
+}
 
-// ─── ADAPTIVE MODE AUTO-CYCLE ───────────────────────────────────────────────
-// In Adaptive Cruise Mode, the control loop runs automatically every 500ms.
-// This interval re-reads the distance sensor and adjusts speed accordingly,
-// independent of any manual input.
-setInterval(() => {
-    if (!S.running || S.mode !== 2) return;
-    refreshSensor();
-    tick();
-}, 500);
+// Binds the captured control. What the pad holds at that moment counts as
+// already held, so the press that made the binding does not also act.
+function bindGamepad(id, binding, gp) {
+    pad.mapping = Object.assign({}, pad.mapping, { [id]: binding });
+    pad.remap = null;
+    pad.held = ACCGamepad.read(gp, pad.mapping).held;
+    localStorage.setItem('acc-gamepad', JSON.stringify(pad.mapping));
+    log(`GAMEPAD: ${ACCGamepad.ACTIONS[id].name} on ${ACCGamepad.describe(binding)}`, 'sys');
+    refreshGamepad();
+}
+
+function remapGamepad(id) {
+    const gp = connectedPad();
+    if (!gp || (pad.remap && pad.remap.action === id)) {
+        pad.remap = null;
+    } else {
+        pad.remap = { action: id, baseline: ACCGamepad.snapshot(gp) };
+    }
+    refreshGamepad();
+}
+
+function resetGamepad() {
+    pad.mapping = ACCGamepad.validate();
+    pad.remap = null;
+    localStorage.removeItem('acc-gamepad');
+    log('GAMEPAD: Standard layout restored', 'sys');
+    refreshGamepad();
+}
+
+function refreshGamepad() {
+    D.btnPad.classList.toggle('pressed', pad.on);
+    D.padSection.classList.toggle('on', pad.on);
+    const gp = connectedPad();
+    D.padStatus.textContent = !navigator.getGamepads ? 'This browser has no Gamepad API'
+        : pad.remap ? `Press or move the control for ${ACCGamepad.ACTIONS[pad.remap.action].name}…`
+            : gp ? gp.id : 'No controller — press a button on it to connect';
+    [...D.padMap.children].forEach(label => {
+        const b = label.querySelector('button');
+        const waiting = !!pad.remap && pad.remap.action === b.dataset.action;
+        b.textContent = waiting ? '…' : ACCGamepad.describe(pad.mapping[b.dataset.action]);
+        b.classList.toggle('pressed', waiting);
+        b.disabled = !gp;
+    });
+}
+
+function toggleGamepad() {
+    pad.on = !pad.on;
+    if (!pad.on) pad.remap = null;
+    refreshGamepad();
+}
+
+D.padMap.replaceChildren(...Object.keys(ACCGamepad.ACTIONS).map(id => {
+    const action = ACCGamepad.ACTIONS[id];
+    const label = document.createElement('label');
+    label.className = 'fault-field';
+    label.title = action.pin ? `${action.name}: pin ${action.pin}` : `${action.name}: cruise stalk`;
+    label.textContent = action.pin ? `${action.name} ${action.pin}` : action.name;
+    const b = document.createElement('button');
+    b.className = 'btn-clock';
+    b.dataset.action = id;
+    b.addEventListener('click', e => { e.preventDefault(); remapGamepad(id); });
+    label.append(' ', b);
+    return label;
+}));
+
+window.addEventListener('gamepadconnected', e => {
+    log(`GAMEPAD: Connected — ${plain(e.gamepad.id)}`, 'sys');
+    startGamepad();
+    refreshGamepad();
+});
+window.addEventListener('gamepaddisconnected', e => {
+    log(`GAMEPAD: Disconnected — ${plain(e.gamepad.id)}`, 'warn');
+    Object.keys(pad.volts).forEach(pin => { if (pad.volts[pin] > 0) S.pins[pin] = 0; });
+    pad.volts = {};
+    pad.held = {};
+    pad.remap = null;
+    refreshPinBars();
+    refreshGamepad();
+});
+D.btnPad.addEventListener('click', toggleGamepad);
+D.padReset.addEventListener('click', resetGamepad);
+startGamepad();
+refreshGamepad();
+
+
+// ─── SIMULATION CLOCK ───────────────────────────────────────────────────────
+// A single fixed-timestep clock (SimClock) drives the engine. Hold-to-repeat,
+// kinetic drag, and the adaptive auto-cycle are per-step rules inside
+// ACCEngine.advance(), so a run no longer depends on wall-clock jitter.
+const clock = SimClock.create({
+    dt: ACCEngine.DT,
+    onStep: simStep,
+    onFrame: () => { refreshAll(); refreshClock(); },
+});
+
+function refreshClock() {
+    D.btnPause.firstChild.textContent = clock.paused ? '▶' : '⏸';
+    D.btnPause.classList.toggle('pressed', clock.paused);
+    D.clockScale.textContent = clock.scale + 'x';
+    D.clockTime.textContent = 't = ' + (S.t / 1000).toFixed(2) + ' s';
+}
+
+function refreshModel() {
+    D.btnModel.textContent = S.model === 'physics' ? 'Physics' : 'Discrete';
+    D.btnModel.classList.toggle('pressed', S.model === 'discrete');
+    refreshStalk();
+}
+
+function toggleModel() {
+    const result = ACCEngine.setModel(S, S.model === 'physics' ? 'discrete' : 'physics');
+    Object.assign(S, result.state);
+    render(result.events);
+    refreshModel();
+    refreshAll();
+}
+
+function togglePause() {
+    clock.toggle();
+    log(clock.paused ? `CLOCK: Paused at t = ${(S.t / 1000).toFixed(2)} s` : 'CLOCK: Resumed', 'sys');
+    refreshClock();
+}
+
+D.btnPause.addEventListener('click', togglePause);
+D.btnStep.addEventListener('click', () => clock.step());
+D.btnSlower.addEventListener('click', () => { clock.shiftScale(-1); refreshClock(); });
+D.btnFaster.addEventListener('click', () => { clock.shiftScale(1); refreshClock(); });
+D.btnModel.addEventListener('click', toggleModel);
+
+
+// ─── TIME GAP SELECTOR ──────────────────────────────────────────────────────
+// Steering-wheel style distance buttons for the time-gap controllers, and
+// the spacing controller selector (CTGP, PID, MPC, or the original MATLAB
+// 0.30m threshold rule). The time gap only applies to time-gap controllers.
+function refreshHeadway() {
+    const timeGap = ACCControllers.get(S.controller).timeGap;
+    D.gapBtns.forEach(b => {
+        b.classList.toggle('active', timeGap && parseFloat(b.dataset.headway) === S.headway);
+        b.disabled = !timeGap;
+    });
+    D.controllerSelect.value = S.controller;
+}
+
+function setHeadway(h) {
+    const result = ACCEngine.setHeadway(S, h);
+    Object.assign(S, result.state);
+    render(result.events);
+    refreshHeadway();
+    refreshTelemetry();
+    if (S.platoon) startPlatoon();
+}
+
+// Steps to the next time gap, wrapping from the longest back to the shortest.
+function cycleHeadway() {
+    if (!ACCControllers.get(S.controller).timeGap) return;
+    const list = ACCEngine.HEADWAYS;
+    setHeadway(list[(list.indexOf(S.headway) + 1) % list.length]);
+}
+
+function setController(id) {
+    const result = ACCEngine.setController(S, id);
+    Object.assign(S, result.state);
+    render(result.events);
+    refreshHeadway();
+    refreshTelemetry();
+    if (S.platoon) startPlatoon();
+}
+
+D.gapBtns.forEach(b => b.addEventListener('click', () => setHeadway(parseFloat(b.dataset.headway))));
+D.controllerSelect.addEventListener('change', () => setController(D.controllerSelect.value));
+
+
+// ─── PLATOON MODE ───────────────────────────────────────────────────────────
+// Replaces the single ACC vehicle with an N-car string (ACCPlatoon) driven by
+// the same clock. The head car runs the selected traffic scenario (a speed
+// dip when on Manual); every follower runs the selected controller and time
+// gap. Changing any of these restarts the run so the chart and the table
+// always describe one configuration.
+const PLATOON_WINDOW_S = 60;    // Seconds of history kept on the chart
+
+const platoonColor = i => `hsl(${190 + i * 22}, 80%, ${i === 0 ? 65 : 55}%)`;
+
+function startPlatoon() {
+    const n = parseInt(D.platoonSize.value);
+    S.platoon = ACCPlatoon.createState({ n, controller: S.controller, headway: S.headway, profile: S.scenario, scale: S.scale });
+    S.platoonTrace = ACCPlatoon.createTrace();
+    buildConvoy(n);
+    const profile = TrafficModel.PROFILES[S.platoon.profile].name;
+    log(`PLATOON: ${n} vehicles · ${ACCControllers.get(S.controller).name} · time gap ${S.headway.toFixed(1)} s · head: ${profile}`, 'sys');
+    refreshPlatoon();
+}
+
+function togglePlatoon() {
+    if (S.platoon) {
+        S.platoon = null;
+        S.platoonTrace = null;
+        log('PLATOON: Off — back to the single ACC vehicle', 'sys');
+    } else {
+        startPlatoon();
+    }
+    D.btnPlatoon.classList.toggle('pressed', !!S.platoon);
+    D.road.classList.toggle('platoon', !!S.platoon);
+    D.platoonSection.classList.toggle('on', !!S.platoon);
+    refreshAll();
+}
+
+function platoonStep() {
+    const result = ACCPlatoon.advance(S.platoon);
+    S.platoon = result.state;
+    render(result.events);
+    ACCPlatoon.record(S.platoonTrace, S.platoon);
+    const keep = PLATOON_WINDOW_S * 1000 / ACCPlatoon.SAMPLE_MS;
+    if (S.platoonTrace.t.length > keep) {
+        S.platoonTrace.t.shift();
+        S.platoonTrace.v.shift();
+    }
+}
+
+// One half-size car per vehicle, cloned from the lead car's markup.
+function buildConvoy(n) {
+    D.convoy.innerHTML = '';
+    for (let i = 0; i < n; i++) {
+        const car = D.leadCar.cloneNode(true);
+        car.removeAttribute('id');
+        car.className = 'car convoy';
+        car.title = i === 0 ? 'Platoon head' : `Follower ${i}`;
+        car.querySelector('.car-tag').removeAttribute('id');
+        car.querySelector('.car-body').style.filter = i === 0 ? '' : `hue-rotate(${i * 22}deg)`;
+        D.convoy.appendChild(car);
+    }
+}
+
+function refreshPlatoon() {
+    if (!S.platoon) return;
+    const p = S.platoon;
+    const cars = [p.head].concat(p.followers.map(f => f.vehicle));
+
+    // Convoy: head on the right, last follower on the left, spaced to scale.
+    const last = cars[cars.length - 1].x;
+    const span = Math.max(p.head.x - last, 1);
+    [...D.convoy.children].forEach((el, i) => {
+        el.style.left = (8 + (cars[i].x - last) / span * 84) + '%';
+        el.querySelector('.car-tag').textContent = `${i + 1} · ${Math.round(ACCUnits.speed(cars[i].v * ACCEngine.KMH, S.units))}`;
+        el.querySelectorAll('.tail-light').forEach(t => t.classList.toggle('on',
+            i === 0 ? p.head.a < -0.5 : p.followers[i - 1].vehicle.a < -0.5));
+    });
+
+    // String-stability table and verdict.
+    const a = ACCPlatoon.analyze(p);
+    const swatch = i => `<span class="swatch" style="background:${platoonColor(i)}"></span>`;
+    const dv = kmh => ACCUnits.speed(kmh, S.units).toFixed(1);
+    D.platoonDvUnit.textContent = ACCUnits.speedUnit(S.units);
+    D.platoonRows.innerHTML =
+        `<tr><td>${swatch(0)}1 head</td><td>—</td><td>${dv(a.headPeakDev)}</td><td>—</td></tr>` +
+        a.rows.map(r => `<tr><td>${swatch(r.vehicle - 1)}${r.vehicle}${r.collisions ? ' ✕' : ''}</td>` +
+            `<td>${ACCUnits.formatDistance(r.peakGapErr, S.units)}</td><td>${dv(r.peakDev)}</td>` +
+            `<td class="${r.ratio > 1.001 ? 'amp' : ''}">${r.ratio.toFixed(2)}</td></tr>`).join('');
+    D.platoonVerdict.textContent = a.headPeakDev < 0.5
+        ? 'Waiting for a disturbance…'
+        : `${a.stable ? 'String stable' : 'String unstable'} · max ratio ${a.worst.toFixed(2)}` +
+        (a.collisions ? ` · ${a.collisions} collision${a.collisions > 1 ? 's' : ''}` : '');
+    D.platoonVerdict.className = 'platoon-verdict' +
+        (a.headPeakDev < 0.5 ? '' : a.stable ? ' stable' : ' unstable');
+
+    drawPlatoonChart();
+}
+
+// Speed of every car over the last PLATOON_WINDOW_S seconds, one polyline
+// per car in the same colors as the table swatches.
+function drawPlatoonChart() {
+    const cv = D.platoonChart;
+    const w = cv.clientWidth, h = cv.clientHeight;
+    if (!w || !h) return;
+    const dpr = window.devicePixelRatio || 1;
+    if (cv.width !== w * dpr || cv.height !== h * dpr) { cv.width = w * dpr; cv.height = h * dpr; }
+    const ctx = cv.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const t = S.platoonTrace.t;
+    if (t.length < 2) return;
+    const v = S.platoonTrace.v.map(row => row.map(x => ACCUnits.speed(x, S.units)));
+    let lo = Infinity, hi = -Infinity;
+    v.forEach(row => row.forEach(x => { lo = Math.min(lo, x); hi = Math.max(hi, x); }));
+    lo = Math.floor(lo / 5) * 5;
+    hi = Math.max(lo + 5, Math.ceil(hi / 5) * 5);
+    const pad = { l: 26, r: 6, t: 6, b: 14 };
+    const X = s => pad.l + (s - t[0]) / Math.max(t[t.length - 1] - t[0], 1e-3) * (w - pad.l - pad.r);
+    const Y = x => h - pad.b - (x - lo) / (hi - lo) * (h - pad.t - pad.b);
+
+    const styles = getComputedStyle(document.documentElement);
+    ctx.strokeStyle = styles.getPropertyValue('--border') || '#333';
+    ctx.fillStyle = styles.getPropertyValue('--text3') || '#888';
+    ctx.font = '9px JetBrains Mono, monospace';
+    ctx.lineWidth = 1;
+    [lo, (lo + hi) / 2, hi].forEach(y => {
+        ctx.beginPath(); ctx.moveTo(pad.l, Y(y)); ctx.lineTo(w - pad.r, Y(y)); ctx.stroke();
+        ctx.fillText(Math.round(y), 2, Y(y) + 3);
+    });
+    ctx.fillText(`${t[0].toFixed(0)}–${t[t.length - 1].toFixed(0)} s · ${ACCUnits.speedUnit(S.units)}`, pad.l, h - 3);
+
+    ctx.lineWidth = 1.5;
+    v[0].forEach((_, car) => {
+        ctx.strokeStyle = platoonColor(car);
+        ctx.beginPath();
+        t.forEach((s, k) => { if (k) ctx.lineTo(X(s), Y(v[k][car])); else ctx.moveTo(X(s), Y(v[k][car])); });
+        ctx.stroke();
+    });
+}
+
+D.btnPlatoon.addEventListener('click', togglePlatoon);
+D.platoonRestart.addEventListener('click', () => { if (S.platoon) startPlatoon(); });
+D.platoonSize.addEventListener('change', () => { if (S.platoon) startPlatoon(); });
+
+
+// ─── TIME-SERIES CHARTS ─────────────────────────────────────────────────────
+// Scrolling chart of the recorded history (ACCHistory): speed and cruise
+// target, measured distance and the active braking threshold, and the D13,
+// D12 and mode lanes. The window follows the latest sample until the chart
+// is frozen; frozen, it can be dragged back in time. The mouse wheel or the
+// ± buttons zoom, and hovering shows the values under the cursor.
+const CHART_SPANS = [5, 10, 30, 60, 120, 300];  // Selectable window widths (s)
+const CHART_PAD = { l: 34, r: 6, t: 4, b: 12 };
+
+const chart = {
+    on: false,      // Panel visible
+    span: 30,       // Window width (s)
+    frozen: false,  // Window end pinned to `end` instead of the latest sample
+    end: 0,         // Window end while frozen (s)
+    cursor: null,   // Time under the mouse (s), or null
+    drag: null,     // { x, end } while dragging a frozen chart
+    session: null,  // Imported trace shown instead of the live history, or null
+    name: '',       // File name of the imported session
+};
+
+function chartTrace() {
+    return chart.session || S.history;
+}
+
+function chartLatest() {
+    const h = chartTrace();
+    return h.length ? h.t[h.length - 1] : 0;
+}
+
+function chartWindow() {
+    const end = chart.frozen ? chart.end : chartLatest();
+    return { start: end - chart.span, end };
+}
+
+// Plots one column between samples i0 and i1. Samples that land on the same
+// pixel column are reduced to their min/max, so short spikes survive when
+// minutes of 10 ms steps share a few hundred pixels. `stepped` draws
+// digital signals as square waves.
+function plotColumn(ctx, col, i0, i1, X, Y, stepped) {
+    const t = chartTrace().t;
+    let px = Math.round(X(t[i0])), lo = Y(col[i0]), hi = lo, last = lo;
+    ctx.beginPath();
+    ctx.moveTo(px, last);
+    for (let i = i0 + 1; i <= i1; i++) {
+        const x = Math.round(X(t[i])), y = Y(col[i]);
+        if (x === px) {
+            lo = Math.min(lo, y); hi = Math.max(hi, y); last = y;
+            continue;
+        }
+        ctx.lineTo(px, lo); ctx.lineTo(px, hi); ctx.lineTo(px, last);
+        if (stepped) ctx.lineTo(x, last);
+        ctx.lineTo(x, y);
+        px = x; lo = hi = last = y;
+    }
+    ctx.lineTo(px, lo); ctx.lineTo(px, hi); ctx.lineTo(px, last);
+    ctx.stroke();
+}
+
+function drawHistoryChart() {
+    if (!chart.on) return;
+    refreshChartReadout();
+    const cv = D.chart;
+    const w = cv.clientWidth, h = cv.clientHeight;
+    if (!w || !h) return;
+    const dpr = window.devicePixelRatio || 1;
+    if (cv.width !== w * dpr || cv.height !== h * dpr) { cv.width = w * dpr; cv.height = h * dpr; }
+    const ctx = cv.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const hist = chartTrace();
+    const { start, end } = chartWindow();
+    const X = t => CHART_PAD.l + (t - start) / chart.span * (w - CHART_PAD.l - CHART_PAD.r);
+    const styles = getComputedStyle(document.documentElement);
+    const color = name => styles.getPropertyValue(name).trim() || '#888';
+    ctx.font = '9px JetBrains Mono, monospace';
+    ctx.lineWidth = 1;
+
+    // Three strips: speed (45%), distance (35%), digital lanes (20%).
+    const inner = h - CHART_PAD.t - CHART_PAD.b;
+    const strips = [0.45, 0.35, 0.2];
+    let top = CHART_PAD.t;
+    const bands = strips.map(f => { const b = { top, h: inner * f - 4 }; top += inner * f; return b; });
+
+    const i0 = Math.max(0, ACCHistory.indexAt(hist, start));
+    const i1 = ACCHistory.indexAt(hist, end);
+    const visible = hist.length > 1 && i1 > i0;
+    const peak = (field, floor) => {
+        let m = floor;
+        if (visible) for (let i = i0; i <= i1; i++) m = Math.max(m, hist[field][i]);
+        return m;
+    };
+    const speed = x => ACCUnits.speed(x, S.units), distance = x => ACCUnits.distance(x, S.units);
+    const vMax = Math.ceil(speed(Math.max(peak('speed', 80), peak('target', 0))) / 20) * 20;
+    const dMax = Math.ceil(distance(Math.max(peak('distance', 1), peak('threshold', 0))));
+
+    // Axes are drawn in display units; the returned Y takes km/h or m.
+    const axis = (band, max, unit, fmt, convert) => {
+        const Y = x => band.top + band.h - convert(x) / max * band.h;
+        ctx.strokeStyle = color('--border');
+        ctx.fillStyle = color('--text3');
+        [0, max / 2, max].forEach(y => {
+            const at = band.top + band.h - y / max * band.h;
+            ctx.beginPath(); ctx.moveTo(CHART_PAD.l, at); ctx.lineTo(w - CHART_PAD.r, at); ctx.stroke();
+            ctx.fillText(fmt(y), 2, at + 3);
+        });
+        ctx.fillText(unit, w - CHART_PAD.r - 28, band.top + 8);
+        return Y;
+    };
+    const Ys = axis(bands[0], vMax, ACCUnits.speedUnit(S.units), y => String(Math.round(y)), speed);
+    const Yd = axis(bands[1], dMax, ACCUnits.distanceUnit(S.units), y => y.toFixed(1), distance);
+
+    // Digital lanes: D13, D12 (0/1) and mode (0–2), each a third of the strip.
+    const lane = bands[2].h / 3;
+    const laneY = (k, max) => x => bands[2].top + (k + 1) * lane - 2 - x / max * (lane - 4);
+    ctx.fillStyle = color('--text3');
+    ['D13', 'D12', 'Mode'].forEach((name, k) => ctx.fillText(name, 2, bands[2].top + (k + 1) * lane - 2));
+
+    ctx.fillText(`${Math.max(0, start).toFixed(1)}–${end.toFixed(1)} s`, CHART_PAD.l, h - 2);
+
+    if (visible) {
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(CHART_PAD.l, 0, w - CHART_PAD.l - CHART_PAD.r, h);
+        ctx.clip();
+        ctx.lineWidth = 1.5;
+        [
+            ['target', Ys, '--amber', false], ['speed', Ys, '--cyan', false],
+            ['threshold', Yd, '--red', true], ['distance', Yd, '--green', false],
+            ['D13', laneY(0, 1), '--green', true], ['D12', laneY(1, 1), '--red', true],
+            ['mode', laneY(2, 2), '--accent', true],
+        ].forEach(([field, Y, c, stepped]) => {
+            ctx.strokeStyle = color(c);
+            plotColumn(ctx, hist[field], i0, i1, X, Y, stepped);
+        });
+        ctx.restore();
+    }
+
+    if (chart.cursor !== null && chart.cursor >= start && chart.cursor <= end) {
+        ctx.strokeStyle = color('--text2');
+        ctx.lineWidth = 1;
+        ctx.beginPath(); ctx.moveTo(X(chart.cursor), CHART_PAD.t); ctx.lineTo(X(chart.cursor), h - CHART_PAD.b); ctx.stroke();
+    }
+}
+
+// Values at the cursor, or at the latest sample when the mouse is elsewhere.
+function refreshChartReadout() {
+    const hist = chartTrace();
+    const i = ACCHistory.indexAt(hist, chart.cursor !== null ? chart.cursor : chartLatest());
+    if (i < 0) { D.chartReadout.textContent = '—'; return; }
+    const r = ACCHistory.at(hist, i);
+    const u = S.units;
+    D.chartReadout.textContent = (chart.session ? `[${chart.name}] ` : '') +
+        `t ${r.t.toFixed(2)} s · ${ACCUnits.formatSpeed(r.speed, u, 1)} · target ${Math.round(ACCUnits.speed(r.target, u))} · ` +
+        `${ACCUnits.formatDistance(r.distance, u, 2)} · thr ${ACCUnits.formatDistance(r.threshold, u, 2)} · ` +
+        `D13 ${r.D13} · D12 ${r.D12} · ${MODE_NAMES[r.mode]}`;
+}
+
+function refreshChartControls() {
+    D.btnCharts.classList.toggle('pressed', chart.on);
+    D.chartSection.classList.toggle('on', chart.on);
+    D.chartPause.classList.toggle('pressed', chart.frozen);
+    D.chartPause.textContent = chart.frozen ? '▶' : '⏸';
+    D.chartSpan.textContent = chart.span + ' s';
+    D.chartLive.hidden = !chart.session;
+}
+
+function toggleCharts() {
+    chart.on = !chart.on;
+    refreshChartControls();
+    drawHistoryChart();
+}
+
+function freezeChart(frozen = !chart.frozen) {
+    chart.frozen = frozen;
+    chart.end = chartLatest();
+    refreshChartControls();
+    drawHistoryChart();
+}
+
+// While an imported session is shown the chart stays frozen on it; Live
+// returns to the running simulation.
+function showSession(trace, name) {
+    chart.session = trace;
+    chart.name = name;
+    chart.on = true;
+    chart.cursor = null;
+    freezeChart(!!trace);
+}
+
+function zoomChart(dir) {
+    const k = CHART_SPANS.indexOf(chart.span) + dir;
+    chart.span = CHART_SPANS[Math.max(0, Math.min(CHART_SPANS.length - 1, k))];
+    refreshChartControls();
+    drawHistoryChart();
+}
+
+function chartTimeAt(e) {
+    const rect = D.chart.getBoundingClientRect();
+    const { start } = chartWindow();
+    return start + (e.clientX - rect.left - CHART_PAD.l) / (rect.width - CHART_PAD.l - CHART_PAD.r) * chart.span;
+}
+
+D.btnCharts.addEventListener('click', toggleCharts);
+D.chartPause.addEventListener('click', () => freezeChart());
+D.chartZoomIn.addEventListener('click', () => zoomChart(-1));
+D.chartZoomOut.addEventListener('click', () => zoomChart(1));
+D.chart.addEventListener('wheel', e => { e.preventDefault(); zoomChart(e.deltaY > 0 ? 1 : -1); }, { passive: false });
+D.chart.addEventListener('mousedown', e => {
+    if (!chart.frozen) freezeChart(true);
+    chart.drag = { x: e.clientX, end: chart.end };
+});
+D.chart.addEventListener('mousemove', e => {
+    if (chart.drag) {
+        const rect = D.chart.getBoundingClientRect();
+        const dt = (e.clientX - chart.drag.x) / (rect.width - CHART_PAD.l - CHART_PAD.r) * chart.span;
+        const first = chartTrace().length ? chartTrace().t[0] : 0;
+        chart.end = Math.max(first + Math.min(chart.span, chartLatest() - first), Math.min(chartLatest(), chart.drag.end - dt));
+    }
+    chart.cursor = chartTimeAt(e);
+    drawHistoryChart();
+});
+D.chart.addEventListener('mouseup', () => { chart.drag = null; });
+D.chartLive.addEventListener('click', () => showSession(null, ''));
+D.chart.addEventListener('mouseleave', () => { chart.drag = null; chart.cursor = null; drawHistoryChart(); });
+refreshChartControls();
+
+
+// ─── SESSION EXPORT AND IMPORT ──────────────────────────────────────────────
+// Every step is recorded (time, mode, speed, target, distance, threshold,
+// pins A0–A4, D12/D13, status key, active faults). The session shown on the
+// chart — live or imported — downloads as CSV or as column-oriented JSON
+// with the setup and the fault schedule in `meta`; an exported file can be
+// imported back into the charts.
+function sessionMeta() {
+    return {
+        exported: new Date().toISOString(),
+        dt: ACCEngine.DT,
+        model: S.model,
+        controller: S.controller,
+        headway: S.headway,
+        standstill: S.standstillWindow,
+        units: S.units,
+        scale: S.scale,
+        scenario: S.scenario,
+        sensor: S.sensorModel,
+        filter: S.sensorFilter,
+        faults: S.faults,
+    };
+}
+
+function download(name, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSession(kind) {
+    const trace = chartTrace();
+    if (!trace.length) { log('SESSION: Nothing recorded yet', 'warn'); return; }
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    if (kind === 'csv') download(`acc-session-${stamp}.csv`, 'text/csv', ACCHistory.toCSV(trace, S.units));
+    else download(`acc-session-${stamp}.json`, 'application/json', ACCHistory.toJSON(trace, sessionMeta(), S.units));
+    log(`SESSION: Exported ${trace.length} samples (${trace.t[trace.length - 1].toFixed(2)} s) as ${kind.toUpperCase()}`, 'sys');
+}
+
+function importSession(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const trace = ACCHistory.parse(reader.result);
+            showSession(trace, file.name);
+            log(`SESSION: Imported ${plain(file.name)} — ${trace.length} samples`, 'sys');
+        } catch (err) {
+            log(`SESSION: Import failed — ${plain(err.message)}`, 'danger');
+        }
+    };
+    reader.readAsText(file);
+}
+
+D.exportCsv.addEventListener('click', () => exportSession('csv'));
+D.exportJson.addEventListener('click', () => exportSession('json'));
+D.importBtn.addEventListener('click', () => D.importFile.click());
+D.importFile.addEventListener('change', () => {
+    if (D.importFile.files[0]) importSession(D.importFile.files[0]);
+    D.importFile.value = '';
+});
+
+
+// ─── ARDUINO SKETCH ─────────────────────────────────────────────────────────
+// Downloads an Uno sketch (ACCSketch) running the current vehicle model,
+// spacing controller, time gap, standstill window, LCD units and bench
+// scale, wired as in the MATLAB project. Its control core is checked
+// against this engine by sketch-check.js.
+function exportSketch() {
+    const options = {
+        model: S.model, controller: S.controller, headway: S.headway, standstill: S.standstillWindow,
+        units: S.units, scale: S.scale,
+    };
+    let name, text;
+    try {
+        name = ACCSketch.fileName(options);
+        text = ACCSketch.generate(options);
+    } catch (err) {
+        log(`SKETCH: ${err.message}`, 'danger');
+        return;
+    }
+    download(name, 'text/plain', text);
+    const ctrl = ACCControllers.get(S.controller);
+    log(`SKETCH: Downloaded ${name} — ` + (S.model === 'discrete' ? 'Discrete (MATLAB parity)'
+        : `${ctrl.name}${ctrl.timeGap ? `, time gap ${S.headway.toFixed(1)} s` : ''}`) +
+        ' | Open it in the Arduino IDE and upload to the Uno', 'sys');
+}
+
+D.btnSketch.addEventListener('click', exportSketch);
+
+
+// ─── SCENARIOS ──────────────────────────────────────────────────────────────
+// Declarative test drives (ACCScenarios): the built-in library plus any
+// loaded from JSON. A run resets the clock and the recorded history, takes
+// over every input until its duration is up, then scores each expectation
+// and prints PASS/FAIL lines to the serial monitor. Controller, time gap and
+// sensor settings a scenario leaves out are taken from the dashboard.
+const scn = {
+    on: false,
+    list: ACCScenarios.LIBRARY.slice(),
+    run: null,      // ACCScenarios run while a scenario is in progress
+};
+
+function selectedScenario() {
+    return scn.list[parseInt(D.scenarioSelect.value)] || scn.list[0];
+}
+
+function refreshScenarioList(index = parseInt(D.scenarioSelect.value) || 0) {
+    D.scenarioSelect.replaceChildren(...scn.list.map((sc, i) => new Option(sc.name, i)));
+    D.scenarioSelect.value = index;
+    refreshScenarioControls();
+}
+
+function refreshScenarioControls() {
+    D.btnScenarios.classList.toggle('pressed', scn.on);
+    D.scenarioSection.classList.toggle('on', scn.on);
+    D.scenarioRun.disabled = !!scn.run;
+    D.scenarioStop.disabled = !scn.run;
+    D.scenarioSelect.disabled = !!scn.run;
+    if (!scn.run) D.scenarioDesc.textContent = selectedScenario().description || '';
+}
+
+function toggleScenarios() {
+    scn.on = !scn.on;
+    refreshScenarioControls();
+}
+
+// One result row per expectation; `results` is null while the run is in
+// progress, so the expectations are listed unscored. Built with
+// textContent: loaded scenarios are untrusted text.
+function showScenarioResults(sc, results) {
+    D.scenarioResults.replaceChildren(...sc.expect.map((exp, i) => {
+        const r = results && results[i];
+        const li = document.createElement('li');
+        li.className = r ? (r.passed ? 'pass' : 'fail') : '';
+        li.textContent = ACCScenarios.describe(exp, S.units) + (r ? ` — ${r.detail}` : '');
+        return li;
+    }));
+}
+
+function runScenario(sc = selectedScenario()) {
+    if (S.platoon) togglePlatoon();
+    let started;
+    try {
+        started = ACCScenarios.start(sc, S);
+    } catch (err) {
+        log(`SCENARIO: ${plain(err.message)}`, 'danger');
+        return;
+    }
+    scn.run = started.run;
+    Object.keys(pulses).forEach(pin => delete pulses[pin]);
+    Object.assign(S, scn.run.state);
+    S.pins = Object.assign({}, scn.run.pins);
+    S.history = ACCHistory.createTrace();
+    if (chart.session) showSession(null, '');
+
+    log(`SCENARIO: ${plain(sc.name)} — ${sc.duration} s · ${ACCControllers.get(S.controller).name}`, 'sys');
+    render(started.events);
+    D.trafficSelect.value = S.scenario;
+    D.scenarioVerdict.textContent = 'Running…';
+    D.scenarioVerdict.className = 'scenario-verdict';
+    D.scenarioDesc.textContent = sc.description || '';
+    showScenarioResults(sc, null);
+    refreshModel();
+    refreshHeadway();
+    refreshSensorControls();
+    refreshScenarioControls();
+    refreshAll();
+}
+
+function scenarioStep() {
+    const scenario = S.scenario;
+    const result = ACCScenarios.advance(scn.run);
+    scn.run = result.run;
+    Object.assign(S, scn.run.state);
+    S.pins = Object.assign({}, scn.run.pins);
+    render(result.events);
+    ACCHistory.record(S.history, S);
+    if (link.port) sendLed();
+    if (S.scenario === 'manual') D.distSlider.value = Math.round(scn.run.distance * 100);
+    if (S.scenario !== scenario) D.trafficSelect.value = S.scenario;
+    if (scn.run.done) finishScenario();
+}
+
+function finishScenario() {
+    const sc = scn.run.scenario;
+    const { passed, results } = ACCScenarios.score(scn.run);
+    scn.run = null;
+
+    log(`SCENARIO: ${plain(sc.name)} — results`, 'sys');
+    results.forEach(r => log(`${r.passed ? 'PASS' : 'FAIL'}  ${plain(r.text)} — ${plain(r.detail)}`, r.passed ? 'success' : 'danger'));
+    const n = results.filter(r => r.passed).length;
+    log(`SCENARIO: ${passed ? 'PASS' : 'FAIL'} — ${n}/${results.length} expectations met`, passed ? 'success' : 'danger');
+
+    D.scenarioVerdict.textContent = `${passed ? 'PASS' : 'FAIL'} ${n}/${results.length}`;
+    D.scenarioVerdict.className = 'scenario-verdict ' + (passed ? 'pass' : 'fail');
+    showScenarioResults(sc, results);
+    refreshScenarioControls();
+}
+
+function stopScenario() {
+    if (!scn.run) return;
+    log(`SCENARIO: ${plain(scn.run.scenario.name)} stopped at t = ${(S.t / 1000).toFixed(2)} s — not scored`, 'warn');
+    scn.run = null;
+    D.scenarioVerdict.textContent = 'Stopped';
+    D.scenarioVerdict.className = 'scenario-verdict';
+    refreshScenarioControls();
+}
+
+// A file holds one scenario or an array of them; each is validated before
+// any is added, so a bad file leaves the list untouched.
+function loadScenarios(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            const loaded = (Array.isArray(data) ? data : [data]).map(ACCScenarios.validate);
+            scn.list.push(...loaded);
+            refreshScenarioList(scn.list.length - loaded.length);
+            log(`SCENARIO: Loaded ${loaded.length} from ${plain(file.name)}`, 'sys');
+        } catch (err) {
+            log(`SCENARIO: Could not load ${plain(file.name)} — ${plain(err.message)}`, 'danger');
+        }
+    };
+    reader.readAsText(file);
+}
+
+D.btnScenarios.addEventListener('click', toggleScenarios);
+D.scenarioSelect.addEventListener('change', refreshScenarioControls);
+D.scenarioRun.addEventListener('click', () => runScenario());
+D.scenarioStop.addEventListener('click', stopScenario);
+D.scenarioLoad.addEventListener('click', () => D.scenarioFile.click());
+D.scenarioFile.addEventListener('change', () => {
+    if (D.scenarioFile.files[0]) loadScenarios(D.scenarioFile.files[0]);
+    D.scenarioFile.value = '';
+});
+refreshScenarioList();
+
+
+// ─── FAULT INJECTION ────────────────────────────────────────────────────────
+// Breaks the simulated hardware (ACCFaults): analog pins stuck at a voltage,
+// a frozen, dead or erratic HC-SR04, weak or failed brakes, stuck LEDs, a
+// corrupted LCD. The engine applies input and brake faults and logs each
+// fault as it starts and ends; the dashboard applies the LED and LCD faults to what it
+// shows and sends to a linked board. During a scenario run, faults go into
+// the run's state so the runner keeps them.
+const faultPanel = { on: false, shown: '' };
+
+// Faults acting on the step that just ran.
+function liveFaults() {
+    return ACCFaults.active(S.faults, S.t - ACCEngine.DT);
+}
+
+function applyFaults(result) {
+    Object.assign(S, result.state);
+    if (scn.run) scn.run = Object.assign({}, scn.run, { state: result.state });
+    render(result.events);
+    refreshFaults();
+    refreshHW();
+    drawLcd();
+}
+
+function refreshFaultForm() {
+    const kind = ACCFaults.KINDS[D.faultKind.value];
+    const targets = kind.targets || {};
+    D.faultTarget.replaceChildren(...Object.keys(targets).map(t => new Option(targets[t], t)));
+    D.faultTarget.hidden = !kind.targets;
+    D.faultValueBox.hidden = !kind.value;
+    if (kind.value) {
+        D.faultValueLabel.textContent = kind.value.label;
+        Object.assign(D.faultValue, { min: kind.value.min, max: kind.value.max, step: kind.value.step });
+        D.faultValue.value = kind.value.initial;
+    }
+}
+
+// Start and end times are whole steps; a start in the past starts now.
+function injectFault() {
+    const at = parseFloat(D.faultAt.value), span = parseFloat(D.faultFor.value);
+    const step = sec => Math.round(sec * 1000 / ACCEngine.DT) * ACCEngine.DT;
+    const kind = ACCFaults.KINDS[D.faultKind.value];
+    const from = Number.isFinite(at) ? Math.max(S.t, step(at)) : S.t;
+    const fault = {
+        kind: D.faultKind.value,
+        target: kind.targets ? D.faultTarget.value : null,
+        value: kind.value ? parseFloat(D.faultValue.value) : null,
+        from,
+        to: Number.isFinite(span) && span > 0 ? from + Math.max(ACCEngine.DT, step(span)) : null,
+    };
+    try {
+        applyFaults(ACCEngine.injectFault(S, fault));
+    } catch (err) {
+        log(`FAULT: ${err.message}`, 'danger');
+    }
+}
+
+// One row per fault with its state and a remove button. Rebuilt only when
+// a fault is added, removed, starts or ends. Built with textContent.
+function refreshFaults() {
+    D.btnFaults.classList.toggle('pressed', faultPanel.on);
+    D.faultSection.classList.toggle('on', faultPanel.on);
+    const t = S.t - ACCEngine.DT;
+    const state = f => (f.from > t ? '' : f.to !== null && f.to <= t ? 'ended' : 'active');
+    const shown = S.faults.map(f => `${f.id}:${state(f)}`).join(' ');
+    if (shown === faultPanel.shown) return;
+    faultPanel.shown = shown;
+    D.faultClear.disabled = !S.faults.length;
+    D.faultList.replaceChildren(...S.faults.map(f => {
+        const li = document.createElement('li');
+        li.className = state(f);
+        const text = document.createElement('span');
+        text.textContent = `${ACCFaults.describe(f)} · ${(f.from / 1000).toFixed(2)}–` +
+            (f.to === null ? '∞' : `${(f.to / 1000).toFixed(2)}`) + ' s';
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove this fault';
+        remove.addEventListener('click', () => applyFaults(ACCEngine.clearFault(S, f.id)));
+        li.append(text, remove);
+        return li;
+    }));
+}
+
+function toggleFaults() {
+    faultPanel.on = !faultPanel.on;
+    refreshFaults();
+}
+
+D.faultKind.replaceChildren(...Object.keys(ACCFaults.KINDS).map(k => new Option(ACCFaults.KINDS[k].name, k)));
+D.faultKind.addEventListener('change', refreshFaultForm);
+D.btnFaults.addEventListener('click', toggleFaults);
+D.faultInject.addEventListener('click', injectFault);
+D.faultClear.addEventListener('click', () => applyFaults(ACCEngine.clearFault(S)));
+refreshFaultForm();
+refreshFaults();
+
+
+// ─── MODE STATE MACHINE ─────────────────────────────────────────────────────
+// Draws the mode state machine (ACCModes, guarded table) as a diagram: one
+// box per state and one arrow per pair of states, labelled with the events
+// that move between them. The current state is lit, the last transitions
+// are traced, and every transition is listed with its time and cause.
+const STATE_LAYOUT = {
+    off: [50, 25], cruise: [180, 25], override: [310, 68],
+    standby: [50, 110], acc: [180, 110], fault: [310, 155],
+};
+const STATE_BOX = [76, 20];     // Box width and height in diagram units
+const EVENT_LABELS = { cancel: 'A2', cruise: 'A3', acc: 'A4', set: 'SET', resume: 'RES', brake: 'brake', throttle: 'accel', release: 'release', fault: 'fault' };
+const STATE_TRACE = 4;          // Transitions traced on the diagram
+const STATE_LOG_MAX = 50;       // Transitions kept in the log
+const machinePanel = { on: false, history: [], count: 0, shown: '', nodes: {}, edges: {} };
+
+function svgEl(tag, attrs = {}) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    return el;
+}
+
+// Where the line from a box's center toward (tx, ty) leaves the box.
+function boxEdge([x, y], tx, ty) {
+    const dx = tx - x, dy = ty - y;
+    const s = Math.min(dx ? (STATE_BOX[0] / 2 + 2) / Math.abs(dx) : Infinity, dy ? (STATE_BOX[1] / 2 + 2) / Math.abs(dy) : Infinity);
+    return [x + dx * s, y + dy * s];
+}
+
+// Arrows between the same two states in both directions bow apart.
+function buildDiagram() {
+    const events = {};
+    ACCModes.TABLES.guarded.forEach(([from, event, to]) => {
+        (to === 'resume' ? ACCModes.ACTIVE : [to]).filter(t => t !== from).forEach(t => {
+            const key = `${from}>${t}`;
+            events[key] = (events[key] || []).concat(EVENT_LABELS[event]);
+        });
+    });
+    Object.keys(events).forEach(key => {
+        const [from, to] = key.split('>');
+        const p = STATE_LAYOUT[from], q = STATE_LAYOUT[to];
+        const dx = q[0] - p[0], dy = q[1] - p[1], len = Math.hypot(dx, dy);
+        const nx = -dy / len, ny = dx / len;
+        const bend = events[`${to}>${from}`] ? 14 : 0;
+        const c = [(p[0] + q[0]) / 2 + nx * bend, (p[1] + q[1]) / 2 + ny * bend];
+        const a = boxEdge(p, c[0], c[1]), b = boxEdge(q, c[0], c[1]);
+        const at = (t, i) => (1 - t) * (1 - t) * a[i] + 2 * (1 - t) * t * c[i] + t * t * b[i];
+
+        const g = svgEl('g', { class: 'state-edge' });
+        const title = svgEl('title');
+        title.textContent = `${ACCModes.label(from)} → ${ACCModes.label(to)}: ${events[key].join(', ')}`;
+        const text = svgEl('text', { x: (at(0.35, 0) + nx * 6).toFixed(1), y: (at(0.35, 1) + ny * 6 + 2).toFixed(1) });
+        text.textContent = events[key].join('/');
+        g.append(title, svgEl('path', { d: `M${a.join(',')} Q${c.join(',')} ${b.join(',')}`, 'marker-end': 'url(#state-arrow)' }), text);
+        D.stateDiagram.appendChild(g);
+        machinePanel.edges[key] = g;
+    });
+    Object.keys(ACCModes.STATES).forEach(state => {
+        const [x, y] = STATE_LAYOUT[state], [w, h] = STATE_BOX;
+        const g = svgEl('g', { class: 'state-node' });
+        const text = svgEl('text', { x, y });
+        text.textContent = ACCModes.label(state);
+        g.append(svgEl('rect', { x: x - w / 2, y: y - h / 2, width: w, height: h, rx: 4 }), text);
+        D.stateDiagram.appendChild(g);
+        machinePanel.nodes[state] = g;
+    });
+}
+
+function recordTransition(ev) {
+    machinePanel.history.unshift({ t: S.t - ACCEngine.DT, from: ev.from, to: ev.to, cause: ev.cause });
+    machinePanel.history.length = Math.min(machinePanel.history.length, STATE_LOG_MAX);
+    machinePanel.count++;
+}
+
+// Redrawn only when the state or the log changes. Built with textContent.
+function refreshMachine() {
+    D.btnStates.classList.toggle('pressed', machinePanel.on);
+    D.stateSection.classList.toggle('on', machinePanel.on);
+    const state = S.machine.state;
+    const shown = `${state}:${machinePanel.count}:${S.constant}:${S.units}`;
+    if (!machinePanel.on || shown === machinePanel.shown) return;
+    machinePanel.shown = shown;
+
+    const resume = S.machine.resume;
+    D.stateNow.textContent = ACCModes.label(state) + (state === 'standby' && resume
+        ? ` · RES resumes ${ACCModes.label(resume)} at ${ACCUnits.formatSpeed(S.constant, S.units)}` : '');
+    D.stateNow.classList.toggle('fault', state === 'fault');
+    Object.keys(machinePanel.nodes).forEach(k => {
+        machinePanel.nodes[k].setAttribute('class', 'state-node' + (k === state ? ' on' : '') + (k === 'fault' ? ' fault' : ''));
+    });
+    const traced = machinePanel.history.slice(0, STATE_TRACE).map(h => `${h.from}>${h.to}`);
+    Object.keys(machinePanel.edges).forEach(k => {
+        const i = traced.indexOf(k);
+        machinePanel.edges[k].setAttribute('class', 'state-edge' + (i === 0 ? ' last' : i > 0 ? ' recent' : ''));
+    });
+    D.stateLog.replaceChildren(...machinePanel.history.map(h => {
+        const li = document.createElement('li');
+        const time = document.createElement('span');
+        time.textContent = `${(h.t / 1000).toFixed(2)} s `;
+        li.append(time, `${ACCModes.label(h.from)} → ${ACCModes.label(h.to)} · ${ACCModes.EVENTS[h.cause]}`);
+        return li;
+    }));
+}
+
+function toggleMachine() {
+    machinePanel.on = !machinePanel.on;
+    machinePanel.shown = '';
+    refreshMachine();
+}
+
+buildDiagram();
+D.btnStates.addEventListener('click', toggleMachine);
+refreshMachine();
+
+
+// ─── PRESETS & SHARED LINKS ─────────────────────────────────────────────────
+// The whole setup (ACCPresets) as a link or a named preset kept under the key
+// 'acc-presets'. Loading either starts a fresh run in that setup — mode,
+// speed, traffic, sensor, units and time scale — with an empty history.
+// Opening a link that carries a setup skips the staged boot sequence.
+const PRESETS_KEY = 'acc-presets';
+
+function loadPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+}
+
+const presetPanel = { on: false, saved: loadPresets() };
+
+function currentConfig() {
+    return ACCPresets.capture(S, {
+        distance: sliderDistance(), timeScale: clock.scale, maxSpeed: profile.maxSpeed, bands: profile.bands,
+    });
+}
+
+function applyConfig(config, source) {
+    let started;
+    try {
+        started = ACCPresets.start(config);
+    } catch (err) {
+        log(`PRESET: ${plain(err.message)}`, 'danger');
+        return false;
+    }
+    if (scn.run) stopScenario();
+    if (S.platoon) togglePlatoon();
+    Object.keys(pulses).forEach(pin => delete pulses[pin]);
+    Object.assign(S, started.state);
+    S.pins = Object.assign({}, IDLE_PINS);
+    S.history = ACCHistory.createTrace();
+    if (chart.session) showSession(null, '');
+    Object.assign(profile, { units: config.units, scale: config.scale, maxSpeed: config.maxSpeed, bands: config.bands });
+    D.distSlider.value = Math.round(config.distance * 100);
+    D.trafficSelect.value = S.scenario;
+    clock.setScale(config.timeScale);
+
+    log(`PRESET: ${source} — ${ACCPresets.describe(config)}`, 'sys');
+    if (S.mode === 0) lcd('Vehicle Speed:', String(Math.round(S.speed)));
+    setStatus('normal_idle');
+    render(started.events);
+    refreshModel();
+    refreshHeadway();
+    refreshSensorControls();
+    refreshProfile();
+    refreshClock();
+    refreshAll();
+    return true;
+}
+
+// The page URL with the current setup, also put in the address bar.
+function shareLink() {
+    const url = `${location.origin}${location.pathname}?${ACCPresets.toQuery(currentConfig())}`;
+    history.replaceState(null, '', url);
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('no clipboard'));
+    copied.then(
+        () => log(`PRESET: Link copied — ${plain(url)}`, 'sys'),
+        () => log(`PRESET: Link — ${plain(url)}`, 'sys'));
+}
+
+function savePreset() {
+    const name = D.presetName.value.trim();
+    if (!name) { log('PRESET: Name the preset first', 'warn'); return; }
+    presetPanel.saved[name] = currentConfig();
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presetPanel.saved));
+    log(`PRESET: Saved "${plain(name)}" — ${ACCPresets.describe(presetPanel.saved[name])}`, 'sys');
+    refreshPresets(name);
+}
+
+function deletePreset() {
+    const name = D.presetSelect.value;
+    if (!presetPanel.saved[name]) return;
+    delete presetPanel.saved[name];
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(presetPanel.saved));
+    log(`PRESET: Deleted "${plain(name)}"`, 'sys');
+    refreshPresets();
+}
+
+function refreshPresets(selected = D.presetSelect.value) {
+    D.btnPresets.classList.toggle('pressed', presetPanel.on);
+    D.presetSection.classList.toggle('on', presetPanel.on);
+    const names = Object.keys(presetPanel.saved).sort();
+    D.presetSelect.replaceChildren(...names.map(n => new Option(n, n)));
+    if (names.includes(selected)) D.presetSelect.value = selected;
+    D.presetLoad.disabled = D.presetDelete.disabled = !names.length;
+}
+
+function togglePresets() {
+    presetPanel.on = !presetPanel.on;
+    refreshPresets();
+}
+
+D.btnPresets.addEventListener('click', togglePresets);
+D.presetSave.addEventListener('click', savePreset);
+D.presetLoad.addEventListener('click', () => {
+    const name = D.presetSelect.value;
+    if (presetPanel.saved[name]) applyConfig(presetPanel.saved[name], `Loaded "${plain(name)}"`);
+});
+D.presetDelete.addEventListener('click', deletePreset);
+D.presetLink.addEventListener('click', shareLink);
+refreshPresets();
+
+// ─── WEB SERIAL BRIDGE ──────────────────────────────────────────────────────
+// Links the dashboard to an Uno running the companion firmware (Web Serial,
+// Chrome or Edge) or to the in-page mock board; both speak the ACCSerial
+// line protocol. While linked, the board's PINS and DIST reports replace the
+// dashboard's pins and slider as engine inputs, and every LED change and LCD
+// row goes back to the board. The mock board reads the dashboard controls
+// as its potentiometers and sensor, so the round trip runs without hardware.
+const link = {
+    port: null,
+    kind: '',           // 'serial' (hardware) or 'mock'
+    reader: null,
+    writer: null,
+    buffer: '',         // Partial line received so far
+    pins: null,         // Last PINS report; null until the board sends one
+    distance: null,     // Last DIST reading (m); a timeout reads as maxRange
+    led: '',            // Last LED and LCD lines sent, so only changes go out
+    lcd: ['', ''],
+};
+
+const IDLE_PINS = { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 };
+const encoder = new TextEncoder();
+
+function linkInputs() {
+    if (link.kind === 'mock') {
+        link.port.drive(S.pins, sliderDistance());
+    } else {
+        if (link.pins) Object.assign(S.pins, link.pins);
+        if (link.distance !== null) D.distSlider.value = Math.round(Math.min(link.distance, 1) * 100);
+    }
+    return {
+        pins: link.pins || IDLE_PINS,
+        distance: link.distance !== null ? link.distance : sliderDistance(),
+    };
+}
+
+function sendLine(line) {
+    if (!link.writer) return;
+    link.writer.write(encoder.encode(line + '\n')).catch(err => {
+        log(`SERIAL: Write failed — ${plain(err.message)}`, 'danger');
+        disconnectLink();
+    });
+}
+
+function sendLed() {
+    const led = ACCFaults.leds(liveFaults(), S);
+    const line = ACCSerial.format.led(led.D13, led.D12);
+    if (line !== link.led) sendLine(line);
+    link.led = line;
+}
+
+function sendLcd(r1, r2) {
+    [r1, r2].forEach((text, row) => {
+        const line = ACCSerial.format.lcd(row, text);
+        if (line !== link.lcd[row]) sendLine(line);
+        link.lcd[row] = line;
+    });
+}
+
+function receiveLine(line) {
+    let msg;
+    try {
+        msg = ACCSerial.parse(line);
+    } catch (err) {
+        log(`SERIAL: Skipped "${plain(line)}" — ${plain(err.message)}`, 'warn');
+        return;
+    }
+    if (!msg) return;
+    switch (msg.type) {
+        case 'hello':
+            log(`SERIAL: ${plain(msg.name)} · protocol v${msg.version}`, msg.version === ACCSerial.VERSION ? 'success' : 'warn');
+            break;
+        case 'pins': link.pins = msg.pins; break;
+        case 'dist': link.distance = msg.distance !== null ? msg.distance : SensorModel.DEFAULTS.maxRange; break;
+        case 'log': log(`BOARD: ${plain(msg.text)}`, 'info'); break;
+        case 'err': log(`BOARD: ${plain(msg.text)}`, 'warn'); break;
+        default: log(`SERIAL: Unexpected ${msg.type.toUpperCase()} from the board`, 'warn');
+    }
+}
+
+async function readLink() {
+    const decoder = new TextDecoder();
+    try {
+        for (;;) {
+            const { value, done } = await link.reader.read();
+            if (done) break;
+            const r = ACCSerial.feed(link.buffer, decoder.decode(value, { stream: true }));
+            link.buffer = r.buffer;
+            r.lines.forEach(receiveLine);
+        }
+    } catch (err) {
+        if (link.port) log(`SERIAL: Read failed — ${plain(err.message)}`, 'danger');
+    }
+    if (link.port) disconnectLink();
+}
+
+// Opens the chosen port at the firmware's baud rate. Traffic scenarios and
+// the sensor model are switched off: the board measures the real distance.
+async function connectLink(kind) {
+    let port;
+    try {
+        port = kind === 'mock' ? ACCSerial.createMockPort() : await navigator.serial.requestPort();
+        await port.open({ baudRate: ACCSerial.BAUD });
+    } catch (err) {
+        // NotFoundError: the port chooser was closed without a choice
+        log(`SERIAL: ${plain(err.message)}`, err.name === 'NotFoundError' ? 'warn' : 'danger');
+        return;
+    }
+    Object.assign(link, {
+        port, kind,
+        reader: port.readable.getReader(),
+        writer: port.writable.getWriter(),
+        buffer: '', pins: null, distance: null, led: '', lcd: ['', ''],
+    });
+    log(`SERIAL: Connected to the ${kind === 'mock' ? 'mock board' : 'board'} at ${ACCSerial.BAUD} baud`, 'sys');
+    if (S.scenario !== 'manual') setScenario('manual');
+    if (S.sensorModel !== 'ideal') setSensor({ model: 'ideal' });
+    sendLine(ACCSerial.format.hello());
+    sendLed();
+    sendLcd(D.lcd1.textContent, D.lcd2.textContent);
+    refreshLink();
+    readLink();
+}
+
+async function disconnectLink() {
+    const { port, reader, writer } = link;
+    if (!port) return;
+    Object.assign(link, { port: null, kind: '', reader: null, writer: null });
+    try {
+        await reader.cancel();
+        reader.releaseLock();
+        writer.releaseLock();
+        await port.close();
+    } catch (err) {
+        // The device may already be gone (unplugged); nothing left to close
+    }
+    log('SERIAL: Disconnected — dashboard inputs restored', 'sys');
+    refreshLink();
+}
+
+function refreshLink() {
+    D.btnSerial.classList.toggle('pressed', link.kind === 'serial');
+    D.btnSerialMock.classList.toggle('pressed', link.kind === 'mock');
+    D.btnSerial.disabled = !('serial' in navigator) || link.kind === 'mock';
+    D.btnSerialMock.disabled = link.kind === 'serial';
+    D.serialBaud.textContent = (link.kind === 'serial' ? 'USB' : link.kind === 'mock' ? 'MOCK' : 'COM5') +
+        ` · ${ACCSerial.BAUD} baud`;
+}
+
+D.btnSerial.addEventListener('click', () => (link.port ? disconnectLink() : connectLink('serial')));
+D.btnSerialMock.addEventListener('click', () => (link.port ? disconnectLink() : connectLink('mock')));
+if (!('serial' in navigator)) D.btnSerial.title = 'Web Serial is not available in this browser (use Chrome or Edge over HTTPS)';
+refreshLink();
+
+
+// ─── SERIAL COMMAND LINE ────────────────────────────────────────────────────
+// Arduino-serial-like commands typed under the monitor (ACCMonitor.parse),
+// echoed with a '>' and run through the same functions as the dashboard
+// controls: `mode 2` presses ACC, `dist 0.25` moves the slider, `set 40`
+// sets the set speed in the display units. ↑/↓ recall earlier commands.
+function runCommand(line) {
+    let cmd;
+    try {
+        cmd = ACCMonitor.parse(line);
+    } catch (err) {
+        log(`&gt; ${plain(line.trim())}`, 'sys');
+        // Translated before escaping, so the templates see its quotes.
+        log(plain(tr(err.message)), 'danger');
+        return;
+    }
+    if (!cmd) return;
+    log(`&gt; ${plain(line.trim())}`, 'sys');
+    if (!S.running && cmd.type !== 'help' && cmd.type !== 'clear') {
+        log('Not ready — the system is still booting', 'warn');
+        return;
+    }
+
+    switch (cmd.type) {
+        case 'help':
+            ACCMonitor.HELP.forEach(([usage, what]) => log(`${plain(usage)} — ${plain(tr(what))}`, 'info'));
+            break;
+        case 'mode': [D.btnM0, D.btnM1, D.btnM2][cmd.mode].click(); break;
+        case 'dist':
+            manualOverride();
+            D.distSlider.value = Math.round(cmd.distance * 100);
+            refreshSensor();
+            refreshHW();
+            break;
+        case 'set': typeSetSpeed(cmd.speed); break;
+        case 'stalk': pressStalk(cmd.command); break;
+        case 'pin':
+            S.pins[cmd.pin] = cmd.volts;
+            refreshPinBars();
+            break;
+        case 'traffic': setScenario(cmd.id); break;
+        case 'gap': setHeadway(cmd.headway); break;
+        case 'controller': setController(cmd.id); break;
+        case 'pause': togglePause(); break;
+        case 'step': clock.step(); break;
+        case 'clear': clearMonitor(); break;
+    }
+}
+
+D.serialForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const line = D.serialInput.value;
+    if (line.trim()) monitor.commands.push(line.trim());
+    monitor.recall = monitor.commands.length;
+    D.serialInput.value = '';
+    runCommand(line);
+});
+D.serialInput.addEventListener('keydown', e => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    const n = monitor.commands.length;
+    monitor.recall = Math.max(0, Math.min(n, monitor.recall + (e.key === 'ArrowUp' ? -1 : 1)));
+    D.serialInput.value = monitor.commands[monitor.recall] || '';
+});
+
+// ─── SCREEN READER SUPPORT ──────────────────────────────────────────────────
+// Mode changes are announced in the polite live region, hazards in the
+// assertive one (see setStatus). A region is emptied before it is written,
+// so the same announcement is read again when it repeats.
+function announce(text, urgent = false) {
+    const region = urgent ? D.announceAlert : D.announcePolite;
+    region.textContent = '';
+    setTimeout(() => { region.textContent = text; }, 50);
+}
+
+// e.g. 'ACC Active — ACC (A4)', 'Standby — brake pedal'.
+function announceTransition(ev) {
+    announce(`${tr(ACCModes.label(ev.to))} — ${tr(ACCModes.EVENTS[ev.cause] || ev.cause)}`);
+}
+
+// Toggle buttons show their state with the 'pressed' (or, for the mode and
+// time-gap buttons, 'active') class; aria-pressed follows it, for every
+// button that declares the attribute.
+function syncPressed(b) {
+    b.setAttribute('aria-pressed', b.classList.contains('pressed') || b.classList.contains('active'));
+}
+
+const pressedObserver = new MutationObserver(records => records.forEach(r => syncPressed(r.target)));
+document.querySelectorAll('button[aria-pressed]:not(.icon-btn)').forEach(b => {
+    syncPressed(b);
+    pressedObserver.observe(b, { attributes: true, attributeFilter: ['class'] });
+});
 
 
 // ─── THEME TOGGLE BINDING ───────────────────────────────────────────────────
 D.themeToggle.addEventListener('click', toggleTheme);
+D.contrastToggle.addEventListener('click', toggleContrast);
+D.motionToggle.addEventListener('click', toggleMotion);
 
 
 // ─── BOOT SEQUENCE ──────────────────────────────────────────────────────────
 // Initializes the serial monitor with system identification, displays
 // the LCD welcome screen, shows team information, and activates the
-// control loop after a staged 5.5-second startup delay.
+// control loop after a staged 5.5-second startup delay. A link carrying a
+// setup (see PRESETS & SHARED LINKS) goes straight into the control loop.
+const KEYS_HELP = 'Keys: ↑/W Accel · ↓/S Brake · ←/A Closer · →/D Farther · 1/2/3 Mode · G Time Gap · P Pause · N Step';
+
 function boot() {
+    let config = null;
+    try {
+        config = ACCPresets.fromQuery(location.search);
+    } catch (err) {
+        log(`PRESET: Link ignored — ${plain(err.message)}`, 'danger');
+    }
+
     log('═══════════════════════════════════════', 'info');
     log('Adaptive Cruise Control · Simulation', 'info');
     log('Arduino Uno R3 · COM5 · 9600 baud', 'info');
@@ -726,6 +2620,15 @@ function boot() {
     log('═══════════════════════════════════════', 'info');
     log('Initializing: Ultrasonic, ExampleLCD/LCDAddOn', 'sys');
 
+    if (config) {
+        S.running = true;
+        clock.start();
+        log('System ready. Entering control loop.', 'success');
+        applyConfig(config, 'Setup from the link');
+        log(KEYS_HELP, 'info');
+        return;
+    }
+
     setStatus('Initializing system — Arduino Uno connecting on COM5...');
 
     setTimeout(() => {
@@ -743,9 +2646,10 @@ function boot() {
     setTimeout(() => {
         S.running = true;
         S.mode = 0;
+        clock.start();
         lcd('Vehicle Speed:', '0');
         log('System ready. Entering control loop.', 'success');
-        log('Keys: ↑/W Accel · ↓/S Brake · ←/A Closer · →/D Farther · 1/2/3 Mode', 'info');
+        log(KEYS_HELP, 'info');
         setStatus('normal_idle');
         refreshAll();
     }, 5500);
@@ -784,10 +2688,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     requestAnimationFrame(animateLoader);
 
-    // Disable right-click context menu and text selection for kiosk-style UX
-    document.addEventListener('contextmenu', e => e.preventDefault());
-    document.addEventListener('selectstart', e => e.preventDefault());
-
     // Developer console branding
     console.log(
         "%c🚘 Adaptive Cruise Control",
@@ -810,6 +2710,7 @@ document.addEventListener('DOMContentLoaded', () => {
     );
 
     initTheme();
+    initDisplayPrefs();
     refreshSensor();
     refreshRoad();
 
@@ -840,5 +2741,10 @@ document.addEventListener('DOMContentLoaded', () => {
             playHorn();
         });
     }
+    D.egoCar.addEventListener('keydown', e => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        playHorn();
+    });
 
 });
@@ -0,0 +1,224 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         sketch-check.js                                               │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Parity check between the generated Arduino sketch and the     │
+ * │                Adaptive Cruise Control (ACC) engine. Compiles the sketch's   │
+ * │                control core for the host with a small stdin/stdout harness,  │
+ * │                feeds it every recording step by step, and compares its       │
+ * │                mode, speed, target, LED and LCD table with ACCReplay on      │
+ * │                the same inputs. Discrete recordings come from golden/, the   │
+ * │                physics ones from golden/sketch/ and run once per spacing     │
+ * │                controller. When arduino-cli is installed, each full sketch   │
+ * │                is also compiled for the Uno. Exits non-zero on divergence.   │
+ * │                                                                              │
+ * │  Usage:        node docs/web/sketch-check.js            Check all            │
+ * │                node docs/web/sketch-check.js a.json ... Check given files    │
+ * │                CXX=clang++ node docs/web/sketch-check.js                     │
+ * │                                                                              │
+ * │  Technology:   Node.js (no dependencies), a host C++ compiler                │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ACCEngine = require('./engine.js');
+const ACCReplay = require('./replay.js');
+const ACCSketch = require('./sketch.js');
+
+const GOLDEN = path.join(__dirname, 'golden');
+const PHYSICS = path.join(GOLDEN, 'sketch');
+const { DT } = ACCEngine;
+const PINS = ['A0', 'A1', 'A2', 'A3', 'A4'];
+
+// The sketch computes in 32-bit floats, the engine in doubles. Speeds may
+// drift apart by this much (km/h); every other column must match exactly.
+const TOLERANCE = { speed: 0.01 };
+
+
+// ─── HOST BUILD ──────────────────────────────────────────────────────────────
+// The harness reads "INIT mode speed constant D12 D13", then one line of
+// "a0 a1 a2 a3 a4 distance sampleMs" per step, and prints the table row
+// after each step. The LCD column is row 2 as the sketch prints it, last on
+// the line since it can hold spaces.
+const HARNESS = `
+#include <stdio.h>
+
+int main() {
+  AccState s;
+  AccInputs in;
+  int mode, d12, d13;
+  char row[17];
+  accInit(&s);
+  if (scanf(" INIT %d %f %f %d %d", &mode, &s.speed, &s.constant, &d12, &d13) != 5) return 2;
+  s.mode = mode; s.D12 = d12; s.D13 = d13;
+  while (scanf("%f %f %f %f %f %f %hu", &in.pins[0], &in.pins[1], &in.pins[2], &in.pins[3], &in.pins[4],
+               &in.distance, &in.sampleMs) == 7) {
+    accStep(&s, &in);
+    accLcdRow(&s, row);
+    printf("%d %.6f %.6f %d %d %s\\n", s.mode, s.speed, s.constant, s.D12 ? 1 : 0, s.D13 ? 1 : 0, row);
+  }
+  return 0;
+}
+`;
+
+function build(dir, options) {
+    const name = options.model === 'physics' ? [options.controller, options.headway, options.standstill, options.units, options.scale].join('-') : 'discrete';
+    const src = path.join(dir, `${name}.cpp`);
+    const exe = path.join(dir, name);
+    fs.writeFileSync(src, ACCSketch.core(options) + HARNESS);
+    const cxx = process.env.CXX || 'c++';
+    const r = spawnSync(cxx, ['-std=gnu++11', '-O1', '-Wall', '-o', exe, src, '-lm'], { encoding: 'utf8' });
+    if (r.error) throw new Error(`No C++ compiler (${cxx}): ${r.error.message}. Set CXX to one.`);
+    if (r.status !== 0) throw new Error(`${name}: the generated core does not compile\n${r.stderr}`);
+    return exe;
+}
+
+
+// ─── INPUTS ──────────────────────────────────────────────────────────────────
+// Expands a recording into the per-step inputs ACCReplay.run() applies: an
+// event stamped t takes effect from the step that starts at t. The ideal
+// sensor reports every step, so each step carries a fresh reading.
+function expand(rec) {
+    const pins = { A0: 0, A1: 0, A2: 0, A3: 0, A4: 0 };
+    const pinEvents = rec.pins || [], distEvents = rec.distance || [];
+    let distance = 0.5, ip = 0, id = 0;
+    const lines = [];
+    for (let k = 0, t = 0; k < Math.round(rec.duration / DT); k++, t += DT) {
+        while (ip < pinEvents.length && pinEvents[ip][0] <= t) { pins[pinEvents[ip][1]] = pinEvents[ip][2]; ip++; }
+        while (id < distEvents.length && distEvents[id][0] <= t) { distance = distEvents[id][1]; id++; }
+        lines.push(PINS.map(p => pins[p]).concat(distance, DT).join(' '));
+    }
+    return lines;
+}
+
+function runSketch(exe, rec) {
+    const init = Object.assign({ mode: 0, speed: 0, constant: 0, D12: false, D13: false }, rec.initial);
+    const stdin = [`INIT ${init.mode} ${init.speed} ${init.constant} ${init.D12 ? 1 : 0} ${init.D13 ? 1 : 0}`]
+        .concat(expand(rec)).join('\n') + '\n';
+    const r = spawnSync(exe, [], { input: stdin, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (r.status !== 0) throw new Error(`Harness exited with ${r.status}`);
+    return r.stdout.replace(/\n$/, '').split('\n').map((line, k) => {
+        const [mode, speed, constant, d12, d13] = line.split(' ', 5);
+        const lcd = line.split(' ').slice(5).join(' ');
+        return [(k + 1) * DT, +mode, +speed, +constant, +d12, +d13, lcd];
+    });
+}
+
+
+// ─── COMPARISON ──────────────────────────────────────────────────────────────
+// ACCReplay holds the LCD row blank until the engine first writes it, where
+// the sketch shows the speed from the start; those rows skip the LCD.
+function check(exe, rec) {
+    const expected = ACCReplay.run(rec, { sample: DT }).trace;
+    const actual = runSketch(exe, rec).map((row, i) => {
+        if (expected[i] && expected[i][6] === '') row[6] = '';
+        return row;
+    });
+    return { diffs: ACCReplay.compare(expected, actual, { tolerance: TOLERANCE }), steps: expected.length };
+}
+
+// Physics recordings run once per sketch controller, at the recording's
+// time gap, grade, standstill window, units and bench scale; discrete recordings ignore the
+// controller.
+function cases(files) {
+    return files.map(file => {
+        const golden = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const rec = ACCReplay.validate(golden.recording);
+        if (rec.scenario) throw new Error(`${path.basename(file)}: the sketch has no traffic scenarios`);
+        if (rec.faults) throw new Error(`${path.basename(file)}: the sketch has no fault injection`);
+        if (rec.stalk) throw new Error(`${path.basename(file)}: the sketch has no cruise stalk`);
+        const model = rec.model || 'discrete';
+        if (model === 'discrete') return [{ file, rec, options: { model } }];
+        return ACCSketch.CONTROLLERS.map(controller => {
+            const initial = Object.assign({}, rec.initial, { controller });
+            const options = {
+                model, controller, headway: initial.headway || 1.5, grade: initial.grade || 0,
+                standstill: initial.standstillWindow === undefined ? 3 : initial.standstillWindow,
+                units: initial.units || 'metric', scale: initial.scale || 100,
+            };
+            return { file, rec: Object.assign({}, rec, { initial }), options };
+        });
+    }).reduce((a, b) => a.concat(b), []);
+}
+
+function jsonFiles(dir) {
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f));
+}
+
+
+// ─── ARDUINO BUILD ───────────────────────────────────────────────────────────
+// Optional: compiles every full sketch for the Uno with arduino-cli, which
+// needs the arduino:avr core and the LiquidCrystal library installed.
+function arduinoBuild(dir) {
+    const probe = spawnSync('arduino-cli', ['version'], { encoding: 'utf8' });
+    if (probe.error) {
+        console.log('SKIP  arduino-cli not found — Uno build not checked');
+        return 0;
+    }
+    let failed = 0;
+    ACCSketch.CONTROLLERS.map(controller => ({ model: 'physics', controller }))
+        .concat({ model: 'discrete' })
+        .forEach(options => {
+            const name = ACCSketch.fileName(options).replace(/\.ino$/, '');
+            const folder = path.join(dir, name);
+            fs.mkdirSync(folder, { recursive: true });
+            fs.writeFileSync(path.join(folder, `${name}.ino`), ACCSketch.generate(options));
+            const r = spawnSync('arduino-cli', ['compile', '--fqbn', 'arduino:avr:uno', folder], { encoding: 'utf8' });
+            if (r.status === 0) {
+                console.log(`PASS  ${name}.ino builds for the Uno`);
+            } else {
+                failed++;
+                console.log(`FAIL  ${name}.ino — arduino-cli compile\n${r.stdout}${r.stderr}`);
+            }
+        });
+    return failed;
+}
+
+
+// ─── SUITE ───────────────────────────────────────────────────────────────────
+function main(argv) {
+    const files = argv.filter(a => !a.startsWith('--'));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acc-sketch-'));
+    const built = {};
+    let failed = 0;
+    try {
+        cases(files.length ? files : jsonFiles(GOLDEN).concat(jsonFiles(PHYSICS))).forEach(c => {
+            const label = c.options.model === 'physics'
+                ? `${c.rec.name} · ${c.options.controller} ${c.options.headway} s` : c.rec.name;
+            let r;
+            try {
+                const key = JSON.stringify(c.options);
+                built[key] = built[key] || build(dir, c.options);
+                r = check(built[key], c.rec);
+            } catch (err) {
+                failed++;
+                console.log(`FAIL  ${label} — ${err.message}`);
+                return;
+            }
+            if (r.diffs.length) {
+                failed++;
+                console.log(`FAIL  ${label}`);
+                r.diffs.forEach(d => console.log(`      t=${(d.t / 1000).toFixed(2)} s  ${d.field}: engine ${d.expected}, sketch ${d.actual}`));
+            } else {
+                console.log(`PASS  ${label} (${r.steps} steps)`);
+            }
+        });
+        failed += arduinoBuild(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    if (failed) console.log(`\n${failed} check(s) show the sketch diverging from the engine.`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { expand, main };
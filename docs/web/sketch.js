@@ -0,0 +1,815 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         sketch.js                                                     │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Arduino sketch generator for the Adaptive Cruise Control      │
+ * │                (ACC) simulation. Emits a compilable Uno sketch that runs     │
+ * │                the same fixed-step logic as engine.js for the selected       │
+ * │                vehicle model, spacing controller, time gap and thresholds:   │
+ * │                mode selection on A2–A4, pedals on A0/A1, the HC-SR04 on      │
+ * │                D10/D8, the D13/D12 LEDs and the 16×2 LCD on D7–D2, as in     │
+ * │                Adaptive Cruise Control.m. The control core is plain C++      │
+ * │                with no Arduino calls, so sketch-check.js can compile it on   │
+ * │                the host and compare it step by step with the engine.         │
+ * │                                                                              │
+ * │  Exports:      window.ACCSketch (browser) · module.exports (Node)            │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+), generates Arduino C++              │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./vehicle.js'), require('./traffic.js'), require('./controllers.js'),
+            require('./sensor.js'), require('./engine.js'), require('./supervisor.js'), require('./modes.js'),
+            require('./units.js'));
+    } else {
+        root.ACCSketch = factory(root.VehicleModel, root.TrafficModel, root.ACCControllers,
+            root.SensorModel, root.ACCEngine, root.ACCSupervisor, root.ACCModes, root.ACCUnits);
+    }
+}(typeof self !== 'undefined' ? self : this, function (VehicleModel, TrafficModel, ACCControllers, SensorModel, ACCEngine,
+    ACCSupervisor, ACCModes, ACCUnits) {
+    'use strict';
+
+    // Controllers with a C++ template below, as registered when this file
+    // loads. One added or replaced through ACCControllers.register() has no
+    // template, and generate() refuses it.
+    const CONTROLLERS = ['ctgp', 'pid', 'mpc', 'parity'];
+    const BUILT_IN = Object.assign({}, ACCControllers.REGISTRY);
+    const BAUD = 9600;
+
+    // Status keys of the engine, in enum order. The sketch prints the text
+    // on the serial monitor whenever the status changes. The supervisor's
+    // keys follow its stages 1–4 in order, and the stop-and-go keys the
+    // SG_HOLD, SG_WAIT, SG_GO phases.
+    const STATUSES = [
+        ['normal_idle', 'NORMAL MODE: Vehicle stopped'],
+        ['normal_accel', 'NORMAL MODE: Accelerating'],
+        ['normal_brake', 'NORMAL MODE: Braking'],
+        ['normal_drag', 'KINETIC DRAG: Coasting'],
+        ['cruise_hold', 'CRUISE MODE: Holding speed'],
+        ['cruise_accel', 'CRUISE MODE: Manual acceleration'],
+        ['cruise_brake', 'CRUISE MODE: Manual braking'],
+        ['adaptive_safe', 'ADAPTIVE MODE: Path clear'],
+        ['adaptive_cap', 'ADAPTIVE MODE: Holding target'],
+        ['adaptive_follow', 'ADAPTIVE MODE: Following lead vehicle'],
+        ['adaptive_danger', 'ADAPTIVE WARNING: Inside the safe distance'],
+        ['adaptive_gap_danger', 'ADAPTIVE WARNING: Gap below half the time gap'],
+        ['adaptive_stop', 'ADAPTIVE MODE: Collision avoidance - Vehicle stopped.'],
+        ['fcw_caution', 'FCW CAUTION: Closing on the lead vehicle'],
+        ['fcw_danger', 'FCW WARNING: Collision risk'],
+        ['takeover_danger', 'TAKEOVER REQUEST: Press CANCEL (A2) and brake'],
+        ['aeb_danger', 'EMERGENCY BRAKE'],
+        ['adaptive_override', 'ADAPTIVE MODE: Driver override'],
+        ['stopgo_hold', 'ADAPTIVE MODE: Standstill hold'],
+        ['stopgo_wait', 'ADAPTIVE MODE: Standstill hold - Press RES'],
+        ['stopgo_go', 'ADAPTIVE MODE: Driving off behind the lead vehicle'],
+    ];
+
+
+    // ─── FORMATTING ──────────────────────────────────────────────────────────────
+    // A float literal with 9 significant digits, which round-trips a 32-bit
+    // float (the AVR `float` and `double`).
+    function f(v) {
+        let s = String(Number(Number(v).toPrecision(9)));
+        if (!/[.e]/.test(s)) s += '.0';
+        return s + 'f';
+    }
+
+    // `const type NAME = value;` with the comment aligned in one column.
+    function decl(type, name, value, comment) {
+        const code = `const ${type} ${name} = ${value};`;
+        return comment ? `${code.padEnd(40)}// ${comment}` : code;
+    }
+
+    const statusId = key => 'ST_' + key.toUpperCase();
+    const stateId = key => 'FSM_' + key.toUpperCase();
+    const eventId = key => 'EV_' + key.toUpperCase();
+
+    function options(opts = {}) {
+        const o = Object.assign({ model: 'physics', controller: 'ctgp', headway: 1.5, grade: 0, standstill: 3, units: 'metric',
+            scale: TrafficModel.SENSOR_SCALE }, opts);
+        if (!ACCEngine.MODELS.includes(o.model)) throw new Error(`Unknown vehicle model "${o.model}"`);
+        if (!CONTROLLERS.includes(o.controller) || ACCControllers.REGISTRY[o.controller] !== BUILT_IN[o.controller]) {
+            throw new Error(`No sketch template for controller "${o.controller}"`);
+        }
+        if (!ACCEngine.HEADWAYS.includes(o.headway)) throw new Error(`Unsupported time gap ${o.headway} s`);
+        if (!ACCEngine.STANDSTILL_WINDOWS.includes(o.standstill)) throw new Error(`Unsupported standstill window ${o.standstill} s`);
+        if (!ACCUnits.SYSTEMS[o.units]) throw new Error(`Unknown unit system "${o.units}"`);
+        if (!ACCUnits.SCALES.includes(o.scale)) throw new Error(`Unsupported bench scale ${o.scale} m per m`);
+        return o;
+    }
+
+
+    // ─── CONTROLLER TEMPLATES ────────────────────────────────────────────────────
+    // Each returns the C++ for accController(): the same arithmetic, in the
+    // same order, as the update() of the controller in controllers.js.
+    const TEMPLATES = {
+        parity: p => `
+// MATLAB parity: brake at a fixed rate inside the safe distance.
+static float accController(AccState *s, float gap, float relSpeed, float egoSpeed, float setSpeed, uint8_t *regime) {
+  (void)s; (void)relSpeed;
+  const float aSpeed = SPEED_GAIN * (setSpeed - egoSpeed);
+  if (gap < SAFE_GAP) { *regime = REGIME_THRESHOLD; return -${f(p.hazardDecel)}; }
+  *regime = REGIME_FREE;
+  return clampf(aSpeed, -LIMIT_ACCEL, LIMIT_ACCEL);
+}
+`,
+        ctgp: p => `
+// Constant Time-Gap Policy: gap-error and relative-speed feedback.
+static float accController(AccState *s, float gap, float relSpeed, float egoSpeed, float setSpeed, uint8_t *regime) {
+  (void)s;
+  const float desired = desiredGap(egoSpeed);
+  const float gapTerm = ${f(p.kGap)} * (gap - desired);
+  const float rateTerm = ${f(p.kRate)} * relSpeed;
+  return combine(gapTerm + rateTerm, gap, egoSpeed, setSpeed, regime);
+}
+`,
+        pid: p => `
+// PID on the spacing error, with conditional integration and bleed-off.
+static float accController(AccState *s, float gap, float relSpeed, float egoSpeed, float setSpeed, uint8_t *regime) {
+  const float KP = ${f(p.kp)}, KI = ${f(p.ki)}, KD = ${f(p.kd)}, I_MAX = ${f(p.iMax)}, BLEED = ${f(p.bleed)};
+  const float desired = desiredGap(egoSpeed);
+  const float e = gap - desired;
+  const float accel = combine(KP * e + KI * s->integral + KD * relSpeed, gap, egoSpeed, setSpeed, regime);
+  const bool saturated = accel <= -LIMIT_DECEL || accel >= LIMIT_ACCEL;
+  if (*regime == REGIME_FOLLOW && !saturated && egoSpeed > 1.0f) {
+    s->integral = clampf(s->integral + e * DT_S, -I_MAX / KI, I_MAX / KI);
+  } else {
+    s->integral -= s->integral * fminf(1.0f, BLEED * DT_S);
+  }
+  return accel;
+}
+`,
+        mpc: (p, headway) => {
+            const qp = ACCControllers.mpcMatrices(p, headway);
+            const rows = m => m.map(r => '  { ' + r.map(f).join(', ') + ' }').join(',\n');
+            return `
+// Linear MPC: ${p.N}-step horizon of ${p.Ts} s, box-constrained QP solved by
+// ${p.iterations} projected-gradient iterations, warm-started from the last plan.
+// H = PhiT Q Phi + rI and F = PhiT Q Psi for a ${headway} s time gap.
+const uint8_t MPC_N = ${p.N};
+const uint8_t MPC_ITERATIONS = ${p.iterations};
+const float MPC_STEP = ${f(qp.step)};
+const float MPC_H[MPC_N][MPC_N] ACC_ROM = {
+${rows(qp.H)}
+};
+const float MPC_F[MPC_N][2] ACC_ROM = {
+${rows(qp.F)}
+};
+
+static float accController(AccState *s, float gap, float relSpeed, float egoSpeed, float setSpeed, uint8_t *regime) {
+  const float e0 = gap - desiredGap(egoSpeed);
+  float u[MPC_N], next[MPC_N];
+  for (uint8_t k = 0; k < MPC_N; k++) {
+    u[k] = s->warm ? s->plan[k + 1 < MPC_N ? k + 1 : MPC_N - 1] : 0.0f;
+  }
+  for (uint8_t it = 0; it < MPC_ITERATIONS; it++) {
+    for (uint8_t k = 0; k < MPC_N; k++) {
+      float g = accRom(&MPC_F[k][0]) * e0 + accRom(&MPC_F[k][1]) * relSpeed;
+      for (uint8_t j = 0; j < MPC_N; j++) g += accRom(&MPC_H[k][j]) * u[j];
+      next[k] = clampf(u[k] - MPC_STEP * g, -LIMIT_DECEL, LIMIT_ACCEL);
+    }
+    for (uint8_t k = 0; k < MPC_N; k++) u[k] = next[k];
+  }
+  for (uint8_t k = 0; k < MPC_N; k++) s->plan[k] = u[k];
+  s->warm = true;
+  return combine(u[0], gap, egoSpeed, setSpeed, regime);
+}
+`;
+        },
+    };
+
+    // Controller memory fields in AccState.
+    const MEMORY = {
+        parity: '',
+        ctgp: '',
+        pid: '  float integral;       // PID integrator state\n',
+        mpc: `  float plan[${ACCControllers.REGISTRY.mpc.params.N}];        // Last MPC plan (m/s²), for the warm start\n  bool warm;            // A plan is available\n`,
+    };
+
+
+    // Constant declarations for the core. The discrete model only needs the
+    // pin threshold, the MATLAB distance rule and its three periods.
+    function constants(o) {
+        const E = ACCEngine;
+        const lines = ['// Engine timing and thresholds (engine.js)',
+            decl('uint16_t', 'DT_MS', E.DT, 'Fixed step (ms)'),
+            decl('float', 'PIN_HIGH', f(E.PIN_HIGH), 'A pin counts as pressed from here (V)')];
+        if (o.model === 'discrete') {
+            return lines.concat(
+                decl('float', 'SAFE_DISTANCE', f(E.SAFE_DISTANCE), 'MATLAB braking threshold (m)'),
+                decl('uint16_t', 'PERIOD_REPEAT', E.PERIODS.repeat, 'Hold-to-repeat (ms)'),
+                decl('uint16_t', 'PERIOD_DRAG', E.PERIODS.drag, 'Kinetic drag (ms)'),
+                decl('uint16_t', 'PERIOD_CYCLE', E.PERIODS.cycle, 'Adaptive auto-cycle (ms)')).join('\n');
+        }
+        const L = ACCControllers.LIMITS;
+        const V = VehicleModel.DEFAULTS;
+        const T = ACCSupervisor.TTC, U = ACCSupervisor.LIMITS;
+        return lines.concat(
+            decl('float', 'DT_S', f(E.DT / 1000)),
+            decl('float', 'SENSOR_SCALE', f(o.scale), 'Road m per sensor m'),
+            decl('float', 'SAFE_GAP', f(TrafficModel.toGap(E.SAFE_DISTANCE, o.scale)), 'MATLAB braking threshold on the road (m)'),
+            decl('float', 'KMH', f(E.KMH)),
+            decl('float', 'LCD_UNITS', f(ACCUnits.FACTORS[ACCUnits.speedUnit(o.units)]), `LCD speed in ${ACCUnits.speedUnit(o.units)} per km/h`),
+            decl('float', 'HOLD_GAIN', f(E.PHYSICS.holdGain), 'Cruise speed-hold gain (1/s)'),
+            decl('float', 'CAP_BAND', f(E.PHYSICS.capBand), 'Adaptive "at target" band (m/s)'),
+            decl('float', 'RATE_FILTER', f(E.PHYSICS.rateFilter), 'Gap-rate low-pass factor per step'),
+            '',
+            '// Stop-and-go (engine.js)',
+            decl('float', 'LEAD_STOPPED', f(E.PHYSICS.leadStopped), 'A slower lead counts as stopped (m/s)'),
+            decl('float', 'APPROACH_SPEED', f(E.PHYSICS.approachSpeed), 'Stop at the standstill gap below this (m/s)'),
+            decl('float', 'MIN_ROOM', f(E.PHYSICS.minRoom), 'Shortest stopping distance assumed (m)'),
+            decl('float', 'STOP_SPEED', f(E.PHYSICS.stopSpeed), 'Hold below this behind a stopped lead (m/s)'),
+            decl('float', 'HOLD_BRAKE', f(E.PHYSICS.holdBrake), 'Deceleration that holds the car (m/s²)'),
+            decl('float', 'DEPART_GAP', f(E.PHYSICS.departGap), 'Gap growth that means the lead left (m)'),
+            decl('float', 'GO_SPEED', f(E.PHYSICS.goSpeed), 'Speed that ends the drive-off (m/s)'),
+            decl('uint16_t', 'STANDSTILL_WINDOW', o.standstill * 1000, 'Auto-resume window after stopping (ms)'),
+            '',
+            '// Mode state machine (modes.js)',
+            decl('float', 'MIN_ENGAGE', f(ACCModes.LIMITS.minSpeed), 'Cruise and ACC engage from here (km/h)'),
+            decl('float', 'PEDAL_PRESSED', f(ACCModes.LIMITS.pedal), 'Pedal demand that cancels or overrides'),
+            '',
+            '// Spacing controller limits (controllers.js)',
+            decl('float', 'HEADWAY', f(o.headway), 'Time gap (s)'),
+            decl('float', 'STANDSTILL', f(L.standstill), 'Gap kept at standstill (m)'),
+            decl('float', 'LIMIT_ACCEL', f(L.maxAccel), 'Acceleration authority (m/s²)'),
+            decl('float', 'LIMIT_DECEL', f(L.maxDecel), 'Braking authority (m/s²)'),
+            decl('float', 'SPEED_GAIN', f(L.speedGain), 'Set-speed loop gain (1/s)'),
+            '',
+            '// Safety supervisor (supervisor.js)',
+            decl('float', 'TTC_CAUTION', f(T[1]), 'FCW caution below this TTC (s)'),
+            decl('float', 'TTC_WARNING', f(T[2]), 'FCW warning (s)'),
+            decl('float', 'TTC_TAKEOVER', f(T[3]), 'Takeover request (s)'),
+            decl('float', 'TTC_BRAKE', f(T[4]), 'Emergency brake (s)'),
+            decl('uint16_t', 'TTC_CONFIRM', U.confirm, 'A higher stage must persist this long (ms)'),
+            decl('float', 'TTC_HYSTERESIS', f(U.hysteresis), 'Margin before a stage is left (s)'),
+            decl('float', 'MIN_CLOSING', f(U.minClosing), 'Slower closing has no TTC (m/s)'),
+            decl('float', 'CLOSING_TAU', f(U.closingTau), 'Closing-speed estimate time constant (s)'),
+            decl('float', 'AEB_DECEL', f(U.aebDecel), 'Emergency brake deceleration (m/s²)'),
+            decl('float', 'MAX_RATE', f(U.maxRate), 'Faster gap changes are jumps (m/s)'),
+            decl('uint8_t', 'JUMPS', U.jumps, 'Jumps in a row that disengage Adaptive'),
+            decl('float', 'NO_TARGET', f(TrafficModel.toGap(SensorModel.DEFAULTS.maxRange, o.scale)), 'Gap read when no echo returns (m)'),
+            '',
+            '// Vehicle model (vehicle.js)',
+            decl('float', 'G', f(VehicleModel.G)),
+            decl('float', 'RHO', f(VehicleModel.RHO), 'Air density (kg/m³)'),
+            decl('float', 'MASS', f(V.mass), 'kg'),
+            decl('float', 'CDA', f(V.cdA), 'Drag coefficient × frontal area (m²)'),
+            decl('float', 'CRR', f(V.crr), 'Rolling resistance coefficient'),
+            decl('float', 'GRADE', f(o.grade), 'Road grade (%)'),
+            decl('float', 'MAX_ACCEL', f(V.maxAccel), 'Full-throttle acceleration (m/s²)'),
+            decl('float', 'MAX_DECEL', f(V.maxDecel), 'Full-brake deceleration (m/s²)'),
+            decl('float', 'MAX_JERK', f(V.maxJerk), 'Actuator rate limit (m/s³)'),
+            decl('float', 'TAU', f(V.tau), 'Actuator lag (s)')).join('\n');
+    }
+
+
+    // ─── CONTROL CORE ────────────────────────────────────────────────────────────
+    // Plain C++ (no Arduino calls): constants, state, the vehicle model, the
+    // controller and accStep(), which advances everything by one DT exactly
+    // as ACCEngine.advance() does with the ideal sensor.
+    function core(opts) {
+        const o = options(opts);
+        const physics = o.model === 'physics';
+
+        return `// ─── CONTROL CORE ────────────────────────────────────────────────────────────
+// Plain C++ with no Arduino calls, checked step by step against the browser
+// engine by sketch-check.js. SI units inside; speed is kept in km/h as shown.
+#include <math.h>
+#include <stdint.h>
+#include <stdio.h>
+
+#if defined(__AVR__)
+#include <avr/pgmspace.h>
+#define ACC_ROM PROGMEM
+#define accRom(p) pgm_read_float(p)
+#else
+#define ACC_ROM
+#define accRom(p) (*(p))
+#endif
+
+${constants(o)}
+
+enum { MODE_NORMAL, MODE_CRUISE, MODE_ADAPTIVE };
+enum {
+${STATUSES.map(([key]) => '  ' + statusId(key)).join(',\n')}
+};
+
+struct AccInputs {
+  float pins[5];        // A0–A4 (V)
+  float distance;       // HC-SR04 reading (m)
+  uint16_t sampleMs;    // ms since the previous reading; 0 = no new reading
+};
+
+struct AccState {
+  uint8_t mode;
+  float speed;          // km/h${physics ? '' : ', in whole steps'}
+  float constant;       // ${physics ? 'Set speed of Cruise and Adaptive' : 'Adaptive target'} (km/h)
+  bool D13, D12;        // Green / red LED
+  bool held[5];         // Pin levels at the previous step
+  uint8_t status;       // ST_* of the last step
+${physics ? `  uint8_t fsm;          // FSM_* state of the mode state machine
+  uint8_t resume;       // Active FSM_* state to resume; FSM_OFF for none
+  float v;              // Speed (m/s)
+  float aAct;           // Actuator acceleration (m/s²)
+  float sensedGap;      // Road gap from the last reading (m)
+  float gapRate;        // Filtered gap rate (m/s)
+  uint8_t stage;        // Supervisor stage: 0 clear … 4 emergency brake
+  uint16_t pending;     // ms a higher stage has been indicated
+  float supGap;         // Gap of the last reading (m); negative before the first
+  float closing;        // Closing speed over plausible readings (m/s)
+  uint8_t jumps;        // Implausible jumps in a row in the reading
+  uint8_t sgPhase;      // Stop-and-go: SG_NONE, SG_HOLD, SG_WAIT or SG_GO
+  uint16_t sgMs;        // ms in the standstill hold
+  float sgGap;          // Gap when the car stopped (m)
+${MEMORY[o.controller]}` : `  uint16_t repeat, drag, cycle;   // Rule timers (ms)
+`}};
+
+static bool high(float volts) { return volts >= PIN_HIGH; }
+${physics ? physicsCore(o) : discreteCore()}
+void accInit(AccState *s) {
+  *s = AccState();
+${physics ? '  s->sensedGap = 50.0f;\n  s->supGap = -1.0f;\n  controllerInit(s);\n' : ''}}
+
+// One fixed step of ${ACCEngine.DT} ms.
+void accStep(AccState *s, const AccInputs *in) {
+${physics ? `  // A new reading updates the gap and its filtered rate; the filter factor
+  // is scaled so its time constant does not depend on the sample period.
+  if (in->sampleMs) {
+    const float sensed = in->distance * SENSOR_SCALE;
+    // The supervisor's closing speed skips dropouts, spurious echoes and
+    // jumps; JUMPS jumps in a row make the sensor implausible.
+    const float dt = in->sampleMs / 1000.0f;
+    const bool inRange = s->sensedGap < NO_TARGET && sensed < NO_TARGET;
+    const bool jump = inRange && fabsf(sensed - s->sensedGap) / dt > MAX_RATE;
+    if (inRange && !jump) s->closing += (1.0f - expf(-dt / CLOSING_TAU)) * ((s->sensedGap - sensed) / dt - s->closing);
+    s->jumps = jump ? (s->jumps < JUMPS ? s->jumps + 1 : JUMPS) : 0;
+    s->supGap = sensed;
+    const float raw = (sensed - s->sensedGap) / (in->sampleMs / 1000.0f);
+    const float alpha = 1.0f - powf(1.0f - RATE_FILTER, (float)in->sampleMs / DT_MS);
+    s->gapRate += alpha * (raw - s->gapRate);
+    s->sensedGap = sensed;
+  }
+
+` : ''}  // Mode buttons act on the press, in MATLAB priority: cancel, cruise, adaptive.
+  bool prev[5];
+  for (uint8_t i = 0; i < 5; i++) { prev[i] = s->held[i]; s->held[i] = high(in->pins[i]); }
+  for (uint8_t i = 2; i < 5; i++) {
+    if (s->held[i] && !prev[i]) {
+      selectMode(s, i - 2);${physics ? '' : '\n      discreteStep(s, in);'}
+      break;
+    }
+  }
+${physics ? '  physicsStep(s, in);' : discreteSchedule()}
+}
+
+// LCD row 2 into a 17-byte buffer: the speed${physics ? `, with the set speed at
+// the right while Cruise or Adaptive drives the car, or the stop-and-go
+// phase while there is one` : ''}.
+void accLcdRow(const AccState *s, char *row) {
+${physics ? `  static const char *const PHASE[] = { 0, "HOLD", "PRESS RES", "GO" };
+  if (s->mode != MODE_NORMAL) {
+    char set[10];
+    const int n = s->sgPhase ? snprintf(set, sizeof set, "%s", PHASE[s->sgPhase])
+                             : snprintf(set, sizeof set, "SET %ld", lroundf(s->constant * LCD_UNITS));
+    snprintf(row, 17, "%-*ld%s", 16 - n, lroundf(s->speed * LCD_UNITS), set);
+    return;
+  }
+  snprintf(row, 17, "%ld", lroundf(s->speed * LCD_UNITS));
+` : `  snprintf(row, 17, "%ld", lroundf(s->speed));
+`}
+}
+// ─── END OF CONTROL CORE ─────────────────────────────────────────────────────
+`;
+    }
+
+    // engine.js physics(): pedals, cruise hold, the spacing controller.
+    function physicsCore(o) {
+        const ctrl = ACCControllers.REGISTRY[o.controller];
+        return `
+static float clampf(float v, float lo, float hi) { return v < lo ? lo : (v > hi ? hi : v); }
+
+// ─── Spacing controller ───
+enum { REGIME_FREE, REGIME_FOLLOW, REGIME_DANGER, REGIME_THRESHOLD };
+${ctrl.timeGap ? `
+static float desiredGap(float v) { return STANDSTILL + HEADWAY * v; }
+
+// The spacing and set-speed commands combine by taking the smaller one.
+static float combine(float aGap, float gap, float egoSpeed, float setSpeed, uint8_t *regime) {
+  const float aSpeed = SPEED_GAIN * (setSpeed - egoSpeed);
+  const float accel = clampf(fminf(aGap, aSpeed), -LIMIT_DECEL, LIMIT_ACCEL);
+  *regime = aGap < aSpeed ? REGIME_FOLLOW : REGIME_FREE;
+  if (gap < STANDSTILL + 0.5f * HEADWAY * egoSpeed) *regime = REGIME_DANGER;
+  return accel;
+}
+` : ''}${TEMPLATES[o.controller](ctrl.params, o.headway)}
+static void controllerInit(AccState *s) {
+${{ parity: '  (void)s;', ctgp: '  (void)s;', pid: '  s->integral = 0.0f;', mpc: '  s->warm = false;' }[o.controller]}
+}
+
+// ─── Vehicle ───
+static float resistance(float v) {
+  const float theta = atanf(GRADE / 100.0f);
+  const float aero = 0.5f * RHO * CDA * v * v;
+  const float roll = v > 0.0f ? CRR * MASS * G * cosf(theta) : 0.0f;
+  return aero + roll + MASS * G * sinf(theta);
+}
+
+// Throttle and brake demand (0–1) for a desired net acceleration.
+static void demandFor(float v, float aDes, float *throttle, float *brake) {
+  const float force = MASS * aDes + resistance(v);
+  if (force >= 0.0f) { *throttle = fminf(1.0f, force / (MASS * MAX_ACCEL)); *brake = 0.0f; }
+  else { *throttle = 0.0f; *brake = fminf(1.0f, -force / (MASS * MAX_DECEL)); }
+}
+
+// First-order actuator lag, jerk limit, resistance, breakaway from rest.
+static void vehicleStep(AccState *s, float throttle, float brake) {
+  const float aReq = throttle * MAX_ACCEL - brake * MAX_DECEL;
+  const float lagged = s->aAct + (aReq - s->aAct) * fminf(1.0f, DT_S / TAU);
+  const float dMax = MAX_JERK * DT_S;
+  s->aAct += clampf(lagged - s->aAct, -dMax, dMax);
+  float a = s->aAct - resistance(s->v) / MASS;
+  if (s->v <= 0.0f) a = fmaxf(0.0f, a - CRR * G * cosf(atanf(GRADE / 100.0f)));
+  s->v = fmaxf(0.0f, s->v + a * DT_S);
+}
+
+// ─── Modes ───
+enum { SG_NONE, SG_HOLD, SG_WAIT, SG_GO };
+
+// The mode state machine (modes.js): { from, event, to, engage guard }.
+// FSM_RESUME as the target returns to the active state that was left.
+enum { ${Object.keys(ACCModes.STATES).map(stateId).join(', ')}, FSM_RESUME };
+enum { ${Object.keys(ACCModes.EVENTS).map(eventId).join(', ')} };
+const uint8_t MODE_KEEP = 255;
+const uint8_t FSM_MODE[${Object.keys(ACCModes.STATES).length}] = { ${Object.keys(ACCModes.STATES).map(k => {
+            const m = ACCModes.STATES[k].mode;
+            return m === null ? 'MODE_KEEP' : ['MODE_NORMAL', 'MODE_CRUISE', 'MODE_ADAPTIVE'][m];
+        }).join(', ')} };
+const uint8_t TRANSITIONS[${ACCModes.TABLES.guarded.length}][4] = {
+${ACCModes.TABLES.guarded.map(([from, ev, to, guard]) =>
+            `  { ${stateId(from)}, ${eventId(ev)}, ${stateId(to)}, ${guard ? 1 : 0} }`).join(',\n')}
+};
+
+static bool fire(AccState *s, uint8_t event) {
+  for (uint8_t i = 0; i < sizeof TRANSITIONS / sizeof TRANSITIONS[0]; i++) {
+    const uint8_t *t = TRANSITIONS[i];
+    if (t[0] != s->fsm || t[1] != event) continue;
+    if (t[3] && roundf(s->speed) < MIN_ENGAGE) return false;
+    const uint8_t from = s->fsm;
+    const uint8_t to = t[2] == FSM_RESUME ? s->resume : t[2];
+    const bool resumed = event == EV_RELEASE || event == EV_RESUME ||
+                         (from == FSM_STANDBY && (event == EV_CRUISE || event == EV_ACC) && to == s->resume);
+    s->fsm = to;
+    if (to == FSM_CRUISE || to == FSM_ACC) s->resume = to;
+    else if (to == FSM_OFF) s->resume = FSM_OFF;
+    if (FSM_MODE[to] != MODE_KEEP) s->mode = FSM_MODE[to];
+    if (from == FSM_ACC || to == FSM_ACC) { s->stage = 0; s->pending = 0; }
+    if (to != FSM_ACC) { s->sgPhase = SG_NONE; s->sgMs = 0; s->sgGap = 0.0f; }
+    else if (event == EV_RESUME && s->sgPhase) { s->sgPhase = SG_GO; s->sgMs = 0; }
+    if (to == FSM_CRUISE) {
+      if (!resumed) s->constant = roundf(s->speed);
+      s->status = ST_CRUISE_HOLD;
+    } else if (to == FSM_ACC) {
+      if (!resumed) s->constant = roundf(s->speed);
+      controllerInit(s);
+      s->status = ST_ADAPTIVE_SAFE;
+    } else if (s->mode == MODE_NORMAL) {
+      s->status = ST_NORMAL_IDLE;
+    }
+    return true;
+  }
+  return false;
+}
+
+// A2 Cancel, A3 Cruise, A4 ACC.
+static void selectMode(AccState *s, uint8_t mode) { fire(s, EV_CANCEL + mode); }
+
+// ─── Safety supervisor ───
+// Stages by time-to-collision: entered after TTC_CONFIRM, left only with a
+// margin. The emergency brake (stage 4) commands at least AEB_DECEL.
+static const float TTC_STAGE[5] = { 0.0f, TTC_CAUTION, TTC_WARNING, TTC_TAKEOVER, TTC_BRAKE };
+
+static float supervise(AccState *s, float accel) {
+  uint8_t wanted = 0;
+  if (s->supGap >= 0.0f && s->closing > MIN_CLOSING) {
+    const float ttc = s->supGap / s->closing;
+    for (uint8_t i = 4; i > 0; i--) {
+      if (ttc < TTC_STAGE[i]) { wanted = i; break; }
+    }
+    if (s->stage > wanted && ttc < TTC_STAGE[s->stage] + TTC_HYSTERESIS) wanted = s->stage;
+  }
+  s->pending = wanted > s->stage ? s->pending + DT_MS : 0;
+  if (wanted < s->stage || s->pending >= TTC_CONFIRM) s->stage = wanted;
+  if (s->stage == wanted) s->pending = 0;
+  return s->stage == 4 ? fminf(accel, -AEB_DECEL) : accel;
+}
+
+// ─── Stop-and-go ───
+// Stops at the standstill gap behind a stopped lead, holds the car, and
+// drives off by itself if the lead departs within STANDSTILL_WINDOW;
+// after that the accelerator (or RES, see fire()) drives off.
+static float stopAndGo(AccState *s, float accel, float v) {
+  const bool leadStopped = v + s->gapRate < LEAD_STOPPED;
+  const bool departed = accel > 0.0f && s->sensedGap - s->sgGap >= DEPART_GAP;
+  if (s->sgPhase == SG_HOLD) s->sgMs += DT_MS;
+  if (s->sgPhase == SG_NONE && leadStopped && v < STOP_SPEED) { s->sgPhase = SG_HOLD; s->sgMs = 0; s->sgGap = s->sensedGap; }
+  else if (s->sgPhase == SG_HOLD && departed) s->sgPhase = SG_GO;
+  else if (s->sgPhase == SG_HOLD && s->sgMs >= STANDSTILL_WINDOW) s->sgPhase = SG_WAIT;
+  else if (s->sgPhase == SG_GO && v >= GO_SPEED) { s->sgPhase = SG_NONE; s->sgGap = 0.0f; }
+  else if (s->sgPhase == SG_GO && v < STOP_SPEED && accel <= 0.0f) { s->sgPhase = SG_HOLD; s->sgMs = 0; s->sgGap = s->sensedGap; }
+
+  if (s->sgPhase == SG_HOLD || s->sgPhase == SG_WAIT) return fminf(accel, -HOLD_BRAKE);
+  if (s->sgPhase == SG_NONE && leadStopped && v < APPROACH_SPEED) {
+    const float room = fmaxf(s->sensedGap - STANDSTILL, MIN_ROOM);
+    return fminf(accel, -v * v / (2.0f * room));
+  }
+  return accel;
+}
+
+// ─── Physics model ───
+static void physicsStep(AccState *s, const AccInputs *in) {
+  const float v = s->v;
+  float throttle = clampf(in->pins[0] / 5.0f, 0.0f, 1.0f);
+  float brake = clampf(in->pins[1] / 5.0f, 0.0f, 1.0f);
+  uint8_t status;
+
+  // Implausible sensor data drops ACC to Fault; braking cancels to Standby
+  // and the accelerator overrides until released.
+  if (s->fsm == FSM_ACC && s->jumps >= JUMPS) fire(s, EV_FAULT);
+  fire(s, brake > PEDAL_PRESSED ? EV_BRAKE : throttle > PEDAL_PRESSED ? EV_THROTTLE : EV_RELEASE);
+  const bool overridden = s->fsm == FSM_OVERRIDE;
+
+  if (s->mode == MODE_NORMAL) {
+    status = throttle > 0.0f ? ST_NORMAL_ACCEL : brake > 0.0f ? ST_NORMAL_BRAKE : v > 0.0f ? ST_NORMAL_DRAG : ST_NORMAL_IDLE;
+  } else if (s->mode == MODE_CRUISE) {
+    if (overridden) {
+      status = ST_CRUISE_ACCEL;
+    } else {
+      demandFor(v, clampf(HOLD_GAIN * (s->constant / KMH - v), -MAX_ACCEL, MAX_ACCEL), &throttle, &brake);
+      status = ST_CRUISE_HOLD;
+    }
+  } else if (overridden) {
+    status = ST_ADAPTIVE_OVERRIDE;
+  } else {
+    const float target = s->constant / KMH;
+    uint8_t regime;
+    const float accel = stopAndGo(s, accController(s, s->sensedGap, s->gapRate, v, target, &regime), v);
+    if (s->sgPhase) status = ST_STOPGO_HOLD + s->sgPhase - SG_HOLD;
+    else if (regime == REGIME_THRESHOLD) status = ST_ADAPTIVE_DANGER;
+    else if (regime == REGIME_DANGER) status = ST_ADAPTIVE_GAP_DANGER;
+    else if (regime == REGIME_FOLLOW) status = ST_ADAPTIVE_FOLLOW;
+    else if (target - v <= CAP_BAND) status = ST_ADAPTIVE_CAP;
+    else status = ST_ADAPTIVE_SAFE;
+    demandFor(v, supervise(s, accel), &throttle, &brake);
+  }
+
+  vehicleStep(s, throttle, brake);
+  s->speed = s->v * KMH;
+  const bool stopped = s->v == 0.0f;
+  s->D13 = throttle > 0.0f;
+  s->D12 = brake > 0.0f || (stopped && throttle == 0.0f);
+  if ((status == ST_ADAPTIVE_DANGER || status == ST_ADAPTIVE_GAP_DANGER) && stopped) status = ST_ADAPTIVE_STOP;
+  if (s->fsm == FSM_ACC && s->stage) status = ST_FCW_CAUTION + s->stage - 1;
+  s->status = status;
+}
+`;
+    }
+
+    // engine.js step(), drag() and cycle(): the MATLAB ±1 km/h counter.
+    function discreteCore() {
+        return `
+// ─── Modes ───
+static void selectMode(AccState *s, uint8_t mode) {
+  s->mode = mode;
+  if (mode == MODE_ADAPTIVE) s->constant = s->speed;
+}
+
+// ─── Discrete model (MATLAB parity) ───
+static void discreteStep(AccState *s, const AccInputs *in) {
+  const bool up = high(in->pins[0]), down = high(in->pins[1]);
+  if (s->mode == MODE_NORMAL) {
+    if (up) {
+      s->D13 = true; s->D12 = false;
+      s->speed += 1.0f;
+      s->status = ST_NORMAL_ACCEL;
+    } else if (down) {
+      if (s->speed > 0.0f) s->speed -= 1.0f;
+      else { s->D13 = false; s->D12 = true; }
+      s->status = ST_NORMAL_BRAKE;
+    }
+    if (s->speed == 0.0f && !up && !down) s->status = ST_NORMAL_IDLE;
+  } else if (s->mode == MODE_CRUISE) {
+    if (up) {
+      s->D13 = true; s->D12 = false;
+      s->speed += 1.0f;
+      s->status = ST_CRUISE_ACCEL;
+    } else if (s->speed == 0.0f && down) {
+      s->D13 = false; s->D12 = true;
+      s->status = ST_CRUISE_BRAKE;
+    } else if (down) {
+      s->speed -= 1.0f;
+      s->status = ST_CRUISE_BRAKE;
+    } else {
+      s->status = ST_CRUISE_HOLD;
+    }
+  } else {
+    s->D13 = true; s->D12 = false;
+    if (in->distance < SAFE_DISTANCE) {
+      if (s->speed > 0.0f) s->speed -= 1.0f;
+      else { s->D13 = false; s->D12 = true; }
+      s->status = ST_ADAPTIVE_DANGER;
+    } else {
+      if (s->speed < s->constant) s->speed += 1.0f;
+      s->status = ST_ADAPTIVE_SAFE;
+    }
+    if (s->speed > s->constant) s->speed = s->constant;
+    if (s->speed == 0.0f && s->status == ST_ADAPTIVE_DANGER) s->status = ST_ADAPTIVE_STOP;
+  }
+}
+
+// Normal Mode loses 1 km/h per drag period without pedal input.
+static void discreteDrag(AccState *s, const AccInputs *in) {
+  if (s->mode != MODE_NORMAL || high(in->pins[0]) || high(in->pins[1])) return;
+  if (s->speed <= 0.0f) { s->D13 = false; s->D12 = true; return; }
+  s->speed -= 1.0f;
+  s->status = s->speed > 0.0f ? ST_NORMAL_DRAG : ST_NORMAL_IDLE;
+}
+`;
+    }
+
+    function discreteSchedule() {
+        return `
+  // Pedals act on the press, then repeat every PERIOD_REPEAT while held.
+  const bool pedal = s->held[0] || s->held[1];
+  if (pedal && !(prev[0] || prev[1])) {
+    s->repeat = 0;
+    discreteStep(s, in);
+  } else if (pedal) {
+    s->repeat += DT_MS;
+    if (s->repeat >= PERIOD_REPEAT) { s->repeat -= PERIOD_REPEAT; discreteStep(s, in); }
+  } else {
+    s->repeat = 0;
+  }
+  s->drag += DT_MS;
+  if (s->drag >= PERIOD_DRAG) { s->drag -= PERIOD_DRAG; discreteDrag(s, in); }
+  s->cycle += DT_MS;
+  if (s->cycle >= PERIOD_CYCLE) {
+    s->cycle -= PERIOD_CYCLE;
+    if (s->mode == MODE_ADAPTIVE) discreteStep(s, in);
+  }`;
+    }
+
+
+    // ─── SKETCH ──────────────────────────────────────────────────────────────────
+    // The full .ino: header, control core, and the Uno I/O around it. The
+    // HC-SR04 is read every sensor period; the core runs every DT, catching
+    // up after the blocking echo read so the step count follows millis().
+    function generate(opts) {
+        const o = options(opts);
+        const ctrl = ACCControllers.REGISTRY[o.controller];
+        const S = SensorModel.DEFAULTS;
+        const desc = o.model === 'physics'
+            ? `${ctrl.name}${ctrl.timeGap ? `, time gap ${o.headway.toFixed(1)} s` : `, ${ACCEngine.SAFE_DISTANCE.toFixed(2)} m threshold`}`
+            : `MATLAB ±1 km/h counter, ${ACCEngine.SAFE_DISTANCE.toFixed(2)} m threshold`;
+        const params = o.model === 'physics'
+            ? Object.keys(ctrl.params).map(k => `${k} ${ctrl.params[k]}`).join(', ')
+            : 'none';
+
+        return `/*
+ * Adaptive Cruise Control — Arduino Uno sketch
+ * Generated by the ACC simulation (docs/web/sketch.js). Regenerate it from
+ * the dashboard rather than editing it, so it stays identical to the logic
+ * validated in the browser.
+ *
+ * Vehicle model:  ${o.model === 'physics' ? 'Physics (longitudinal dynamics)' : 'Discrete (MATLAB parity)'}
+ * Adaptive mode:  ${desc}
+ * Parameters:     ${params}
+ * Road grade:     ${o.grade} %${o.model === 'physics' ? `
+ * Stop-and-go:    ${o.standstill ? `drives off by itself for ${o.standstill} s after stopping` : 'waits for RES after stopping'}
+ * Units:          ${ACCUnits.speedUnit(o.units)} on the LCD · 1 cm on the bench = ${o.scale / 100} m on the road` : ''}
+ *
+ * Pin map (as in Adaptive Cruise Control.m)
+ *   A0 accelerate · A1 brake · A2 cancel · A3 cruise · A4 adaptive (≥ ${ACCEngine.PIN_HIGH} V = pressed)
+ *   D10 HC-SR04 trigger · D8 HC-SR04 echo
+ *   D13 green LED (accelerating) · D12 red LED (braking or stopped)
+ *   LCD 16×2: RS D7 · EN D6 · D4–D7 on D5, D4, D3, D2
+ *
+ * Serial monitor: ${BAUD} baud, one line per status change.
+ */
+
+#include <LiquidCrystal.h>
+
+${core(o)}
+// ─── ARDUINO I/O ─────────────────────────────────────────────────────────────
+const uint8_t INPUT_PINS[5] = { A0, A1, A2, A3, A4 };
+const uint8_t PIN_TRIG = 10, PIN_ECHO = 8;
+const uint8_t LED_GREEN = 13, LED_RED = 12;
+${decl('uint16_t', 'SENSOR_PERIOD_MS', S.period, 'HC-SR04 trigger period')}
+${decl('unsigned long', 'ECHO_TIMEOUT_US', S.timeoutUs, 'Echo wait before giving up')}
+${decl('float', 'MAX_RANGE', f(S.maxRange), 'Reading when no echo returns (m)')}
+const char *const LCD_LABELS[3] = { "Vehicle Speed:", "Cruise Mode:", "Adaptive Cruise:" };
+
+LiquidCrystal lcd(7, 6, 5, 4, 3, 2);
+AccState acc;
+AccInputs inputs;
+unsigned long lastStep, lastPing;
+int shownMode = -1;
+char shownRow[17];
+int shownStatus = -1;
+
+// HC-SR04 distance in meters, from whole centimeters (duration / 58).
+float readDistance() {
+  digitalWrite(PIN_TRIG, LOW);
+  delayMicroseconds(2);
+  digitalWrite(PIN_TRIG, HIGH);
+  delayMicroseconds(10);
+  digitalWrite(PIN_TRIG, LOW);
+  const unsigned long duration = pulseIn(PIN_ECHO, HIGH, ECHO_TIMEOUT_US);
+  if (duration == 0) return MAX_RANGE;
+  return (duration / 58) / 100.0f;
+}
+
+const __FlashStringHelper *statusText(uint8_t status) {
+  switch (status) {
+${STATUSES.map(([key, text]) => `    case ${statusId(key)}: return F("${text}");`).join('\n')}
+  }
+  return F("");
+}
+
+void setup() {
+  Serial.begin(${BAUD});
+  pinMode(PIN_TRIG, OUTPUT);
+  pinMode(PIN_ECHO, INPUT);
+  pinMode(LED_GREEN, OUTPUT);
+  pinMode(LED_RED, OUTPUT);
+  lcd.begin(16, 2);
+  lcd.print(F("WELCOME TO"));
+  lcd.setCursor(0, 1);
+  lcd.print(F("ACC PROJECT"));
+  Serial.println(F("Adaptive Cruise Control - ${desc.replace('±', '+/-')}"));
+  delay(2000);
+  lcd.clear();
+
+  accInit(&acc);
+  inputs.distance = readDistance();
+  inputs.sampleMs = 0;
+  lastPing = lastStep = millis();
+}
+
+void loop() {
+  const unsigned long now = millis();
+  if (now - lastPing >= SENSOR_PERIOD_MS) {
+    inputs.distance = readDistance();
+    inputs.sampleMs = now - lastPing;
+    lastPing = now;
+  }
+
+  while (millis() - lastStep >= DT_MS) {
+    lastStep += DT_MS;
+    for (uint8_t i = 0; i < 5; i++) inputs.pins[i] = analogRead(INPUT_PINS[i]) * (5.0f / 1023.0f);
+    accStep(&acc, &inputs);
+    inputs.sampleMs = 0;
+  }
+
+  digitalWrite(LED_GREEN, acc.D13 ? HIGH : LOW);
+  digitalWrite(LED_RED, acc.D12 ? HIGH : LOW);
+
+  const long speed = lroundf(acc.speed);
+  char row[17];
+  accLcdRow(&acc, row);
+  if (acc.mode != shownMode || strcmp(row, shownRow) != 0) {
+    if (acc.mode != shownMode) {
+      lcd.clear();
+      lcd.print(LCD_LABELS[acc.mode]);
+    }
+    lcd.setCursor(0, 1);
+    lcd.print(row);
+    for (uint8_t i = strlen(row); i < 16; i++) lcd.print(' ');
+    shownMode = acc.mode;
+    strcpy(shownRow, row);
+  }
+  if (acc.status != shownStatus) {
+    Serial.print(statusText(acc.status));
+    Serial.print(F(" | "));
+    Serial.print(speed);
+    Serial.println(F(" km/h"));
+    shownStatus = acc.status;
+  }
+}
+`;
+    }
+
+    // Default file name; the Arduino IDE wants the sketch in a folder of the
+    // same name, which it offers to create on opening.
+    function fileName(opts) {
+        const o = options(opts);
+        return `acc_${o.model === 'physics' ? o.controller : 'matlab'}.ino`;
+    }
+
+
+    return { CONTROLLERS, STATUSES, core, generate, fileName };
+}));
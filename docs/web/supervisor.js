@@ -0,0 +1,122 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         supervisor.js                                                 │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Safety supervisor for the Adaptive Cruise Control (ACC)       │
+ * │                simulation. Sits above the spacing controller: computes the   │
+ * │                time-to-collision (TTC) from the sensed gap and its rate,     │
+ * │                escalates through staged forward-collision warnings to a      │
+ * │                takeover request and a bounded emergency brake, and flags     │
+ * │                sensor data that cannot be physical, so Adaptive mode can     │
+ * │                hand control back to the driver. Pure functions only.         │
+ * │                                                                              │
+ * │  Stages:       0 Clear · 1 Caution · 2 Warning · 3 Takeover · 4 Brake        │
+ * │  Exports:      window.ACCSupervisor (browser) · module.exports (Node)        │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCSupervisor = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ─── STAGES ──────────────────────────────────────────────────────────────────
+    // A stage is entered once the TTC has stayed below its threshold for
+    // `confirm` ms, so a single bad echo cannot brake the car, and left once
+    // the TTC rises `hysteresis` seconds above it, so a TTC hovering around a
+    // threshold does not flicker between stages.
+    const STAGES = ['clear', 'caution', 'warning', 'takeover', 'brake'];
+    const TTC = [Infinity, 4.0, 2.7, 2.0, 1.2];    // Entry thresholds per stage (s)
+
+    const LIMITS = {
+        confirm: 150,       // ms a higher stage must persist before it is entered
+        hysteresis: 0.5,    // s above a threshold before its stage is left
+        minClosing: 0.5,    // Closing slower than this (m/s) has no TTC
+        closingTau: 0.3,    // Time constant of the closing-speed estimate (s)
+        aebDecel: 5.0,      // The emergency brake commands at least this (m/s²)
+        repeat: 1000,       // ms between repeated takeover alerts
+        maxRate: 40,        // A gap change faster than this between readings is a jump (m/s)
+        jumps: 5,           // Consecutive jumps before the sensor counts as implausible
+    };
+
+    function createState() {
+        return {
+            stage: 0,       // Current stage (index into STAGES)
+            ttc: null,      // Last TTC in s; null when the gap is not closing
+            pending: 0,     // ms a higher stage has been indicated so far
+            gap: null,      // Road gap of the last reading (m); null before the first
+            closing: 0,     // Filtered closing speed over plausible readings (m/s)
+            jumps: 0,       // Consecutive implausible jumps in the reading
+            alertAt: 0,     // Simulation ms of the last audible alert
+        };
+    }
+
+
+    // ─── TIME TO COLLISION ───────────────────────────────────────────────────────
+    // Seconds until the gap closes at the current closing speed; null when
+    // the gap is steady or opening.
+    function ttc(gap, closing) {
+        return closing > LIMITS.minClosing ? Math.max(0, gap) / closing : null;
+    }
+
+    // The stage a TTC calls for, given the stage the supervisor is in now.
+    function stageFor(time, current) {
+        if (time === null) return 0;
+        let stage = 0;
+        for (let i = TTC.length - 1; i > 0; i--) {
+            if (time < TTC[i]) { stage = i; break; }
+        }
+        return current > stage && time < TTC[current] + LIMITS.hysteresis ? current : stage;
+    }
+
+    // One supervisor step of `dt` ms: returns the next memory with its TTC
+    // and stage.
+    function assess(memory, dt) {
+        const time = memory.gap === null ? null : ttc(memory.gap, memory.closing);
+        const wanted = stageFor(time, memory.stage);
+        const pending = wanted > memory.stage ? memory.pending + dt : 0;
+        const stage = wanted < memory.stage || pending >= LIMITS.confirm ? wanted : memory.stage;
+        return Object.assign({}, memory, { ttc: time, stage, pending: stage === wanted ? 0 : pending });
+    }
+
+    // The acceleration command under the emergency brake: the controller's,
+    // or the bounded AEB deceleration if the controller brakes less.
+    function brake(accel) {
+        return Math.min(accel, -LIMITS.aebDecel);
+    }
+
+
+    // ─── READINGS ────────────────────────────────────────────────────────────────
+    // Called on every new reading with the road gap before and after it and
+    // the ms between them. A reading at or beyond `noTarget` means nothing is
+    // in range, so losing or finding a target is never a jump. The closing
+    // speed is only updated from pairs of in-range readings without a jump,
+    // so dropouts, spurious echoes and cut-ins leave it as it was. Returns
+    // the next memory; `implausible(memory)` gives the reason once the
+    // readings have jumped LIMITS.jumps times in a row, otherwise null.
+    function observe(memory, before, after, elapsed, noTarget) {
+        const dt = elapsed / 1000;
+        const inRange = before < noTarget && after < noTarget;
+        const jump = inRange && Math.abs(after - before) / dt > LIMITS.maxRate;
+        let closing = memory.closing;
+        if (inRange && !jump) closing += (1 - Math.exp(-dt / LIMITS.closingTau)) * ((before - after) / dt - closing);
+        return Object.assign({}, memory, {
+            gap: after, closing,
+            jumps: jump ? Math.min(memory.jumps + 1, LIMITS.jumps) : 0,
+        });
+    }
+
+    function implausible(memory) {
+        return memory.jumps >= LIMITS.jumps
+            ? `gap reading jumped faster than ${LIMITS.maxRate} m/s on ${LIMITS.jumps} readings in a row` : null;
+    }
+
+
+    return { STAGES, TTC, LIMITS, createState, ttc, stageFor, assess, brake, observe, implausible };
+}));
@@ -15,11 +15,30 @@
  * │  License:      MIT                                                           │
  * └──────────────────────────────────────────────────────────────────────────────┘ */
 
-const CACHE_NAME = 'acc-v1';
+const CACHE_NAME = 'acc-v35';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
+    './units.js',
+    './vehicle.js',
+    './traffic.js',
+    './controllers.js',
+    './sensor.js',
+    './faults.js',
+    './supervisor.js',
+    './modes.js',
+    './engine.js',
+    './platoon.js',
+    './history.js',
+    './scenarios.js',
+    './serial.js',
+    './monitor.js',
+    './sketch.js',
+    './clock.js',
+    './presets.js',
+    './gamepad.js',
+    './i18n.js',
     './simulation.js',
     './manifest.json',
     './icon.svg'
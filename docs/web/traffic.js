@@ -0,0 +1,126 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         traffic.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Lead-vehicle motion model for the Adaptive Cruise Control     │
+ * │                (ACC) simulation. The lead car follows a scripted speed       │
+ * │                profile (constant, cut-in, hard brake, stop-and-go, traffic   │
+ * │                jam, sinusoidal, speed dip) under its own acceleration        │
+ * │                limits, and the HC-SR04 reading is derived from the gap       │
+ * │                between the two vehicles. 'manual' keeps the slider as a      │
+ * │                direct override.                                              │
+ * │                                                                              │
+ * │  Scale:        The 0–1 m bench sensor maps onto road gaps at a selectable    │
+ * │                number of road meters per sensor meter, by default            │
+ * │                SENSOR_SCALE (1 cm = 1 m).                                    │
+ * │  Exports:      window.TrafficModel (browser) · module.exports (Node)         │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.TrafficModel = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const KMH = 3.6;
+    const SENSOR_SCALE = 100;   // Default road meters per sensor meter
+    const SENSOR_RANGE = 4.0;   // HC-SR04 maximum range (sensor meters)
+    const LANE_WIDTH = 3.5;     // Lateral offset of a car in the next lane (m)
+    const HALF_WIDTH = 0.9;     // Half the width of a car body (m)
+
+    // ─── SPEED PROFILES ──────────────────────────────────────────────────────────
+    // Speeds in km/h, times in seconds from scenario start, gaps in road meters.
+    // `accel`/`decel` bound how quickly the lead car follows its profile (m/s²).
+    const PROFILES = {
+        manual: { name: 'Manual (slider)' },
+        constant: { name: 'Constant speed', v0: 50, gap0: 60, accel: 2, decel: 3 },
+        cutin: { name: 'Cut-in', v0: 60, gap0: 80, accel: 2, decel: 3, at: 8, cutGap: 18, cutSpeed: 45, latSpeed: 1.2 },
+        hardbrake: { name: 'Hard brake', v0: 60, gap0: 50, accel: 2, decel: 7, at: 10, v1: 0 },
+        stopgo: { name: 'Stop-and-go', v0: 30, gap0: 40, accel: 1.5, decel: 2.5, period: 20 },
+        jam: { name: 'Traffic jam', v0: 30, gap0: 25, accel: 1.5, decel: 2.5, stops: [[4, 15], [28, 50]] },
+        sine: { name: 'Sinusoidal', v0: 50, gap0: 50, accel: 2, decel: 3, amp: 15, period: 12 },
+        dip: { name: 'Speed dip', v0: 60, gap0: 50, accel: 2, decel: 3, at: 5, dur: 3, v1: 40 },
+    };
+
+    function createState(overrides = {}) {
+        return Object.assign({
+            x: 0,       // Position along the road (m)
+            v: 0,       // Speed (m/s)
+            a: 0,       // Acceleration over the last step (m/s²)
+            t: 0,       // Time since scenario start (s)
+            cut: false, // Whether a cut-in event has already fired
+            lat: 0,     // Lateral offset from the ego lane center (m)
+        }, overrides);
+    }
+
+    // Places the lead car gap0 meters ahead of the ego vehicle at its v0.
+    function start(id, egoX) {
+        const p = PROFILES[id];
+        if (!p || id === 'manual') return createState({ x: egoX });
+        return createState({ x: egoX + p.gap0, v: p.v0 / KMH });
+    }
+
+
+    // ─── PROFILE TARGET SPEED ────────────────────────────────────────────────────
+    // The speed (m/s) the lead driver is aiming for at time t.
+    function targetSpeed(id, t, lead) {
+        const p = PROFILES[id];
+        switch (id) {
+            case 'constant': return p.v0 / KMH;
+            case 'cutin': return (lead.cut ? p.cutSpeed : p.v0) / KMH;
+            case 'hardbrake': return (t < p.at ? p.v0 : p.v1) / KMH;
+            case 'stopgo': return (t % p.period) < p.period / 2 ? p.v0 / KMH : 0;
+            case 'jam': return p.stops.some(([from, to]) => t >= from && t < to) ? 0 : p.v0 / KMH;
+            case 'sine': return (p.v0 + p.amp * Math.sin(2 * Math.PI * t / p.period)) / KMH;
+            case 'dip': return (t >= p.at && t < p.at + p.dur ? p.v1 : p.v0) / KMH;
+            default: return lead.v;
+        }
+    }
+
+
+    // ─── INTEGRATION ─────────────────────────────────────────────────────────────
+    // Advances the lead car by dt seconds. A cut-in replaces the lead with a
+    // slower car cutGap meters ahead of the ego vehicle when its time comes;
+    // it starts in the next lane and drifts over at latSpeed m/s.
+    function step(lead, id, dt, egoX) {
+        const p = PROFILES[id];
+        const s = createState(lead);
+        s.t += dt;
+
+        if (id === 'cutin' && !s.cut && s.t >= p.at) {
+            s.cut = true;
+            s.x = egoX + p.cutGap;
+            s.v = p.cutSpeed / KMH;
+            s.lat = LANE_WIDTH;
+        }
+        if (s.lat > 0) s.lat = Math.max(0, s.lat - p.latSpeed * dt);
+
+        const err = targetSpeed(id, s.t, s) - s.v;
+        const a = Math.max(-p.decel, Math.min(p.accel, err / dt));
+        s.v = Math.max(0, s.v + a * dt);
+        s.x += s.v * dt;
+        s.a = a;
+        return s;
+    }
+
+
+    // ─── SENSOR GEOMETRY ─────────────────────────────────────────────────────────
+    // Converts a road gap (m) into the bench HC-SR04 reading and back, at
+    // `scale` road meters per sensor meter.
+    function toSensor(gap, scale = SENSOR_SCALE) {
+        return Math.max(0, Math.min(SENSOR_RANGE, gap / scale));
+    }
+
+    function toGap(distance, scale = SENSOR_SCALE) {
+        return distance * scale;
+    }
+
+
+    return { PROFILES, SENSOR_SCALE, SENSOR_RANGE, HALF_WIDTH, createState, start, targetSpeed, step, toSensor, toGap };
+}));
@@ -0,0 +1,112 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         units.js                                                      │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Units and vehicle profile for the Adaptive Cruise Control     │
+ * │                (ACC) simulation. The engine works in km/h and meters         │
+ * │                throughout; this module converts speeds and distances into    │
+ * │                the selected unit system (metric, imperial or SI) for the     │
+ * │                dashboard, the serial log, the LCD and exported files, and    │
+ * │                validates the vehicle profile: unit system, speedometer full  │
+ * │                scale and color bands, and the scale that maps the 0–1 m      │
+ * │                bench sensor onto road gaps. Pure functions only.             │
+ * │                                                                              │
+ * │  Systems:      metric (km/h, m) · imperial (mph, ft) · si (m/s, m)           │
+ * │  Exports:      window.ACCUnits (browser) · module.exports (Node)             │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.ACCUnits = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ─── UNIT SYSTEMS ────────────────────────────────────────────────────────────
+    // Display units per km/h (speeds) or per meter (distances).
+    const FACTORS = {
+        'km/h': 1,
+        'mph': 1 / 1.609344,
+        'm/s': 1 / 3.6,
+        'm': 1,
+        'ft': 1 / 0.3048,
+    };
+
+    const SYSTEMS = {
+        metric: { name: 'Metric', speed: 'km/h', distance: 'm' },
+        imperial: { name: 'Imperial', speed: 'mph', distance: 'ft' },
+        si: { name: 'SI', speed: 'm/s', distance: 'm' },
+    };
+
+    // Road meters per bench sensor meter; 100 is the original 1 cm = 1 m.
+    const SCALES = [25, 50, 100, 200];
+
+
+    // ─── VEHICLE PROFILE ─────────────────────────────────────────────────────────
+    // The speedometer full scale and the upper ends of its green and blue
+    // bands are in km/h, so switching units keeps the same gauge.
+    const DEFAULT_PROFILE = { units: 'metric', maxSpeed: 80, bands: [20, 50], scale: 100 };
+
+    const LIMITS = {
+        minGauge: 20,       // Smallest speedometer full scale (km/h)
+        maxGauge: 300,      // Largest speedometer full scale (km/h)
+    };
+
+    // A complete profile from a partial one. Throws an Error naming the
+    // first field that is out of range.
+    function createProfile(from = {}) {
+        const p = Object.assign({}, DEFAULT_PROFILE, from);
+        p.bands = (from.bands || DEFAULT_PROFILE.bands).slice();
+        if (!Object.hasOwn(SYSTEMS, p.units)) throw new Error(`Unknown unit system "${p.units}"`);
+        if (!(p.maxSpeed >= LIMITS.minGauge && p.maxSpeed <= LIMITS.maxGauge)) {
+            throw new Error(`Full scale ${p.maxSpeed} km/h is outside ${LIMITS.minGauge}–${LIMITS.maxGauge} km/h`);
+        }
+        if (p.bands.length !== 2 || !(p.bands[0] > 0 && p.bands[0] < p.bands[1] && p.bands[1] < p.maxSpeed)) {
+            throw new Error('Color bands must rise from 0 to below the full scale');
+        }
+        if (!SCALES.includes(p.scale)) throw new Error(`Unsupported bench scale: 1 cm = ${p.scale / 100} m`);
+        return p;
+    }
+
+
+    // ─── CONVERSION ──────────────────────────────────────────────────────────────
+    const speedUnit = units => SYSTEMS[units].speed;
+    const distanceUnit = units => SYSTEMS[units].distance;
+
+    const speed = (kmh, units) => kmh * FACTORS[speedUnit(units)];
+    const toKmh = (value, units) => value / FACTORS[speedUnit(units)];
+    const distance = (m, units) => m * FACTORS[distanceUnit(units)];
+    const toMeters = (value, units) => value / FACTORS[distanceUnit(units)];
+
+    // A value with `digits` decimals; whole numbers round half up, as the
+    // LCD and the serial log always have.
+    const fixed = (v, digits) => (digits ? v.toFixed(digits) : String(Math.round(v)));
+
+    // e.g. '62 km/h', '39 mph', '17.2 m/s'.
+    function formatSpeed(kmh, units, digits = 0) {
+        return `${fixed(speed(kmh, units), digits)} ${speedUnit(units)}`;
+    }
+
+    // e.g. '12.3 m', '40.4 ft'.
+    function formatDistance(m, units, digits = 1) {
+        return `${fixed(distance(m, units), digits)} ${distanceUnit(units)}`;
+    }
+
+    // A set speed (whole km/h) moved by `step` whole display units. The
+    // result is whole km/h again; it rounds back to the intended display
+    // value, since one display unit is never less than 1 km/h.
+    function stepSpeed(kmh, step, units) {
+        return Math.round(toKmh(Math.round(speed(kmh, units)) + step, units));
+    }
+
+
+    return {
+        FACTORS, SYSTEMS, SCALES, DEFAULT_PROFILE, LIMITS, createProfile,
+        speedUnit, distanceUnit, speed, toKmh, distance, toMeters, formatSpeed, formatDistance, stepSpeed,
+    };
+}));
@@ -0,0 +1,111 @@
+/* ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │  File:         vehicle.js                                                    │
+ * │  Author:       Amey Thakur                                                   │
+ * │  Profile:      https://github.com/Amey-Thakur                                │
+ * │  Repository:   https://github.com/Amey-Thakur/ADAPTIVE-CRUISE-CONTROL        │
+ * │                                                                              │
+ * │  Description:  Longitudinal vehicle dynamics for the Adaptive Cruise         │
+ * │                Control (ACC) simulation. Integrates speed and position       │
+ * │                from throttle/brake demand, accounting for vehicle mass,      │
+ * │                aerodynamic drag, rolling resistance, road grade, a           │
+ * │                first-order actuator lag, and acceleration/jerk limits.       │
+ * │                Pure functions only — no DOM access.                          │
+ * │                                                                              │
+ * │  Units:        SI throughout (m, s, kg, N). Speeds are in m/s.               │
+ * │  Exports:      window.VehicleModel (browser) · module.exports (Node)         │
+ * │                                                                              │
+ * │  Technology:   Vanilla JavaScript (ES6+)                                     │
+ * │  Released:     September 08, 2023                                            │
+ * │  License:      MIT                                                           │
+ * └──────────────────────────────────────────────────────────────────────────────┘ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.VehicleModel = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const G = 9.81;     // Gravitational acceleration (m/s²)
+    const RHO = 1.225;  // Air density at sea level (kg/m³)
+
+    // ─── DEFAULT PARAMETERS ──────────────────────────────────────────────────────
+    // A mid-size passenger car. Acceleration and jerk limits bound what the
+    // powertrain and brakes can deliver; tau is the actuator time constant.
+    const DEFAULTS = {
+        mass: 1500,         // kg
+        cdA: 0.66,          // Drag coefficient × frontal area (m²)
+        crr: 0.012,         // Rolling resistance coefficient
+        grade: 0,           // Road grade in percent (positive = uphill)
+        maxAccel: 2.5,      // Peak drive acceleration at full throttle (m/s²)
+        maxDecel: 6.0,      // Peak braking deceleration at full brake (m/s²)
+        maxJerk: 10.0,      // Rate limit on actuator acceleration (m/s³)
+        tau: 0.3,           // Actuator lag time constant (s)
+    };
+
+    function createState(overrides = {}) {
+        return Object.assign({
+            x: 0,       // Position along the road (m)
+            v: 0,       // Speed (m/s)
+            a: 0,       // Net acceleration from the last step (m/s²)
+            aAct: 0,    // Actuator acceleration after lag and jerk limiting (m/s²)
+        }, overrides);
+    }
+
+
+    // ─── RESISTIVE FORCES ────────────────────────────────────────────────────────
+    // Sum of aerodynamic drag, rolling resistance and the grade component of
+    // gravity at speed v. Rolling resistance only acts while the car is moving.
+    function resistance(v, p = DEFAULTS) {
+        const theta = Math.atan(p.grade / 100);
+        const aero = 0.5 * RHO * p.cdA * v * v;
+        const roll = v > 0 ? p.crr * p.mass * G * Math.cos(theta) : 0;
+        const slope = p.mass * G * Math.sin(theta);
+        return aero + roll + slope;
+    }
+
+
+    // ─── PEDAL MAPPING ───────────────────────────────────────────────────────────
+    // Converts pin voltages (0–5V on A0/A1) into normalized pedal demand.
+    function pedals(a0, a1) {
+        const clamp = v => Math.max(0, Math.min(1, v / 5));
+        return { throttle: clamp(a0), brake: clamp(a1) };
+    }
+
+    // Inverse of the actuator mapping: the throttle/brake demand needed for a
+    // desired net acceleration at speed v, with the resistive forces fed forward.
+    function demandFor(v, aDes, p = DEFAULTS) {
+        const force = p.mass * aDes + resistance(v, p);
+        if (force >= 0) return { throttle: Math.min(1, force / (p.mass * p.maxAccel)), brake: 0 };
+        return { throttle: 0, brake: Math.min(1, -force / (p.mass * p.maxDecel)) };
+    }
+
+
+    // ─── INTEGRATION ─────────────────────────────────────────────────────────────
+    // Advances the vehicle by dt seconds (semi-implicit Euler). The requested
+    // actuator acceleration passes through the first-order lag, then the jerk
+    // limit. Speed never goes negative: the car does not roll backwards, and
+    // it does not creep away from rest on less drive than rolling resistance.
+    function step(state, demand, dt, p = DEFAULTS) {
+        const s = createState(state);
+        const aReq = demand.throttle * p.maxAccel - demand.brake * p.maxDecel;
+
+        const lagged = s.aAct + (aReq - s.aAct) * Math.min(1, dt / p.tau);
+        const dMax = p.maxJerk * dt;
+        s.aAct += Math.max(-dMax, Math.min(dMax, lagged - s.aAct));
+
+        let a = s.aAct - resistance(s.v, p) / p.mass;
+        if (s.v <= 0) {
+            // Breakaway: from rest the drive must also overcome rolling resistance.
+            const roll = p.crr * G * Math.cos(Math.atan(p.grade / 100));
+            a = Math.max(0, a - roll);
+        }
+
+        s.v = Math.max(0, s.v + a * dt);
+        s.x += s.v * dt;
+        s.a = a;
+        return s;
+    }
+
+
+    return { DEFAULTS, G, RHO, createState, resistance, pedals, demandFor, step };
+}));